@@ -0,0 +1,317 @@
+import { useCallback, useEffect, useState } from 'react';
+
+type Status = 'up' | 'down';
+
+interface Replica {
+  name: string;
+  status: Status;
+  lagMs: number;
+  pending: number;
+  circuit: string;
+  error?: string;
+}
+
+interface Backup {
+  key: string;
+  name: string;
+  timestamp: string | null;
+  keyCount: number | null;
+  byteSize: number | null;
+  legacy: boolean;
+  ageSeconds: number | null;
+}
+
+interface SyncOverview {
+  configured: boolean;
+  target: string;
+  direction?: string;
+  message?: string;
+  local?: { checksum: string; size: number } | null;
+  remote?: { revision: number; checksum: string; size: number; timestamp: string } | null;
+  lastSync?: { revision: number; syncedAt: string } | null;
+  error?: string;
+}
+
+interface ScheduleOverview {
+  schedule: string;
+  nextRunAt?: string | null;
+  lastRun?: { status: string; finishedAt: string; backup?: string; error?: string } | null;
+  lastSuccessAt?: string | null;
+  consecutiveFailures?: number;
+  error?: string;
+}
+
+interface Overview {
+  health: {
+    status: 'ready' | 'degraded' | 'unavailable';
+    checkedAt: string;
+    checks: {
+      config?: { status: Status; error: string };
+      bootstrap?: { status: Status; outcome: string; finishedAt?: string; error?: string };
+      storage?: { status: Status; type: string; latency?: Record<string, number | null>; error?: string };
+      replicas?: Array<Replica>;
+    };
+  };
+  backups: Array<Backup> | null;
+  schedule: ScheduleOverview | null;
+  sync: SyncOverview;
+}
+
+const statusColors: Record<string, string> = {
+  ready: '#15803d',
+  up: '#15803d',
+  'in-sync': '#15803d',
+  succeeded: '#15803d',
+  skipped: '#6b7280',
+  failed: '#b91c1c',
+  degraded: '#b45309',
+  upload: '#b45309',
+  download: '#b45309',
+  unavailable: '#b91c1c',
+  down: '#b91c1c',
+  conflict: '#b91c1c',
+  unknown: '#6b7280'
+};
+
+const cell = { padding: '0.25rem 0.75rem 0.25rem 0', textAlign: 'left' as const };
+
+function formatBytes(bytes: number | null | undefined) {
+  if (bytes === null || bytes === undefined) return '—';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+function formatAge(seconds: number | null) {
+  if (seconds === null) return '—';
+  if (seconds < 60) return `${seconds}s ago`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+  return `${Math.floor(seconds / 86400)}d ago`;
+}
+
+function Badge({ value }: { value: string }) {
+  return (
+    <span className="font-semibold" style={{ color: statusColors[value] ?? statusColors['unknown'] }}>
+      {value}
+    </span>
+  );
+}
+
+async function request<T>(path: string, body?: unknown): Promise<T> {
+  const response = await fetch(path, body === undefined ? {} : {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const result = await response.json();
+  if (!response.ok) throw new Error(result.error || `Request failed with ${response.status}`);
+  return result;
+}
+
+export const StorageAdminPanel = () => {
+  const [overview, setOverview] = useState<Overview | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [backupName, setBackupName] = useState('');
+
+  const refresh = useCallback(async () => {
+    try {
+      setOverview(await request<Overview>('/admin/api/overview'));
+      setError(null);
+    } catch (err) {
+      setError((err as Error).message);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const run = async (action: () => Promise<string>) => {
+    setBusy(true);
+    setNotice(null);
+    try {
+      setNotice(await action());
+      setError(null);
+    } catch (err) {
+      setError((err as Error).message);
+    } finally {
+      setBusy(false);
+      await refresh();
+    }
+  };
+
+  const createBackup = () => run(async () => {
+    const { key } = await request<{ key: string }>('/admin/api/backups', { name: backupName.trim() || null });
+    setBackupName('');
+    return `Backup created: ${key}`;
+  });
+
+  const restoreBackup = (backup: Backup) => {
+    const confirm = window.prompt(
+      `Restoring overwrites the current data with the backup from ${backup.timestamp ?? 'an unknown time'}.\n` +
+      `Type the backup name "${backup.name}" to continue.`
+    );
+    if (confirm === null) return;
+    run(async () => {
+      await request('/admin/api/backups/restore', { key: backup.key, confirm });
+      return `Restored ${backup.name}`;
+    });
+  };
+
+  const uploadDatabase = (force: boolean) => {
+    if (force && !window.confirm('Overwrite the remote copy even though it changed since the last sync?')) return;
+    run(async () => {
+      await request('/admin/api/sync/upload', { force });
+      return 'Database uploaded';
+    });
+  };
+
+  const { health, backups, schedule, sync } = overview ?? {};
+  const storage = health?.checks.storage;
+
+  return (
+    <div>
+      <p className="mt-2">
+        <button type="button" className="font-semibold underline" onClick={() => refresh()} disabled={busy}>Refresh</button>
+        {busy && <span> Working…</span>}
+      </p>
+      {error && <p className="mt-2" style={{ color: statusColors['down'] }}>{error}</p>}
+      {notice && <p className="mt-2" style={{ color: statusColors['up'] }}>{notice}</p>}
+
+      {health && (
+        <section>
+          <h2 className="font-bold mt-2 underline">Storage</h2>
+          <p>
+            <Badge value={health.status} /> · backend <code className="font-semibold">{storage?.type ?? '—'}</code>
+            {' '}· checked {new Date(health.checkedAt).toLocaleTimeString()}
+          </p>
+          {health.checks.config && <p>Configuration: {health.checks.config.error}</p>}
+          {storage?.latency && (
+            <p>Round trip: {Object.entries(storage.latency).map(([step, ms]) => `${step} ${ms === null ? '—' : `${ms}ms`}`).join(', ')}</p>
+          )}
+          {storage?.error && <p>Error: {storage.error}</p>}
+          {health.checks.bootstrap && (
+            <p>Startup restore: <Badge value={health.checks.bootstrap.status} /> {health.checks.bootstrap.outcome}</p>
+          )}
+          {health.checks.replicas && (
+            <table className="mt-2">
+              <thead>
+                <tr><th style={cell}>Replica</th><th style={cell}>Status</th><th style={cell}>Lag</th><th style={cell}>Pending</th><th style={cell}>Circuit</th></tr>
+              </thead>
+              <tbody>
+                {health.checks.replicas.map((replica) => (
+                  <tr key={replica.name}>
+                    <td style={cell}>{replica.name}</td>
+                    <td style={cell}><Badge value={replica.status} />{replica.error && ` (${replica.error})`}</td>
+                    <td style={cell}>{Math.round(replica.lagMs / 1000)}s</td>
+                    <td style={cell}>{replica.pending}</td>
+                    <td style={cell}>{replica.circuit}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </section>
+      )}
+
+      {overview && (
+        <section>
+          <h2 className="font-bold mt-2 underline">Backups</h2>
+          {schedule === null && <p>Not scheduled. Set <code>HIVE_BACKUP_SCHEDULE</code> to back up automatically.</p>}
+          {schedule && (
+            <p>
+              Schedule <code className="font-semibold">{schedule.schedule}</code> (UTC)
+              {schedule.nextRunAt && <> · next {new Date(schedule.nextRunAt).toLocaleString()}</>}
+              {schedule.lastRun && (
+                <> · last run <Badge value={schedule.lastRun.status} /> {new Date(schedule.lastRun.finishedAt).toLocaleString()}</>
+              )}
+              {schedule.lastRun?.error && <> ({schedule.lastRun.error})</>}
+              {(schedule.consecutiveFailures ?? 0) > 1 && <> · {schedule.consecutiveFailures} failures in a row</>}
+              {schedule.error && <> · {schedule.error}</>}
+            </p>
+          )}
+          <p className="mt-2">
+            <input
+              value={backupName}
+              onChange={(event) => setBackupName(event.target.value)}
+              placeholder="Name (optional)"
+              style={{ border: '1px solid #d1d5db', padding: '0.25rem 0.5rem' }}
+            />{' '}
+            <button type="button" className="font-semibold underline" onClick={createBackup} disabled={busy}>Create backup</button>
+          </p>
+          {backups === null && <p>Backups could not be listed, see the logs.</p>}
+          {backups?.length === 0 && <p>No backups yet.</p>}
+          {backups && backups.length > 0 && (
+            <table className="mt-2">
+              <thead>
+                <tr><th style={cell}>Name</th><th style={cell}>Age</th><th style={cell}>Size</th><th style={cell}>Keys</th><th style={cell} /></tr>
+              </thead>
+              <tbody>
+                {backups.map((backup) => (
+                  <tr key={backup.key}>
+                    <td style={cell}><code>{backup.name}</code>{backup.legacy && ' (legacy)'}</td>
+                    <td style={cell} title={backup.timestamp ?? undefined}>{formatAge(backup.ageSeconds)}</td>
+                    <td style={cell}>{formatBytes(backup.byteSize)}</td>
+                    <td style={cell}>{backup.keyCount ?? '—'}</td>
+                    <td style={cell}>
+                      <button type="button" className="underline" onClick={() => restoreBackup(backup)} disabled={busy}>Restore</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </section>
+      )}
+
+      {sync && (
+        <section>
+          <h2 className="font-bold mt-2 underline">Database Sync</h2>
+          {!sync.configured && (
+            <p>Not synced: <code>{sync.target}</code> storage keeps no remote copy. Set <code>HIVE_SYNC_TARGET</code> to enable it.</p>
+          )}
+          {sync.configured && (
+            <>
+              <p>Target <code className="font-semibold">{sync.target}</code>{sync.direction && <> · <Badge value={sync.direction} /></>}</p>
+              {sync.message && <p>{sync.message}</p>}
+              {sync.error && <p style={{ color: statusColors['down'] }}>{sync.error}</p>}
+              <table className="mt-2">
+                <tbody>
+                  <tr>
+                    <th style={cell}>Local</th>
+                    <td style={cell}>{sync.local ? `${formatBytes(sync.local.size)}, ${sync.local.checksum}` : 'no database'}</td>
+                  </tr>
+                  <tr>
+                    <th style={cell}>Remote</th>
+                    <td style={cell}>{sync.remote ? `revision ${sync.remote.revision}, ${formatBytes(sync.remote.size)}, ${sync.remote.checksum}, ${sync.remote.timestamp}` : 'no copy yet'}</td>
+                  </tr>
+                  <tr>
+                    <th style={cell}>Last sync</th>
+                    <td style={cell}>{sync.lastSync ? `revision ${sync.lastSync.revision} at ${sync.lastSync.syncedAt}` : 'never'}</td>
+                  </tr>
+                </tbody>
+              </table>
+              <p className="mt-2">
+                <button type="button" className="font-semibold underline" onClick={() => uploadDatabase(false)} disabled={busy}>Upload database</button>
+                {(sync.direction === 'conflict' || sync.direction === 'unknown') && (
+                  <>
+                    {' '}
+                    <button type="button" className="underline" onClick={() => uploadDatabase(true)} disabled={busy}>Force upload</button>
+                  </>
+                )}
+              </p>
+            </>
+          )}
+        </section>
+      )}
+    </div>
+  );
+};
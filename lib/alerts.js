@@ -0,0 +1,107 @@
+/**
+ * Alerts
+ * Notifications about backups that failed or went stale. Built in: email
+ * through Resend (BLADE_RESEND_API_KEY, to HIVE_ALERT_EMAIL_TO or else
+ * ADMIN_EMAIL) and a JSON POST to HIVE_ALERT_WEBHOOK_URL, which Slack-style
+ * incoming webhooks display through its `text` field. Other channels plug in
+ * with `registerAlertNotifier()`.
+ */
+
+import { createLogger } from './logger.js';
+
+const WEBHOOK_TIMEOUT = 10000;
+
+const log = createLogger('alerts');
+const notifierFactories = new Map();
+
+/**
+ * Add a notification channel. `factory(values)` receives the validated
+ * settings and returns `{ name, send(alert) }`, or `null` when the channel
+ * is not configured. `send()` throws when the alert could not be delivered.
+ */
+export function registerAlertNotifier(name, factory) {
+  notifierFactories.set(name, factory);
+}
+
+/**
+ * Every configured notifier
+ */
+export function createAlertNotifiers(values) {
+  return [...notifierFactories.values()].map((factory) => factory(values)).filter(Boolean);
+}
+
+/**
+ * An alert: `event` (e.g. `backup-failed`), `severity` (`critical`,
+ * `warning` or `info`), a one-line `subject`, a `message` and `details`
+ */
+export function createAlert({ event, severity = 'critical', subject, message, details = {} }) {
+  return { event, severity, subject, message, details, time: new Date().toISOString() };
+}
+
+export function formatAlertText(alert) {
+  const details = Object.entries(alert.details)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => `  ${key}: ${value}`);
+  return [alert.message, '', ...details, '', `Event: ${alert.event} (${alert.severity}) at ${alert.time}`].join('\n');
+}
+
+/**
+ * Send an alert through every notifier. A channel that fails is logged and
+ * does not keep the others from sending.
+ */
+export async function sendAlert(notifiers, alert) {
+  if (notifiers.length === 0) {
+    log.warn('No alert channel configured, alert only logged', { event: alert.event, subject: alert.subject });
+    return [];
+  }
+
+  return Promise.all(notifiers.map(async (notifier) => {
+    try {
+      await notifier.send(alert);
+      log.info('Alert sent', { notifier: notifier.name, event: alert.event });
+      return { notifier: notifier.name, sent: true };
+    } catch (error) {
+      log.error('Alert could not be sent', { notifier: notifier.name, event: alert.event, error });
+      return { notifier: notifier.name, sent: false, error: error.message };
+    }
+  }));
+}
+
+registerAlertNotifier('email', (values) => {
+  const to = values.HIVE_ALERT_EMAIL_TO?.length ? values.HIVE_ALERT_EMAIL_TO : [values.ADMIN_EMAIL].filter(Boolean);
+  if (!values.BLADE_RESEND_API_KEY || to.length === 0) return null;
+
+  return {
+    name: 'email',
+    async send(alert) {
+      const { Resend } = await import('resend');
+      const resend = new Resend(values.BLADE_RESEND_API_KEY);
+
+      // Resend reports failures in the result instead of throwing
+      const { error } = await resend.emails.send({
+        from: values.HIVE_ALERT_EMAIL_FROM,
+        to,
+        subject: `[${alert.severity}] ${alert.subject}`,
+        text: formatAlertText(alert)
+      });
+      if (error) throw new Error(`Resend rejected the email: ${error.message}`);
+    }
+  };
+});
+
+registerAlertNotifier('webhook', (values) => {
+  if (!values.HIVE_ALERT_WEBHOOK_URL) return null;
+
+  return {
+    name: 'webhook',
+    async send(alert) {
+      const response = await fetch(values.HIVE_ALERT_WEBHOOK_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text: `[${alert.severity}] ${alert.subject}: ${alert.message}`, ...alert }),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+      });
+      if (!response.ok) throw new Error(`Webhook answered ${response.status}`);
+    }
+  };
+});
@@ -0,0 +1,100 @@
+/**
+ * Backup Retention Policies
+ * Grandfather-father-son retention: keep the newest backup of each of the
+ * last N hours, days, weeks and months, plus the N most recent backups.
+ */
+
+/**
+ * Retention applied when no setting overrides it
+ */
+export const DEFAULT_RETENTION_POLICY = {
+  keepLast: 1,
+  hourly: 0,
+  daily: 7,
+  weekly: 4,
+  monthly: 12
+};
+
+const POLICY_SETTINGS = {
+  keepLast: 'HIVE_BACKUP_KEEP_LAST',
+  hourly: 'HIVE_BACKUP_KEEP_HOURLY',
+  daily: 'HIVE_BACKUP_KEEP_DAILY',
+  weekly: 'HIVE_BACKUP_KEEP_WEEKLY',
+  monthly: 'HIVE_BACKUP_KEEP_MONTHLY'
+};
+
+/**
+ * Build a retention policy from the validated `HIVE_BACKUP_KEEP_*` values of
+ * a loaded configuration
+ */
+export function getRetentionPolicy(values = {}) {
+  const policy = { ...DEFAULT_RETENTION_POLICY };
+
+  for (const [field, name] of Object.entries(POLICY_SETTINGS)) {
+    if (values[name] !== undefined && values[name] !== null) policy[field] = values[name];
+  }
+
+  return policy;
+}
+
+/**
+ * ISO 8601 week label (e.g. `2025-W03`) of a date, in UTC
+ */
+function isoWeek(date) {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const weekday = day.getUTCDay() || 7;
+  day.setUTCDate(day.getUTCDate() + 4 - weekday);
+  const yearStart = new Date(Date.UTC(day.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((day - yearStart) / 86400000 + 1) / 7);
+  return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+const BUCKETS = {
+  hourly: (date) => date.toISOString().slice(0, 13),
+  daily: (date) => date.toISOString().slice(0, 10),
+  weekly: isoWeek,
+  monthly: (date) => date.toISOString().slice(0, 7)
+};
+
+/**
+ * Split backups into the ones a policy keeps and the ones it prunes.
+ * Backups without a known timestamp are always kept.
+ */
+export function applyRetentionPolicy(backups, policy = DEFAULT_RETENTION_POLICY) {
+  const dated = backups
+    .filter((backup) => backup.timestamp)
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+  const reasons = new Map();
+  const addReason = (backup, reason) => {
+    reasons.set(backup.key, [...(reasons.get(backup.key) || []), reason]);
+  };
+
+  dated.slice(0, policy.keepLast).forEach((backup) => addReason(backup, 'last'));
+
+  for (const [period, bucketOf] of Object.entries(BUCKETS)) {
+    const limit = policy[period] || 0;
+    const seen = new Set();
+
+    for (const backup of dated) {
+      if (seen.size >= limit) break;
+
+      // Newest first, so the first backup of each bucket is the one to keep
+      const bucket = bucketOf(new Date(backup.timestamp));
+      if (seen.has(bucket)) continue;
+      seen.add(bucket);
+      addReason(backup, period);
+    }
+  }
+
+  const keep = [];
+  const prune = [];
+  for (const backup of backups) {
+    if (!backup.timestamp || reasons.has(backup.key)) {
+      keep.push({ ...backup, keptBy: reasons.get(backup.key) || ['undated'] });
+    } else {
+      prune.push(backup);
+    }
+  }
+
+  return { keep, prune };
+}
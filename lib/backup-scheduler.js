@@ -0,0 +1,323 @@
+/**
+ * Backup Scheduler
+ * Runs `createBackup()` and the retention policy inside the app on a cron
+ * schedule (HIVE_BACKUP_SCHEDULE), for platforms without a reliable cron.
+ * Every run is recorded in `backup-schedule.json` next to the database, and
+ * a failed run, a recovery and a newest backup older than
+ * HIVE_BACKUP_STALE_AFTER raise alerts.
+ *
+ * Machines that sleep (Fly's auto-stop) miss their slots, so on start a
+ * backup older than one schedule period is caught up right away. Instances
+ * sharing the storage skip a slot that another one already backed up.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createAlert, createAlertNotifiers, sendAlert } from './alerts.js';
+import { nextCronRun, parseCron } from './cron.js';
+import { createLogger, newCorrelationId, withCorrelationId } from './logger.js';
+
+const SCHEDULE_STATE_FILE = 'backup-schedule.json';
+// setTimeout overflows past ~24.8 days, longer waits are taken in steps
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+const STALE_CHECK_INTERVAL = 60 * 60 * 1000;
+// Gives a restarted app time to settle before the catch-up backup
+const CATCH_UP_DELAY = 30000;
+
+const log = createLogger('backup-scheduler');
+
+/**
+ * State of the scheduled backups in `dir`, or `null` if none ran there
+ */
+export function readBackupScheduleState(dir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, SCHEDULE_STATE_FILE), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+function backupTime(backup) {
+  return backup?.timestamp ? new Date(backup.timestamp).getTime() : null;
+}
+
+export class BackupScheduler {
+  /**
+   * `manager` is a `HiveStorageConfig`; `notifiers` come from
+   * `createAlertNotifiers()`; `staleAfter` is in ms, 0 disables the check
+   */
+  constructor(manager, { schedule, stateDir, prune = true, staleAfter = 0, notifiers = [] }) {
+    this.manager = manager;
+    this.cron = parseCron(schedule);
+    this.stateDir = stateDir;
+    this.prune = prune;
+    this.staleAfter = staleAfter;
+    this.notifiers = notifiers;
+    this.started = false;
+    this.timers = {};
+    this.running = null;
+
+    let stored = null;
+    try {
+      stored = readBackupScheduleState(stateDir);
+    } catch (error) {
+      log.warn('Ignoring an unreadable backup schedule state', { error });
+    }
+    this.state = {
+      nextRunAt: null,
+      lastRun: null,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      consecutiveFailures: 0,
+      staleAlertedAt: null,
+      ...stored,
+      schedule
+    };
+  }
+
+  /**
+   * Arm the schedule and the staleness check. Timers do not keep the process alive.
+   */
+  start() {
+    if (this.started) return this;
+    this.started = true;
+
+    this.arm();
+    if (this.staleAfter > 0) {
+      this.timers.stale = setInterval(() => {
+        withCorrelationId(() => this.checkStaleness(), newCorrelationId()).catch((error) => {
+          log.warn('Backup staleness check failed', { error });
+        });
+      }, Math.min(this.staleAfter, STALE_CHECK_INTERVAL));
+      this.timers.stale.unref?.();
+    }
+    this.timers.catchUp = setTimeout(() => this.catchUp(), CATCH_UP_DELAY);
+    this.timers.catchUp.unref?.();
+
+    log.info('Backup schedule started', { schedule: this.state.schedule, nextRunAt: this.state.nextRunAt });
+    return this;
+  }
+
+  /**
+   * Stop the timers and wait for a run in progress
+   */
+  async stop() {
+    this.started = false;
+    clearTimeout(this.timers.run);
+    clearInterval(this.timers.stale);
+    clearTimeout(this.timers.catchUp);
+    this.timers = {};
+    await this.running;
+  }
+
+  arm() {
+    const next = nextCronRun(this.cron);
+    this.state.nextRunAt = next.toISOString();
+    this.writeState();
+
+    const delay = next.getTime() - Date.now();
+    this.timers.run = setTimeout(() => {
+      if (delay > MAX_TIMER_DELAY) {
+        this.arm();
+        return;
+      }
+      this.trigger({ scheduledAt: next }).finally(() => {
+        if (this.started) this.arm();
+      });
+    }, Math.min(delay, MAX_TIMER_DELAY));
+    this.timers.run.unref?.();
+  }
+
+  /**
+   * Run once unless a run is in progress. Every run is its own operation in the logs.
+   */
+  trigger(options = {}) {
+    this.running ??= withCorrelationId(() => this.runOnce(options), newCorrelationId())
+      .catch((error) => log.error('Scheduled backup crashed', { error }))
+      .finally(() => {
+        this.running = null;
+      });
+    return this.running;
+  }
+
+  /**
+   * Back up now when the newest backup is older than one schedule period
+   */
+  async catchUp() {
+    const next = nextCronRun(this.cron);
+    const period = nextCronRun(this.cron, next).getTime() - next.getTime();
+
+    try {
+      const [newest] = await this.manager.listBackups();
+      const newestAt = backupTime(newest);
+      if (newestAt !== null && Date.now() - newestAt < period) return null;
+
+      log.info('Catching up on a missed scheduled backup', { newestBackup: newest?.timestamp ?? null });
+    } catch (error) {
+      log.warn('Could not list backups before the catch-up, backing up anyway', { error });
+    }
+    return this.trigger({ reason: 'catch-up' });
+  }
+
+  /**
+   * Create a backup and apply retention. With a `scheduledAt`, a backup
+   * another instance took since then counts for this run.
+   */
+  async runOnce({ scheduledAt = null, reason = 'schedule' } = {}) {
+    const run = { reason, startedAt: new Date().toISOString(), finishedAt: null, status: null };
+
+    try {
+      if (scheduledAt) {
+        const [newest] = await this.manager.listBackups();
+        if (backupTime(newest) >= scheduledAt.getTime()) {
+          log.info('Backup already taken for this run, skipping', { backup: newest.key });
+          return this.finish({ ...run, status: 'skipped', backup: newest.key });
+        }
+      }
+
+      run.backup = await this.manager.createBackup();
+      if (this.prune) {
+        const { pruned } = await this.manager.pruneBackups();
+        run.pruned = pruned.length;
+      }
+    } catch (error) {
+      log.error('Scheduled backup failed', { error, backup: run.backup ?? null });
+      const failed = this.finish({ ...run, status: 'failed', error: error.message });
+      await sendAlert(this.notifiers, createAlert({
+        event: 'backup-failed',
+        subject: run.backup ? 'Backup pruning failed' : 'Scheduled backup failed',
+        message: run.backup
+          ? `The backup ${run.backup} was created, but applying the retention policy failed: ${error.message}`
+          : `The scheduled backup failed: ${error.message}`,
+        details: {
+          reason,
+          consecutiveFailures: this.state.consecutiveFailures,
+          lastSuccessAt: this.state.lastSuccessAt ?? 'never',
+          storage: this.manager.settings?.values.HIVE_STORAGE_TYPE
+        }
+      }));
+      return failed;
+    }
+
+    const failuresBefore = this.state.consecutiveFailures;
+    const succeeded = this.finish({ ...run, status: 'succeeded' });
+    log.info('Scheduled backup finished', { backup: run.backup, pruned: run.pruned ?? 0, reason });
+
+    if (failuresBefore > 0) {
+      await sendAlert(this.notifiers, createAlert({
+        event: 'backup-recovered',
+        severity: 'info',
+        subject: 'Scheduled backups recovered',
+        message: `The backup ${run.backup} succeeded after ${failuresBefore} failed run(s).`,
+        details: { backup: run.backup }
+      }));
+    }
+    return succeeded;
+  }
+
+  finish(run) {
+    run.finishedAt = new Date().toISOString();
+    this.state.lastRun = run;
+
+    if (run.status === 'succeeded') {
+      this.state.lastSuccessAt = run.finishedAt;
+      this.state.consecutiveFailures = 0;
+      this.state.staleAlertedAt = null;
+    } else if (run.status === 'failed') {
+      this.state.lastFailureAt = run.finishedAt;
+      this.state.consecutiveFailures++;
+    }
+
+    this.writeState();
+    return run;
+  }
+
+  /**
+   * Alert when the newest backup is older than `staleAfter`, once per
+   * `staleAfter` while it stays that way. Returns whether backups are stale.
+   */
+  async checkStaleness(now = Date.now()) {
+    if (this.staleAfter <= 0) return false;
+
+    const [newest] = await this.manager.listBackups();
+    const newestAt = backupTime(newest);
+    if (newestAt !== null && now - newestAt <= this.staleAfter) {
+      // A backup taken outside the schedule ends the stale period too
+      if (this.state.staleAlertedAt) {
+        this.state.staleAlertedAt = null;
+        this.writeState();
+      }
+      return false;
+    }
+
+    const alertedAt = this.state.staleAlertedAt ? new Date(this.state.staleAlertedAt).getTime() : null;
+    if (alertedAt !== null && now - alertedAt < this.staleAfter) return true;
+
+    const hours = Math.round(this.staleAfter / 3600000);
+    await sendAlert(this.notifiers, createAlert({
+      event: 'backup-stale',
+      severity: 'warning',
+      subject: 'Backups are stale',
+      message: newest
+        ? `The newest backup (${newest.key}) is older than ${hours} hours.`
+        : 'There is no backup at all.',
+      details: {
+        newestBackupAt: newest?.timestamp ?? null,
+        schedule: this.state.schedule,
+        lastRunStatus: this.state.lastRun?.status ?? null,
+        lastRunError: this.state.lastRun?.error ?? null
+      }
+    }));
+
+    this.state.staleAlertedAt = new Date(now).toISOString();
+    this.writeState();
+    return true;
+  }
+
+  writeState() {
+    const statePath = path.join(this.stateDir, SCHEDULE_STATE_FILE);
+    try {
+      fs.mkdirSync(this.stateDir, { recursive: true });
+      fs.writeFileSync(`${statePath}.tmp`, JSON.stringify(this.state, null, 2));
+      fs.renameSync(`${statePath}.tmp`, statePath);
+    } catch (error) {
+      log.warn('Could not record the backup schedule state', { error });
+    }
+  }
+}
+
+// The scheduler being started, shared by concurrent calls
+let starting = null;
+
+/**
+ * Start the scheduler of a `HiveStorageConfig` when HIVE_BACKUP_SCHEDULE is
+ * set. Resolves to it, or `null` without a schedule. Calling it again, even
+ * before the first call resolved, returns the same one.
+ */
+export function startBackupScheduler(manager) {
+  starting ??= createBackupScheduler(manager).catch((error) => {
+    // A failed start, e.g. on an invalid configuration, may be retried
+    starting = null;
+    throw error;
+  });
+  return starting;
+}
+
+async function createBackupScheduler(manager) {
+  const { values } = await manager.loadSettings();
+  if (!values.HIVE_BACKUP_SCHEDULE) return null;
+
+  const notifiers = createAlertNotifiers(values);
+  if (notifiers.length === 0) {
+    log.warn('Scheduled backups have no alert channel, set BLADE_RESEND_API_KEY or HIVE_ALERT_WEBHOOK_URL');
+  }
+
+  return new BackupScheduler(manager, {
+    schedule: values.HIVE_BACKUP_SCHEDULE,
+    stateDir: values.HIVE_DISK_PATH,
+    prune: values.HIVE_BACKUP_PRUNE,
+    staleAfter: values.HIVE_BACKUP_STALE_AFTER,
+    notifiers
+  }).start();
+}
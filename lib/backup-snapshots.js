@@ -0,0 +1,401 @@
+/**
+ * Content-Addressed Backup Snapshots
+ * Backups are stored as deduplicated chunks keyed by their SHA-256 hash, plus
+ * one small manifest per snapshot that maps every key to its list of chunks.
+ * A new snapshot only writes the chunks that no earlier snapshot wrote, and a
+ * restore reads one key at a time instead of parsing a whole-database blob.
+ *
+ * With encryption, chunks are keyed by an HMAC under a key derived from the
+ * encryption key instead: chunk keys are visible to anyone who can list the
+ * storage, and a plain hash would let them confirm a guessed value.
+ *
+ * Snapshots reuse the chunks that exist when they start, so writing a
+ * snapshot and collecting unreferenced chunks never run at the same time.
+ */
+
+import crypto from 'crypto';
+import os from 'os';
+import { deriveKey } from './envelope-encryption.js';
+import { createLogger } from './logger.js';
+import { BACKUP_PREFIX, isInternalKey } from './storage-keys.js';
+
+export const CHUNK_PREFIX = `${BACKUP_PREFIX}chunks/`;
+export const SNAPSHOT_PREFIX = `${BACKUP_PREFIX}snapshots/`;
+export const LEGACY_BACKUP_PREFIX = `${BACKUP_PREFIX}backup-`;
+export const BACKUP_LOCK_KEY = `${BACKUP_PREFIX}lock`;
+export const SNAPSHOT_VERSION = '2.0';
+
+/**
+ * How long the backup lock stays valid without being refreshed, and how
+ * long to wait for it by default
+ */
+export const BACKUP_LOCK_TTL = 10 * 60 * 1000;
+
+/**
+ * Default chunk size in characters (1 MiB of UTF-16 code units)
+ */
+export const DEFAULT_CHUNK_SIZE = 1024 * 1024;
+
+const CHUNK_ID_SALT = Buffer.from('hive-backup-chunk-id');
+
+const log = createLogger('backup-snapshots');
+
+// Lock holders per storage within this process, in the order they asked
+const localLocks = new WeakMap();
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * SHA-256 hex digest of a string
+ */
+export function hashContent(content) {
+  return crypto.createHash('sha256').update(content, 'utf8').digest('hex');
+}
+
+async function readLock(storage) {
+  const lock = await storage.get(BACKUP_LOCK_KEY);
+  return typeof lock === 'string' ? JSON.parse(lock) : lock;
+}
+
+/**
+ * Take the backup lock in a storage, waiting up to `waitMs` for another
+ * holder. Key-value storages have no conditional writes, so the lock is
+ * written and read back; an expired lock (its holder crashed) is taken over.
+ */
+async function acquireBackupLock(storage, owner, { waitMs, ttl }) {
+  const deadline = Date.now() + waitMs;
+
+  while (true) {
+    const holder = await readLock(storage);
+
+    if (!holder || holder.owner === owner || Date.parse(holder.expiresAt) <= Date.now()) {
+      if (holder && holder.owner !== owner) {
+        log.warn('Taking over expired backup lock', { holder: holder.owner });
+      }
+      await storage.set(BACKUP_LOCK_KEY, JSON.stringify({
+        owner,
+        acquiredAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + ttl).toISOString()
+      }));
+
+      // Whoever wrote last won a race between instances
+      const written = await readLock(storage);
+      if (written?.owner === owner) return;
+      continue;
+    }
+
+    if (Date.now() >= deadline) {
+      throw new Error(`Backup lock is held by ${holder.owner} until ${holder.expiresAt}`);
+    }
+    log.info('Waiting for backup lock', { holder: holder.owner, expiresAt: holder.expiresAt });
+    await sleep(Math.max(0, Math.min(2000, deadline - Date.now())));
+  }
+}
+
+/**
+ * Run an operation while holding the backup lock of a storage. Operations of
+ * this process queue up first, other instances are kept out by the lock key.
+ */
+export async function withBackupLock(storage, operation, { waitMs = BACKUP_LOCK_TTL, ttl = BACKUP_LOCK_TTL } = {}) {
+  const previous = localLocks.get(storage) || Promise.resolve();
+  let release;
+  const current = new Promise((resolve) => { release = resolve; });
+  const queued = previous.then(() => current);
+  localLocks.set(storage, queued);
+
+  const owner = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+  let refresh = null;
+  let refreshing = Promise.resolve();
+
+  try {
+    await previous;
+    await acquireBackupLock(storage, owner, { waitMs, ttl });
+
+    // Long snapshots keep extending the lock
+    refresh = setInterval(() => {
+      refreshing = acquireBackupLock(storage, owner, { waitMs: 0, ttl }).catch((error) => {
+        log.warn('Failed to refresh backup lock', { error });
+      });
+    }, ttl / 3);
+    refresh.unref?.();
+
+    return await operation();
+  } finally {
+    if (refresh) {
+      clearInterval(refresh);
+      await refreshing;
+
+      // Never release a lock that expired and was taken over by someone else
+      const holder = await readLock(storage).catch(() => null);
+      if (holder?.owner === owner) {
+        await storage.delete(BACKUP_LOCK_KEY).catch((error) => {
+          log.warn('Failed to release backup lock', { error });
+        });
+      }
+    }
+    release();
+    if (localLocks.get(storage) === queued) localLocks.delete(storage);
+  }
+}
+
+/**
+ * Function that computes chunk IDs for a snapshot whose manifest records
+ * `chunkKeyId`: an HMAC-SHA256 under that encryption key, or the plain
+ * SHA-256 when it is `null` (no encryption, or written before chunk IDs were
+ * keyed)
+ */
+export function getChunkHasher(chunkKeyId, keyring = null) {
+  if (!chunkKeyId) return hashContent;
+
+  const passphrase = keyring?.find(chunkKeyId);
+  if (!passphrase) {
+    throw new Error(`The chunks of this snapshot are keyed with encryption key ${chunkKeyId}, add it to HIVE_ENCRYPTION_RETIRED_KEYS`);
+  }
+  const key = deriveKey(passphrase, CHUNK_ID_SALT);
+  return (content) => crypto.createHmac('sha256', key).update(content, 'utf8').digest('hex');
+}
+
+/**
+ * Storage key of the manifest for a snapshot name
+ */
+export function snapshotKey(name) {
+  return `${SNAPSHOT_PREFIX}${name}`;
+}
+
+/**
+ * Serialize a stored value so that it can be chunked
+ */
+function encodeValue(value) {
+  if (typeof value === 'string') {
+    return { encoding: 'utf8', content: value };
+  }
+  return { encoding: 'json', content: JSON.stringify(value) };
+}
+
+function decodeValue(content, encoding) {
+  return encoding === 'json' ? JSON.parse(content) : content;
+}
+
+function splitIntoChunks(content, chunkSize) {
+  if (content.length === 0) return [''];
+
+  const chunks = [];
+  for (let offset = 0; offset < content.length; offset += chunkSize) {
+    chunks.push(content.slice(offset, offset + chunkSize));
+  }
+  return chunks;
+}
+
+/**
+ * Write a snapshot of every application key in a storage. Pass the
+ * `keyring` of an encrypted storage to key the chunk IDs, and `lock` to
+ * change the options of the backup lock.
+ */
+export async function writeSnapshot(storage, name, options = {}) {
+  return withBackupLock(storage, () => writeSnapshotUnlocked(storage, name, options), options.lock);
+}
+
+async function writeSnapshotUnlocked(storage, name, options) {
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  const chunkKeyId = options.keyring?.currentKeyId ?? null;
+  const hashChunk = getChunkHasher(chunkKeyId, options.keyring);
+  const allKeys = await storage.list();
+
+  // Chunks written by earlier snapshots never need to be written again
+  const knownChunks = new Set(
+    allKeys
+      .filter((key) => key.startsWith(CHUNK_PREFIX))
+      .map((key) => key.slice(CHUNK_PREFIX.length))
+  );
+
+  const manifest = {
+    version: SNAPSHOT_VERSION,
+    name,
+    timestamp: new Date().toISOString(),
+    changeLogSeq: options.changeLogSeq ?? null,
+    chunkKeyId,
+    keyCount: 0,
+    byteSize: 0,
+    checksum: null,
+    entries: [],
+    stats: { chunksWritten: 0, chunksReused: 0, bytesWritten: 0 }
+  };
+  const checksum = crypto.createHash('sha256');
+
+  for (const key of allKeys) {
+    if (isInternalKey(key)) continue;
+
+    const value = await storage.get(key);
+    if (value === null || value === undefined) continue;
+
+    const { encoding, content } = encodeValue(value);
+    const chunks = [];
+
+    for (const chunk of splitIntoChunks(content, chunkSize)) {
+      const hash = hashChunk(chunk);
+      chunks.push(hash);
+
+      if (knownChunks.has(hash)) {
+        manifest.stats.chunksReused++;
+        continue;
+      }
+
+      await storage.set(`${CHUNK_PREFIX}${hash}`, chunk);
+      knownChunks.add(hash);
+      manifest.stats.chunksWritten++;
+      manifest.stats.bytesWritten += Buffer.byteLength(chunk, 'utf8');
+    }
+
+    manifest.entries.push({ key, encoding, size: content.length, chunks });
+    manifest.keyCount++;
+    manifest.byteSize += Buffer.byteLength(content, 'utf8');
+    checksum.update(`${key}\0${chunks.join(',')}\n`);
+  }
+
+  // Covers every key and the exact chunks it restores to
+  manifest.checksum = checksum.digest('hex');
+
+  // The manifest is written last so that a snapshot is never visible half-done
+  await storage.set(snapshotKey(name), JSON.stringify(manifest));
+  return manifest;
+}
+
+/**
+ * Read a snapshot manifest, or `null` if it does not exist
+ */
+export async function readSnapshotManifest(storage, key) {
+  const data = await storage.get(key);
+  if (data === null || data === undefined) return null;
+
+  const manifest = JSON.parse(data);
+  if (manifest.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported snapshot version: ${manifest.version}`);
+  }
+  return manifest;
+}
+
+/**
+ * Summary of a snapshot without its entries
+ */
+export function describeSnapshot(key, manifest) {
+  return {
+    key,
+    name: manifest.name,
+    timestamp: manifest.timestamp,
+    keyCount: manifest.keyCount,
+    byteSize: manifest.byteSize,
+    checksum: manifest.checksum,
+    changeLogSeq: manifest.changeLogSeq ?? null,
+    chunkKeyId: manifest.chunkKeyId ?? null,
+    legacy: false
+  };
+}
+
+/**
+ * Parse the timestamp encoded in a legacy `backups/backup-<timestamp>` key
+ */
+function parseLegacyTimestamp(name) {
+  const match = name.match(/^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/);
+  if (!match) return null;
+  const [, date, hours, minutes, seconds, millis] = match;
+  return `${date}T${hours}:${minutes}:${seconds}.${millis}Z`;
+}
+
+/**
+ * List every snapshot and legacy backup in a storage, newest first
+ */
+export async function listSnapshots(storage) {
+  const allKeys = await storage.list();
+  const backups = [];
+
+  for (const key of allKeys) {
+    if (key.startsWith(SNAPSHOT_PREFIX)) {
+      const manifest = await readSnapshotManifest(storage, key);
+      if (manifest) backups.push(describeSnapshot(key, manifest));
+    } else if (key.startsWith(LEGACY_BACKUP_PREFIX)) {
+      // Legacy blobs are not parsed here, they may be larger than memory allows
+      const name = key.slice(LEGACY_BACKUP_PREFIX.length);
+      backups.push({
+        key,
+        name,
+        timestamp: parseLegacyTimestamp(name),
+        keyCount: null,
+        byteSize: null,
+        checksum: null,
+        changeLogSeq: null,
+        chunkKeyId: null,
+        legacy: true
+      });
+    }
+  }
+
+  return backups.sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || ''));
+}
+
+/**
+ * Delete chunks that are no longer referenced by any snapshot
+ */
+export async function collectGarbageChunks(storage, options = {}) {
+  return withBackupLock(storage, () => collectGarbageChunksUnlocked(storage), options.lock);
+}
+
+async function collectGarbageChunksUnlocked(storage) {
+  const allKeys = await storage.list();
+  const referenced = new Set();
+
+  for (const key of allKeys) {
+    if (!key.startsWith(SNAPSHOT_PREFIX)) continue;
+    const manifest = await readSnapshotManifest(storage, key);
+    for (const entry of manifest?.entries || []) {
+      for (const hash of entry.chunks) referenced.add(hash);
+    }
+  }
+
+  let deleted = 0;
+  for (const key of allKeys) {
+    if (key.startsWith(CHUNK_PREFIX) && !referenced.has(key.slice(CHUNK_PREFIX.length))) {
+      await storage.delete(key);
+      deleted++;
+    }
+  }
+
+  return deleted;
+}
+
+/**
+ * Reassemble and verify the value of one manifest entry, with the hasher
+ * from `getChunkHasher()` for its snapshot
+ */
+export async function readSnapshotEntry(storage, entry, hashChunk = hashContent) {
+  let content = '';
+
+  for (const hash of entry.chunks) {
+    const chunk = await storage.get(`${CHUNK_PREFIX}${hash}`);
+    if (chunk === null || chunk === undefined) {
+      throw new Error(`Missing chunk ${hash} for key ${entry.key}`);
+    }
+    if (hashChunk(chunk) !== hash) {
+      throw new Error(`Corrupted chunk ${hash} for key ${entry.key}`);
+    }
+    content += chunk;
+  }
+
+  return decodeValue(content, entry.encoding);
+}
+
+/**
+ * Restore every key of a snapshot, one key at a time
+ */
+export async function restoreSnapshot(storage, manifest, keyring = null) {
+  const hashChunk = getChunkHasher(manifest.chunkKeyId, keyring);
+  let restored = 0;
+
+  for (const entry of manifest.entries) {
+    await storage.set(entry.key, await readSnapshotEntry(storage, entry, hashChunk));
+    restored++;
+  }
+
+  return restored;
+}
@@ -0,0 +1,162 @@
+/**
+ * Write-Ahead Change Log
+ * Wraps a storage so that every `set` and `delete` is first appended to an
+ * ordered, hash-chained log stored next to the data. Replaying the log on top
+ * of a snapshot reproduces the storage as it was at any point in time.
+ */
+
+import crypto from 'crypto';
+import { CHANGE_LOG_PREFIX, isInternalKey } from './storage-keys.js';
+
+const ENTRY_PREFIX = `${CHANGE_LOG_PREFIX}entries/`;
+const SEQ_DIGITS = 16;
+
+/**
+ * Storage key of the log entry with a given sequence number
+ */
+function entryKey(seq) {
+  return `${ENTRY_PREFIX}${String(seq).padStart(SEQ_DIGITS, '0')}`;
+}
+
+/**
+ * Checksum of an entry, chained to the checksum of the entry before it
+ */
+function checksumEntry(entry, previous) {
+  return crypto
+    .createHash('sha256')
+    .update([previous || '', entry.seq, entry.timestamp, entry.op, entry.key, JSON.stringify(entry.value ?? null)].join('\0'))
+    .digest('hex');
+}
+
+/**
+ * Sequence numbers of all log entries in a storage, ascending
+ */
+async function listEntrySeqs(storage) {
+  const allKeys = await storage.list();
+  return allKeys
+    .filter((key) => key.startsWith(ENTRY_PREFIX))
+    .map((key) => Number(key.slice(ENTRY_PREFIX.length)))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Read log entries in order, verifying that the checksum chain is intact.
+ * Entries are yielded one at a time so that long logs are never held in memory.
+ */
+export async function* readChangeLog(storage, options = {}) {
+  const afterSeq = options.afterSeq ?? 0;
+  const until = options.until ? new Date(options.until).toISOString() : null;
+  let previous = null;
+
+  for (const seq of await listEntrySeqs(storage)) {
+    const entry = JSON.parse(await storage.get(entryKey(seq)));
+
+    if (previous !== null && entry.previous !== previous) {
+      throw new Error(`Change log is broken before entry ${seq}`);
+    }
+    if (checksumEntry(entry, entry.previous) !== entry.checksum) {
+      throw new Error(`Change log entry ${seq} failed checksum verification`);
+    }
+    previous = entry.checksum;
+
+    if (seq <= afterSeq) continue;
+    if (until && entry.timestamp > until) return;
+    yield entry;
+  }
+}
+
+/**
+ * Delete log entries up to and including a sequence number
+ */
+export async function truncateChangeLog(storage, uptoSeq) {
+  let deleted = 0;
+  for (const seq of await listEntrySeqs(storage)) {
+    if (seq > uptoSeq) break;
+    await storage.delete(entryKey(seq));
+    deleted++;
+  }
+  return deleted;
+}
+
+/**
+ * Storage wrapper that logs every application write before applying it.
+ * Writes to internal keys (backups, the log itself) are applied unlogged.
+ */
+export class ChangeLogStorage {
+  constructor(storage) {
+    this.storage = storage;
+    this.head = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Load the sequence number and checksum of the newest log entry
+   */
+  async loadHead() {
+    if (this.head) return this.head;
+
+    const seqs = await listEntrySeqs(this.storage);
+    const lastSeq = seqs[seqs.length - 1];
+
+    if (lastSeq === undefined) {
+      this.head = { seq: 0, checksum: null };
+    } else {
+      const entry = JSON.parse(await this.storage.get(entryKey(lastSeq)));
+      this.head = { seq: entry.seq, checksum: entry.checksum };
+    }
+    return this.head;
+  }
+
+  /**
+   * Sequence number of the newest log entry
+   */
+  async getHeadSeq() {
+    await this.queue;
+    return (await this.loadHead()).seq;
+  }
+
+  /**
+   * Append an entry and then apply the write, strictly one write at a time
+   */
+  append(op, key, value, apply) {
+    const run = this.queue.then(async () => {
+      const head = await this.loadHead();
+      const entry = {
+        seq: head.seq + 1,
+        timestamp: new Date().toISOString(),
+        op,
+        key,
+        value: op === 'set' ? value : undefined,
+        previous: head.checksum
+      };
+      entry.checksum = checksumEntry(entry, head.checksum);
+
+      await this.storage.set(entryKey(entry.seq), JSON.stringify(entry));
+      this.head = { seq: entry.seq, checksum: entry.checksum };
+
+      return apply();
+    });
+
+    // A failed write must not block the writes queued behind it
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async get(key) {
+    return this.storage.get(key);
+  }
+
+  async list(...args) {
+    return this.storage.list(...args);
+  }
+
+  async set(key, value) {
+    if (isInternalKey(key)) return this.storage.set(key, value);
+    return this.append('set', key, value, () => this.storage.set(key, value));
+  }
+
+  async delete(key) {
+    if (isInternalKey(key)) return this.storage.delete(key);
+    return this.append('delete', key, undefined, () => this.storage.delete(key));
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * Circuit Breaker
+ * Stops calling a backend after repeated failures, so that a dead disk or an
+ * unreachable replica fails fast instead of slowing every request down. After
+ * `resetTimeout` ms one trial call is let through (half-open); its outcome
+ * closes the circuit again or keeps it open for another period.
+ */
+
+export class CircuitOpenError extends Error {
+  constructor(name, retryAt) {
+    super(`Circuit for ${name} is open until ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.retryAt = retryAt;
+  }
+}
+
+export class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold ?? 5;
+    this.resetTimeout = options.resetTimeout ?? 30000;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Whether a call would currently be attempted
+   */
+  get available() {
+    if (this.state === 'closed') return true;
+    if (this.state === 'open') return Date.now() - this.openedAt >= this.resetTimeout;
+    return !this.trialInFlight;
+  }
+
+  /**
+   * Run an operation through the breaker
+   */
+  async execute(operation) {
+    if (this.state === 'open') {
+      if (Date.now() - this.openedAt < this.resetTimeout) {
+        throw new CircuitOpenError(this.name, this.openedAt + this.resetTimeout);
+      }
+      this.state = 'half-open';
+    }
+
+    // Only one trial call at a time while half-open. Calls that started
+    // before the circuit opened neither end the trial nor decide the state.
+    const isTrial = this.state === 'half-open';
+    if (isTrial) {
+      if (this.trialInFlight) {
+        throw new CircuitOpenError(this.name, Date.now() + this.resetTimeout);
+      }
+      this.trialInFlight = true;
+    }
+
+    try {
+      const result = await operation();
+      this.onSuccess(isTrial);
+      return result;
+    } catch (error) {
+      this.onFailure(error, isTrial);
+      throw error;
+    } finally {
+      if (isTrial) this.trialInFlight = false;
+    }
+  }
+
+  onSuccess(isTrial = false) {
+    if (!isTrial && this.state !== 'closed') return;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  onFailure(error, isTrial = false) {
+    this.failures++;
+    this.lastError = error.message;
+    if (isTrial || (this.state === 'closed' && this.failures >= this.failureThreshold)) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt && new Date(this.openedAt).toISOString(),
+      lastError: this.lastError
+    };
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * Cron Expressions
+ * Standard five-field expressions (minute hour day-of-month month
+ * day-of-week) with `*`, lists, ranges and steps, plus the usual `@daily`
+ * style shortcuts. Times are UTC, like the clocks of most containers.
+ *
+ * As in cron, when both day fields are restricted a day matches either one.
+ */
+
+const ALIASES = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  // 7 is Sunday too
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Enough to find the next run of any valid expression (Feb 29 on a given weekday included)
+const MAX_SEARCH_YEARS = 28;
+
+export class CronParseError extends Error {
+  constructor(expression, reason) {
+    super(`Invalid cron expression "${expression}": ${reason}`);
+    this.name = 'CronParseError';
+  }
+}
+
+function parseNumber(expression, field, text) {
+  if (!/^\d+$/.test(text)) {
+    throw new CronParseError(expression, `"${text}" is not a number in the ${field.name} field`);
+  }
+  const value = Number(text);
+  if (value < field.min || value > field.max) {
+    throw new CronParseError(expression, `${value} is outside ${field.min}-${field.max} in the ${field.name} field`);
+  }
+  return value;
+}
+
+function parseField(expression, field, text) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseNumber(expression, { ...field, min: 1, max: field.max }, stepText);
+
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*') {
+      const [first, last] = range.split('-');
+      start = parseNumber(expression, field, first);
+      // `5/15` means from 5 to the end in steps of 15
+      end = last !== undefined ? parseNumber(expression, field, last) : stepText !== undefined ? field.max : start;
+      if (end < start) {
+        throw new CronParseError(expression, `range ${range} runs backwards in the ${field.name} field`);
+      }
+    }
+
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+
+  return { values, any: text === '*' };
+}
+
+/**
+ * Parse an expression, throwing a `CronParseError` that says what is wrong
+ */
+export function parseCron(expression) {
+  const source = ALIASES[expression.trim().toLowerCase()] ?? expression.trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new CronParseError(expression, `expected ${FIELDS.length} fields, got ${parts.length}`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) => parseField(expression, FIELDS[index], part));
+  if (dayOfWeek.values.delete(7)) dayOfWeek.values.add(0);
+
+  return { expression, minute, hour, dayOfMonth, month, dayOfWeek };
+}
+
+function matchesDay(schedule, date) {
+  const { dayOfMonth, dayOfWeek } = schedule;
+  const monthDay = dayOfMonth.values.has(date.getUTCDate());
+  const weekDay = dayOfWeek.values.has(date.getUTCDay());
+
+  if (dayOfMonth.any || dayOfWeek.any) return monthDay && weekDay;
+  return monthDay || weekDay;
+}
+
+/**
+ * First time after `after` (exclusive, to the minute) that the schedule
+ * fires. Takes an expression or the result of `parseCron()`.
+ */
+export function nextCronRun(schedule, after = new Date()) {
+  const parsed = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+  const date = new Date(after);
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  const limit = date.getTime() + MAX_SEARCH_YEARS * 366 * 24 * 60 * 60 * 1000;
+  while (date.getTime() <= limit) {
+    if (!parsed.month.values.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+    } else if (!matchesDay(parsed, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+    } else if (!parsed.hour.values.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+    } else if (!parsed.minute.values.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+
+  throw new CronParseError(parsed.expression, 'it never fires');
+}
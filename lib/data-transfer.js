@@ -0,0 +1,294 @@
+/**
+ * Logical Data Export and Import
+ * Streams the records of the schema's models to one NDJSON or CSV file per
+ * model (`accounts.ndjson`, `accounts.csv`, ...) plus a `manifest.json`, and
+ * reads them back into any storage, checked against the schema of the
+ * importing app.
+ *
+ * An import validates every file before it writes anything, so an invalid
+ * record or a conflict in `fail` mode leaves the storage untouched.
+ */
+
+import fs from 'fs';
+import { once } from 'events';
+import path from 'path';
+import readline from 'readline';
+import { ModelRecords } from './model-records.js';
+import { validateRecord } from './model-schema.js';
+
+export const EXPORT_FORMATS = { ndjson: 'ndjson', csv: 'csv' };
+export const CONFLICT_MODES = ['fail', 'skip', 'upsert'];
+export const MANIFEST_FILE = 'manifest.json';
+
+// Errors listed in a failed import, the rest are only counted
+const MAX_REPORTED_ERRORS = 50;
+
+export class DataImportError extends Error {
+  constructor(errors, errorCount = errors.length, { written = false } = {}) {
+    const listed = errors.map(({ model, file, line, message }) => `  - ${model} ${file}:${line}: ${message}`);
+    if (errorCount > errors.length) listed.push(`  ... and ${errorCount - errors.length} more`);
+    const summary = written
+      ? 'Import finished with errors, the records listed were not written'
+      : 'Import failed, nothing was written';
+    super(`${summary}:\n${listed.join('\n')}`);
+    this.name = 'DataImportError';
+    this.errors = errors;
+    this.errorCount = errorCount;
+    this.written = written;
+  }
+}
+
+function formatCsvCell(field, value) {
+  if (value === null || value === undefined) return '';
+  const text = field.type === 'json' || field.type === 'blob' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Split one CSV record into its cells, `null` while a quoted cell is still open
+ */
+function parseCsvRecord(text) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) return null;
+  cells.push(cell);
+  return cells;
+}
+
+/**
+ * Rows of an NDJSON or CSV file as `{ line, row }` or `{ line, error }`.
+ * In CSV, an empty cell is no value.
+ */
+async function* readRows(file, format) {
+  const lines = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+  let lineNumber = 0;
+  let header = null;
+  let pending = null;
+
+  for await (const line of lines) {
+    lineNumber++;
+    if (format === EXPORT_FORMATS.ndjson) {
+      if (!line.trim()) continue;
+      try {
+        const row = JSON.parse(line);
+        if (row === null || typeof row !== 'object' || Array.isArray(row)) throw new Error('not an object');
+        yield { line: lineNumber, row };
+      } catch (error) {
+        yield { line: lineNumber, error: `invalid JSON (${error.message})` };
+      }
+      continue;
+    }
+
+    // A quoted CSV cell may span lines
+    pending = pending ? { ...pending, text: `${pending.text}\n${line}` } : { line: lineNumber, text: line };
+    const cells = parseCsvRecord(pending.text);
+    if (!cells) continue;
+    const { line: start, text } = pending;
+    pending = null;
+
+    if (!header) {
+      header = cells;
+      continue;
+    }
+    if (!text.trim()) continue;
+    if (cells.length !== header.length) {
+      yield { line: start, error: `expected ${header.length} columns, got ${cells.length}` };
+      continue;
+    }
+    yield { line: start, row: Object.fromEntries(header.map((name, index) => [name, cells[index] === '' ? null : cells[index]])) };
+  }
+
+  if (pending) yield { line: pending.line, error: 'unterminated quoted cell' };
+}
+
+async function writeLine(stream, text) {
+  if (!stream.write(`${text}\n`)) await once(stream, 'drain');
+}
+
+/**
+ * Write every record of `models` to `dir`, one file per model in `format`
+ * (`ndjson` or `csv`). Returns the manifest, which is written too.
+ */
+export async function exportModels(storage, models, { dir, format = EXPORT_FORMATS.ndjson, onProgress } = {}) {
+  if (!EXPORT_FORMATS[format]) {
+    throw new Error(`Unknown export format "${format}", use ${Object.keys(EXPORT_FORMATS).join(' or ')}`);
+  }
+  fs.mkdirSync(dir, { recursive: true });
+
+  const manifest = { version: 1, format, exportedAt: new Date().toISOString(), models: {} };
+  for (const model of models) {
+    const file = `${model.pluralSlug}.${format}`;
+    const stream = fs.createWriteStream(path.join(dir, file));
+    const columns = [{ slug: 'id', type: 'string' }, ...model.fields];
+    let count = 0;
+
+    try {
+      if (format === EXPORT_FORMATS.csv) await writeLine(stream, columns.map((field) => field.slug).join(','));
+      for await (const record of new ModelRecords(storage, model).records()) {
+        await writeLine(stream, format === EXPORT_FORMATS.csv
+          ? columns.map((field) => formatCsvCell(field, record[field.slug])).join(',')
+          : JSON.stringify(record));
+        count++;
+      }
+    } finally {
+      stream.end();
+      await once(stream, 'close');
+    }
+
+    manifest.models[model.name] = {
+      slug: model.slug,
+      file,
+      count,
+      fields: Object.fromEntries(model.fields.map((field) => [field.slug, field.type]))
+    };
+    onProgress?.({ model: model.name, file, count });
+  }
+
+  fs.writeFileSync(path.join(dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+  return manifest;
+}
+
+/**
+ * The file and format to import each model from: as listed in the
+ * manifest, or `<plural slug>.<format>` without one
+ */
+function resolveImportFiles(dir, models, format) {
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+  const manifest = fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : null;
+  const fileFormat = format ?? manifest?.format ?? EXPORT_FORMATS.ndjson;
+  if (!EXPORT_FORMATS[fileFormat]) {
+    throw new Error(`Unknown import format "${fileFormat}", use ${Object.keys(EXPORT_FORMATS).join(' or ')}`);
+  }
+
+  return models.map((model) => {
+    const listed = manifest?.format === fileFormat
+      ? manifest.models[model.name] ?? Object.values(manifest.models).find((entry) => entry.slug === model.slug)
+      : null;
+    const file = listed?.file ?? `${model.pluralSlug}.${fileFormat}`;
+    return { model, file, path: path.join(dir, file), format: fileFormat };
+  });
+}
+
+async function importModel(storage, { model, file, rows }, { onConflict, write, report }) {
+  const records = await new ModelRecords(storage, model).loadIndex();
+  const result = { model: model.name, file, read: 0, created: 0, updated: 0, skipped: 0, unknownFields: new Set() };
+
+  for await (const { line, row, error } of rows()) {
+    if (error) {
+      report({ model: model.name, file, line, message: error });
+      continue;
+    }
+    result.read++;
+
+    const { record, errors, unknown } = validateRecord(model, row);
+    unknown.forEach((field) => result.unknownFields.add(field));
+    if (errors.length > 0) {
+      report({ model: model.name, file, line, message: errors.join('; ') });
+      continue;
+    }
+
+    const conflicts = records.findConflicts(record);
+    if (conflicts.length > 0) {
+      const described = conflicts.map(({ id, fields }) => `${id} (${fields.join(', ')})`).join(' and ');
+      if (onConflict === 'skip') {
+        result.skipped++;
+        continue;
+      }
+      if (onConflict === 'fail' || conflicts.length > 1) {
+        report({ model: model.name, file, line, message: `conflicts with ${conflicts.length > 1 ? 'the records' : 'record'} ${described}` });
+        continue;
+      }
+      // Upsert into the record it matched, keeping that record's ID
+      record.id = conflicts[0].id;
+      result.updated++;
+    } else {
+      result.created++;
+    }
+
+    if (write) {
+      await records.put(record);
+    } else {
+      records.indexRecord(record);
+    }
+  }
+
+  return { ...result, unknownFields: [...result.unknownFields] };
+}
+
+/**
+ * Validate and write records of several models, each source being
+ * `{ model, file, rows }` with `rows()` yielding `{ line, row }` or
+ * `{ line, error }` and starting over on every call. `onConflict` decides
+ * what happens to a record whose ID or unique field matches a stored one:
+ * `fail` the import, `skip` the record or `upsert` it into the stored one.
+ * Throws a `DataImportError` listing every problem before anything is written.
+ */
+export async function writeModelRecords(storage, sources, { onConflict = 'fail', dryRun = false } = {}) {
+  if (!CONFLICT_MODES.includes(onConflict)) {
+    throw new Error(`Unknown conflict mode "${onConflict}", use ${CONFLICT_MODES.join(', ')}`);
+  }
+
+  const errors = [];
+  let errorCount = 0;
+  const report = (error) => {
+    errorCount++;
+    if (errors.length < MAX_REPORTED_ERRORS) errors.push(error);
+  };
+
+  const plan = [];
+  for (const source of sources) {
+    plan.push(await importModel(storage, source, { onConflict, write: false, report }));
+  }
+  if (errorCount > 0) throw new DataImportError(errors, errorCount);
+  if (dryRun) return { models: plan, dryRun: true };
+
+  const written = [];
+  for (const source of sources) {
+    written.push(await importModel(storage, source, { onConflict, write: true, report }));
+  }
+  // Only when the storage changed while the import ran
+  if (errorCount > 0) throw new DataImportError(errors, errorCount, { written: true });
+  return { models: written, dryRun: false };
+}
+
+/**
+ * Import the files in `dir` into `storage`, see `writeModelRecords()`
+ */
+export async function importModels(storage, models, { dir, format, onConflict = 'fail', dryRun = false } = {}) {
+  const files = resolveImportFiles(dir, models, format);
+  const present = files.filter((entry) => fs.existsSync(entry.path));
+  const missing = files.filter((entry) => !fs.existsSync(entry.path)).map((entry) => entry.model.name);
+  if (present.length === 0) {
+    throw new Error(`No files to import in ${dir}, expected ${files.map((entry) => entry.file).join(', ')}`);
+  }
+
+  const sources = present.map(({ model, file, path: filePath, format: fileFormat }) => ({
+    model,
+    file,
+    rows: () => readRows(filePath, fileFormat)
+  }));
+  return { ...(await writeModelRecords(storage, sources, { onConflict, dryRun })), missing };
+}
@@ -0,0 +1,612 @@
+/**
+ * Database Sync for Embedded Hive Database
+ * Uploads and downloads the local SQLite file (`databases/main/db.sqlite`) to
+ * and from S3 or a remote storage API. Shared by the db:sync:* commands and
+ * the startup bootstrap. Uploads and downloads hold a lock object next to the
+ * database copy, so two instances never move it at the same time.
+ *
+ * Every upload bumps a revision counter in the remote metadata, and the local
+ * `sync-state.json` remembers the revision and checksum of the last sync.
+ * Comparing those (instead of file mtimes) tells which side changed, and
+ * reveals a conflict when both did.
+ *
+ * The database file is streamed from a snapshot on disk and never held in
+ * memory: S3 gets a multipart upload with a SHA-256 checksum per part and is
+ * read back in ranges, so databases of several GB sync in constant memory.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { resolveSettingValues } from './hive-config.js';
+import { createVerifiedSnapshot, hashFile } from './sqlite-snapshot.js';
+import {
+  createSyncTarget,
+  getReplicaBackends,
+  getStorageBackend,
+  listStorageBackends,
+  resolveBackendName,
+  resolveStorageOptions
+} from './storage-backends.js';
+import { RemoteAPIStorageManager, S3StorageManager } from './sync-targets.js';
+import { createLogger, newCorrelationId, withCorrelationId } from './logger.js';
+import { recordSyncSuccess, syncFailures } from './storage-metrics.js';
+
+const LOCK_KEY = 'sync.lock';
+const SYNC_STATE_FILE = 'sync-state.json';
+const SQLITE_HEADER = Buffer.from('SQLite format 3\0', 'latin1');
+const MB = 1024 * 1024;
+// S3 rejects multipart parts below 5 MB (except the last one)
+const MIN_PART_SIZE = 5 * MB;
+
+/**
+ * Resolve the sync configuration from the environment. Backend settings are
+ * the app's own (see `resolveStorageOptions()`), so both use the same data.
+ */
+export function getSyncConfig(env = process.env) {
+  const values = resolveSettingValues(env);
+  const storage = resolveStorageOptions(env);
+
+  return {
+    storageType: resolveSyncTarget(env),
+    storage,
+    localPath: storage.dir,
+    backupDir: env.BACKUP_DIR || './backups',
+    // Current key plus HIVE_ENCRYPTION_RETIRED_KEYS, so rotated uploads stay readable
+    keyring: storage.keyring,
+    encrypt: values.HIVE_SYNC_ENCRYPT,
+    lockTtl: values.HIVE_SYNC_LOCK_TTL,
+    transfer: {
+      partSize: Math.max(MIN_PART_SIZE, values.HIVE_SYNC_PART_SIZE_MB * MB),
+      concurrency: values.HIVE_SYNC_PART_CONCURRENCY,
+      retries: values.HIVE_SYNC_PART_RETRIES
+    }
+  };
+}
+
+/**
+ * Backend the database file is synced with: HIVE_SYNC_TARGET, or the storage
+ * type itself. Disk storage with HIVE_SYNC_TARGET=s3 keeps the database on a
+ * volume and a copy in S3; replication syncs with its first replica.
+ */
+export function resolveSyncTarget(env = process.env) {
+  if (env.HIVE_SYNC_TARGET) return env.HIVE_SYNC_TARGET;
+
+  const storageType = env.HIVE_STORAGE_TYPE || 'disk';
+  if (storageType === 'replication') {
+    const [replica] = getReplicaBackends(env);
+    if (replica) return replica;
+  }
+  return storageType;
+}
+
+/**
+ * Where db:sync:* kept its copy before it shared the app's storage settings:
+ * under `hive-databases/main` (or HIVE_S3_PREFIX) on S3, and at the key root
+ * on remote storage. Only read from, when the current location has no copy.
+ */
+function createLegacySyncTarget(config) {
+  const { storage } = config;
+
+  switch (resolveBackendName(config.storageType)) {
+    case 's3':
+      return new S3StorageManager({ ...storage.s3, prefix: storage.env.HIVE_S3_PREFIX || 'hive-databases/main' }, config);
+    case 'remote':
+      return new RemoteAPIStorageManager(storage.remote, config);
+    default:
+      return null;
+  }
+}
+
+const log = createLogger('database-sync');
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Decide the sync direction from the local checksum, the remote metadata and
+ * the state of the last sync: `in-sync`, `upload`, `download`, `conflict`, or
+ * `unknown` when there was no earlier sync to compare against
+ */
+export function planSync(localChecksum, remote, state) {
+  if (!remote) return localChecksum ? 'upload' : 'in-sync';
+  if (!localChecksum) return 'download';
+  if (remote.checksum === localChecksum) return 'in-sync';
+  if (!state) return 'unknown';
+
+  const localChanged = state.checksum !== localChecksum;
+  const remoteChanged = (remote.revision ?? 0) > state.revision;
+  if (localChanged && remoteChanged) return 'conflict';
+  if (localChanged) return 'upload';
+  if (remoteChanged) return 'download';
+  return 'unknown';
+}
+
+function readFileHeader(filePath, length) {
+  const header = Buffer.alloc(length);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    return header.subarray(0, fs.readSync(fd, header, 0, length, 0));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Whether a local database file is missing or empty
+ */
+export function isDatabaseMissing(dbPath) {
+  try {
+    return fs.statSync(dbPath).size === 0;
+  } catch (error) {
+    if (error.code === 'ENOENT') return true;
+    throw error;
+  }
+}
+
+// Main sync functionality
+export class DatabaseSyncer {
+  constructor(config = getSyncConfig()) {
+    this.config = config;
+    this.storageManager = null;
+    this.dbPath = path.join(config.localPath, 'databases/main/db.sqlite');
+    this.lockOwner = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+  }
+
+  async initialize({ requireLocalDatabase = true } = {}) {
+    log.info('Initializing database syncer', { target: this.config.storageType });
+
+    // Create storage manager from the backend registry
+    const backendName = resolveBackendName(this.config.storageType);
+    if (backendName === 'disk') {
+      log.warn('Local disk storage detected, no remote sync needed. Set HIVE_SYNC_TARGET=s3 or HIVE_SYNC_TARGET=remote to keep a remote copy');
+      return false;
+    }
+    if (!backendName) {
+      const targets = listStorageBackends().filter((backend) => backend.createSyncTarget).map((backend) => backend.name);
+      log.error('Unsupported sync target', { target: this.config.storageType, supported: targets });
+      return false;
+    }
+
+    this.storageManager = createSyncTarget(backendName, this.config.storage, this.config);
+    if (!this.storageManager) {
+      log.error('Backend cannot hold database copies', { backend: getStorageBackend(backendName).name });
+      return false;
+    }
+
+    // Never encrypt with a throwaway key, the upload could not be decrypted later
+    if (this.config.encrypt && !this.config.keyring) {
+      log.error('HIVE_ENCRYPTION_KEY is required to encrypt synced data. Generate one with: openssl rand -base64 32 (or set HIVE_SYNC_ENCRYPT=false)');
+      return false;
+    }
+
+    // Initialize storage manager
+    const initialized = await this.storageManager.initialize();
+    if (!initialized) {
+      return false;
+    }
+
+    // Check if local database exists
+    if (requireLocalDatabase && !fs.existsSync(this.dbPath)) {
+      log.warn('Local database not found. Run your app first to create it.', { path: this.dbPath });
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Take the sync lock, waiting up to `waitMs` for another holder to release
+   * it. An expired lock (its holder crashed) is taken over.
+   */
+  async acquireLock({ waitMs = 0 } = {}) {
+    const deadline = Date.now() + waitMs;
+
+    while (true) {
+      const lock = JSON.stringify({
+        owner: this.lockOwner,
+        acquiredAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + this.config.lockTtl).toISOString()
+      });
+
+      if (await this.storageManager.writeObject(LOCK_KEY, lock, { ifNoneMatch: '*' })) {
+        return { acquired: true };
+      }
+
+      const current = await this.storageManager.readObject(LOCK_KEY);
+      if (current) {
+        const holder = JSON.parse(current.data.toString('utf8'));
+
+        // Only one of several instances can replace the expired lock's ETag
+        if (Date.parse(holder.expiresAt) <= Date.now()) {
+          log.warn('Taking over expired sync lock', { holder: holder.owner });
+          if (await this.storageManager.writeObject(LOCK_KEY, lock, { ifMatch: current.etag })) {
+            return { acquired: true };
+          }
+          continue;
+        }
+
+        if (Date.now() >= deadline) {
+          return { acquired: false, holder };
+        }
+        log.info('Waiting for sync lock', { holder: holder.owner, expiresAt: holder.expiresAt });
+      }
+
+      await sleep(Math.max(0, Math.min(2000, deadline - Date.now())));
+    }
+  }
+
+  async releaseLock() {
+    const current = await this.storageManager.readObject(LOCK_KEY);
+    if (!current) return;
+
+    // Never release a lock that expired and was taken over by someone else
+    const holder = JSON.parse(current.data.toString('utf8'));
+    if (holder.owner === this.lockOwner) {
+      await this.storageManager.deleteObject(LOCK_KEY);
+    }
+  }
+
+  /**
+   * Run an operation while holding the sync lock
+   */
+  async withLock(operation, options = {}) {
+    const lock = await this.acquireLock(options);
+    if (!lock.acquired) {
+      throw new Error(`Sync lock is held by ${lock.holder.owner} until ${lock.holder.expiresAt}`);
+    }
+
+    try {
+      return await operation();
+    } finally {
+      await this.releaseLock().catch((error) => {
+        log.warn('Failed to release sync lock', { error });
+      });
+    }
+  }
+
+  /**
+   * The sync target at the location used before the storage settings were
+   * shared with the app, or `null` if there is none or it is unreachable
+   */
+  async openLegacySyncTarget() {
+    const legacy = createLegacySyncTarget(this.config);
+    if (!legacy) return null;
+    return (await legacy.initialize()) ? legacy : null;
+  }
+
+  readSyncState() {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.config.localPath, SYNC_STATE_FILE), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  writeSyncState(state) {
+    const statePath = path.join(this.config.localPath, SYNC_STATE_FILE);
+    const syncedAt = new Date();
+    fs.writeFileSync(`${statePath}.tmp`, JSON.stringify({ ...state, syncedAt: syncedAt.toISOString() }, null, 2));
+    fs.renameSync(`${statePath}.tmp`, statePath);
+    recordSyncSuccess(syncedAt);
+  }
+
+  async getRemoteMetadata() {
+    const metadataData = await this.storageManager.download('metadata.json');
+    return metadataData ? JSON.parse(metadataData.toString('utf8')) : null;
+  }
+
+  /**
+   * Take a consistent, integrity-checked snapshot of the local database into
+   * a temporary file, or `null` if there is none. Pass it to
+   * `discardSnapshot()` when done.
+   */
+  async takeSnapshot() {
+    if (isDatabaseMissing(this.dbPath)) return null;
+
+    const snapshotPath = path.join(os.tmpdir(), `hive-sync-${process.pid}-${crypto.randomUUID().slice(0, 8)}.sqlite`);
+    try {
+      const { method, integrity } = await createVerifiedSnapshot(this.dbPath, snapshotPath);
+      if (integrity.ok === null) {
+        log.warn(integrity.result[0]);
+      }
+
+      return {
+        path: snapshotPath,
+        size: fs.statSync(snapshotPath).size,
+        method,
+        integrity,
+        checksum: hashFile(snapshotPath)
+      };
+    } catch (error) {
+      fs.rmSync(snapshotPath, { force: true });
+      throw error;
+    }
+  }
+
+  discardSnapshot(snapshot) {
+    if (snapshot) fs.rmSync(snapshot.path, { force: true });
+  }
+
+  /**
+   * Upload a snapshot of the local database as the next revision. Refuses to
+   * overwrite a remote copy that changed since the last sync unless `force`.
+   * A snapshot passed in stays with the caller; one taken here is discarded.
+   */
+  async uploadDatabase({ force = false, snapshot = null } = {}) {
+    const ownSnapshot = !snapshot;
+
+    try {
+      log.info('Uploading database to remote storage');
+
+      snapshot ??= await this.takeSnapshot();
+      if (!snapshot) {
+        log.warn('Local database not found. Run your app first to create it.', { path: this.dbPath });
+        return false;
+      }
+
+      const remote = await this.getRemoteMetadata();
+      const direction = planSync(snapshot.checksum, remote, this.readSyncState());
+
+      if (direction === 'in-sync') {
+        this.writeSyncState({ revision: remote?.revision ?? 0, checksum: snapshot.checksum });
+        log.info('Remote copy is already up to date', { revision: remote?.revision ?? 0 });
+        return true;
+      }
+      if (!force && ['conflict', 'unknown', 'download'].includes(direction)) {
+        syncFailures.inc({ operation: 'upload' });
+        log.error('Remote copy changed since this instance last synced. Download it, or upload with --force to overwrite it', {
+          revision: remote.revision ?? 0,
+          direction
+        });
+        return false;
+      }
+
+      // Upload database file, streamed from the snapshot
+      const stored = await this.storageManager.uploadFile('db.sqlite', snapshot.path);
+
+      // Create backup info
+      const backupInfo = {
+        timestamp: new Date().toISOString(),
+        size: snapshot.size,
+        checksum: snapshot.checksum,
+        version: '1.0',
+        revision: (remote?.revision ?? 0) + 1,
+        uploadedBy: this.lockOwner,
+        snapshotMethod: snapshot.method,
+        integrity: snapshot.integrity,
+        storedSize: stored.size,
+        ...(stored.parts && { parts: stored.parts })
+      };
+
+      // Upload metadata
+      await this.storageManager.upload('metadata.json', JSON.stringify(backupInfo, null, 2));
+      this.writeSyncState({ revision: backupInfo.revision, checksum: backupInfo.checksum });
+
+      log.info(`Database uploaded successfully as revision ${backupInfo.revision}`, {
+        revision: backupInfo.revision,
+        size: backupInfo.size,
+        checksum: backupInfo.checksum
+      });
+      return true;
+    } catch (error) {
+      syncFailures.inc({ operation: 'upload' });
+      log.error('Upload failed', { error });
+      return false;
+    } finally {
+      if (ownSnapshot) this.discardSnapshot(snapshot);
+    }
+  }
+
+  /**
+   * Download and verify the remote copy. Returns `restored`, `not-found`
+   * (there is no remote copy yet) or `failed`.
+   */
+  async downloadDatabase() {
+    const downloadPath = `${this.dbPath}.download`;
+    const fail = (message, fields) => {
+      syncFailures.inc({ operation: 'download' });
+      log.error(message, fields);
+      return 'failed';
+    };
+
+    try {
+      log.info('Downloading database from remote storage');
+
+      // Download metadata first
+      let source = this.storageManager;
+      let metadataData = await source.download('metadata.json');
+      if (!metadataData) {
+        const legacy = await this.openLegacySyncTarget();
+        metadataData = legacy && await legacy.download('metadata.json');
+        if (metadataData) {
+          source = legacy;
+          log.warn('Restoring the copy from the previous sync location, the next upload moves it');
+        }
+      }
+      if (!metadataData) {
+        log.warn('No remote database found');
+        return 'not-found';
+      }
+
+      const metadata = JSON.parse(metadataData.toString('utf8'));
+      log.info('Remote database found', { revision: metadata.revision ?? 0, timestamp: metadata.timestamp, size: metadata.size });
+
+      // Stream the database file next to the local one, so the rename is atomic
+      fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+      const downloaded = await source.downloadFile('db.sqlite', downloadPath, { parts: metadata.parts });
+      if (!downloaded) {
+        return fail('Database file not found in remote storage');
+      }
+
+      // Verify checksum
+      if (downloaded.checksum !== metadata.checksum) {
+        return fail('Checksum mismatch, the remote copy may be corrupted', {
+          expected: metadata.checksum,
+          actual: downloaded.checksum
+        });
+      }
+      if (!readFileHeader(downloadPath, SQLITE_HEADER.length).equals(SQLITE_HEADER)) {
+        return fail('Remote copy is not a SQLite database');
+      }
+
+      // Create backup of current local database
+      if (fs.existsSync(this.dbPath)) {
+        const backupPath = path.join(this.config.backupDir, `db-backup-${Date.now()}.sqlite`);
+        fs.mkdirSync(this.config.backupDir, { recursive: true });
+        fs.copyFileSync(this.dbPath, backupPath);
+        log.info('Local backup created', { path: backupPath });
+      }
+
+      // Replace the database atomically, and drop journal files that belong
+      // to the database being replaced
+      fs.rmSync(`${this.dbPath}-wal`, { force: true });
+      fs.rmSync(`${this.dbPath}-shm`, { force: true });
+      fs.renameSync(downloadPath, this.dbPath);
+      this.writeSyncState({ revision: metadata.revision ?? 0, checksum: downloaded.checksum });
+
+      log.info('Database downloaded and restored successfully', { revision: metadata.revision ?? 0 });
+      return 'restored';
+    } catch (error) {
+      return fail('Download failed', { error });
+    } finally {
+      fs.rmSync(downloadPath, { force: true });
+    }
+  }
+
+  /**
+   * Compare the local database with the remote copy and log the result.
+   * Returns the comparison (`direction`, `message`, `local`, `remote`,
+   * `lastSync`), or `null` if either side could not be read.
+   */
+  async syncStatus() {
+    try {
+      log.info('Checking sync status');
+
+      const snapshot = await this.takeSnapshot();
+      this.discardSnapshot(snapshot);
+      const remoteMetadata = await this.getRemoteMetadata();
+      const state = this.readSyncState();
+      const direction = planSync(snapshot?.checksum, remoteMetadata, state);
+
+      const messages = {
+        'in-sync': 'Databases are in sync',
+        upload: 'Local database changed, upload recommended',
+        download: 'Remote database changed, download recommended',
+        conflict: 'Both copies changed since the last sync, pick one with download or upload --force',
+        unknown: 'No earlier sync to compare against, pick one with download or upload --force'
+      };
+      const status = {
+        direction,
+        local: snapshot ? { checksum: snapshot.checksum.slice(0, 12), size: snapshot.size } : null,
+        remote: remoteMetadata ? {
+          revision: remoteMetadata.revision ?? 0,
+          checksum: remoteMetadata.checksum.slice(0, 12),
+          size: remoteMetadata.size,
+          timestamp: remoteMetadata.timestamp
+        } : null,
+        lastSync: state ? { revision: state.revision, syncedAt: state.syncedAt } : null
+      };
+      log[direction === 'in-sync' ? 'info' : 'warn'](messages[direction], status);
+
+      return { ...status, message: messages[direction] };
+    } catch (error) {
+      log.error('Status check failed', { error });
+      return null;
+    }
+  }
+}
+
+/**
+ * Uploads snapshots of the local database in the background: every
+ * `interval` ms and after `writeThreshold` write bursts on the database files,
+ * but only when the snapshot's hash changed. `stop()` flushes one last upload.
+ */
+export class SyncWatcher {
+  constructor(syncer, options = {}) {
+    this.syncer = syncer;
+    this.interval = options.interval ?? 60000;
+    this.writeThreshold = options.writeThreshold ?? 50;
+    this.lockWait = options.lockWait ?? 30000;
+    this.writes = 0;
+    this.lastWriteAt = 0;
+    this.running = null;
+    this.pending = false;
+    this.timer = null;
+    this.watcher = null;
+  }
+
+  start() {
+    const dir = path.dirname(this.syncer.dbPath);
+    const base = path.basename(this.syncer.dbPath);
+
+    this.watcher = fs.watch(dir, (event, file) => {
+      if (file && file.startsWith(base) && !file.endsWith('.download')) this.onWrite();
+    });
+    this.timer = setInterval(() => this.trigger('interval'), this.interval);
+    log.info('Watching the database for changes', {
+      path: this.syncer.dbPath,
+      interval: this.interval,
+      writeThreshold: this.writeThreshold
+    });
+  }
+
+  // A transaction touches the files several times, so events close together count once
+  onWrite() {
+    const now = Date.now();
+    if (now - this.lastWriteAt > 250) this.writes++;
+    this.lastWriteAt = now;
+
+    if (this.writes >= this.writeThreshold) this.trigger('writes');
+  }
+
+  trigger(reason) {
+    if (this.running) {
+      this.pending = true;
+      return this.running;
+    }
+
+    // Every background sync is its own operation, not part of whatever started the watcher
+    this.running = withCorrelationId(() => this.syncOnce(reason), newCorrelationId())
+      .catch((error) => log.error('Background sync failed', { error }))
+      .finally(() => {
+        this.running = null;
+        if (this.pending) {
+          this.pending = false;
+          this.trigger('pending');
+        }
+      });
+    return this.running;
+  }
+
+  async syncOnce(reason) {
+    this.writes = 0;
+    const snapshot = await this.syncer.takeSnapshot();
+    if (!snapshot) return;
+
+    try {
+      // Unchanged content needs no remote round trip at all
+      if (snapshot.checksum === this.syncer.readSyncState()?.checksum) return;
+
+      log.info('Database changed, syncing', { reason });
+      await this.syncer.withLock(() => this.syncer.uploadDatabase({ snapshot }), { waitMs: this.lockWait });
+    } finally {
+      this.syncer.discardSnapshot(snapshot);
+    }
+  }
+
+  /**
+   * Stop watching and upload whatever changed since the last sync
+   */
+  async stop() {
+    this.watcher?.close();
+    clearInterval(this.timer);
+    this.pending = false;
+
+    await this.running;
+    await this.trigger('shutdown');
+  }
+}
@@ -0,0 +1,468 @@
+/**
+ * Envelope Encryption for Hive Data
+ * Every payload is encrypted with its own random data key (AES-256-GCM), and
+ * that data key is wrapped with a key-encryption key derived from the
+ * configured passphrase via scrypt. Envelopes carry the IVs, auth tags, KDF
+ * salt and a key ID, so they can be decrypted later by any process that knows
+ * the passphrase — and rejected with a clear error by one that does not.
+ *
+ * Large files are encrypted as streams instead: one envelope header followed
+ * by independently authenticated frames, so neither side buffers the file.
+ */
+
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { createLogger } from './logger.js';
+
+const log = createLogger('encryption');
+
+export const ENVELOPE_VERSION = 1;
+export const ALGORITHM = 'aes-256-gcm';
+
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const SALT_LENGTH = 16;
+const AAD = Buffer.from('hive-database', 'utf8');
+const KEY_ID_SALT = 'hive-key-id';
+const SCRYPT_OPTIONS = { N: 16384, r: 8, p: 1 };
+
+// Streams: magic, header length, JSON header, then frames of
+// [flags][plaintext length][ciphertext][tag]
+export const STREAM_FORMAT = 'stream-v1';
+const STREAM_MAGIC = Buffer.from('HIVESTR1', 'latin1');
+const STREAM_PREFIX_LENGTH = STREAM_MAGIC.length + 4;
+const MAX_STREAM_HEADER_LENGTH = 64 * 1024;
+const FRAME_HEADER_LENGTH = 5;
+const TAG_LENGTH = 16;
+const FINAL_FRAME = 1;
+const DEFAULT_FRAME_SIZE = 64 * 1024;
+
+// scrypt is deliberately slow, so derived keys are cached per process
+const derivedKeys = new Map();
+const keyIds = new Map();
+let processSalt = null;
+
+/**
+ * Derive a 256-bit key-encryption key from a passphrase and salt
+ */
+export function deriveKey(passphrase, salt) {
+  const cacheKey = `${salt.toString('base64')}:${passphrase}`;
+  if (!derivedKeys.has(cacheKey)) {
+    derivedKeys.set(cacheKey, crypto.scryptSync(passphrase, salt, KEY_LENGTH, SCRYPT_OPTIONS));
+  }
+  return derivedKeys.get(cacheKey);
+}
+
+/**
+ * Stable, non-secret identifier of a passphrase
+ */
+export function getKeyId(passphrase) {
+  if (!keyIds.has(passphrase)) {
+    const digest = crypto.scryptSync(passphrase, KEY_ID_SALT, KEY_LENGTH, SCRYPT_OPTIONS);
+    keyIds.set(passphrase, digest.toString('hex').slice(0, 16));
+  }
+  return keyIds.get(passphrase);
+}
+
+/**
+ * The current passphrase plus retired ones, looked up by key ID.
+ * Writes always use the current key, reads accept any known key.
+ */
+export class Keyring {
+  constructor(current, retired = []) {
+    if (!current) {
+      throw new Error('A keyring needs a current key');
+    }
+    this.current = current;
+    this.currentKeyId = getKeyId(current);
+    this.keys = new Map([[this.currentKeyId, current]]);
+    for (const passphrase of retired) {
+      this.keys.set(getKeyId(passphrase), passphrase);
+    }
+  }
+
+  /**
+   * Passphrase for a key ID, or `null` if the key is unknown
+   */
+  find(keyId) {
+    return this.keys.get(keyId) ?? null;
+  }
+
+  get keyIds() {
+    return [...this.keys.keys()];
+  }
+}
+
+/**
+ * Build a keyring from HIVE_ENCRYPTION_KEY and the comma-separated
+ * HIVE_ENCRYPTION_RETIRED_KEYS, or `null` when no key is configured
+ */
+export function getKeyring(env = process.env) {
+  const current = env.HIVE_ENCRYPTION_KEY || env.ENCRYPTION_KEY;
+  if (!current) return null;
+
+  const retired = (env.HIVE_ENCRYPTION_RETIRED_KEYS || '')
+    .split(',')
+    .map((passphrase) => passphrase.trim())
+    .filter(Boolean);
+  return new Keyring(current, retired);
+}
+
+/**
+ * Resolve the encryption passphrase from the environment, or fail loudly.
+ * A generated key would make everything it encrypts impossible to decrypt.
+ */
+export function requireEncryptionKey(env = process.env) {
+  const passphrase = env.HIVE_ENCRYPTION_KEY || env.ENCRYPTION_KEY;
+  if (!passphrase) {
+    throw new Error('HIVE_ENCRYPTION_KEY is required for encryption (generate one with: openssl rand -base64 32)');
+  }
+  return passphrase;
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(AAD);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+}
+
+function open(key, { iv, tag, ciphertext }) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAAD(AAD);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Generate a random data key and the envelope fields that wrap it with the
+ * key-encryption key of a passphrase or of a keyring's current key
+ */
+function createDataKey(keys) {
+  const passphrase = keys instanceof Keyring ? keys.current : keys;
+  if (!passphrase) {
+    throw new Error('Refusing to encrypt without a key');
+  }
+
+  processSalt ??= crypto.randomBytes(SALT_LENGTH);
+  const kek = deriveKey(passphrase, processSalt);
+  const dataKey = crypto.randomBytes(KEY_LENGTH);
+  const wrapped = seal(kek, dataKey);
+
+  return {
+    dataKey,
+    header: {
+      v: ENVELOPE_VERSION,
+      alg: ALGORITHM,
+      kid: getKeyId(passphrase),
+      kdf: { name: 'scrypt', salt: processSalt.toString('base64'), ...SCRYPT_OPTIONS },
+      key: {
+        iv: wrapped.iv.toString('base64'),
+        tag: wrapped.tag.toString('base64'),
+        data: wrapped.ciphertext.toString('base64')
+      }
+    }
+  };
+}
+
+/**
+ * Unwrap the data key of an envelope with whichever configured key it names
+ */
+function unwrapDataKey(envelope, keys) {
+  if (!keys) {
+    throw new Error(`Data is encrypted with key ${envelope.kid}, but no key is configured`);
+  }
+
+  const passphrase = keys instanceof Keyring ? keys.find(envelope.kid) : keys;
+  if (!passphrase || envelope.kid !== getKeyId(passphrase)) {
+    const known = keys instanceof Keyring ? keys.keyIds.join(', ') : getKeyId(keys);
+    throw new Error(`Data is encrypted with key ${envelope.kid}, but the configured keys are ${known}`);
+  }
+
+  const kek = deriveKey(passphrase, Buffer.from(envelope.kdf.salt, 'base64'));
+  return open(kek, {
+    iv: Buffer.from(envelope.key.iv, 'base64'),
+    tag: Buffer.from(envelope.key.tag, 'base64'),
+    ciphertext: Buffer.from(envelope.key.data, 'base64')
+  });
+}
+
+/**
+ * Whether a value is an encryption envelope
+ */
+export function isEnvelope(value) {
+  return Boolean(value) && typeof value === 'object' && value.v === ENVELOPE_VERSION && value.alg === ALGORITHM && 'kid' in value;
+}
+
+/**
+ * Encrypt a string or Buffer into an envelope, with a passphrase or with the
+ * current key of a keyring
+ */
+export function encrypt(data, keys) {
+  const { dataKey, header } = createDataKey(keys);
+  const payload = seal(dataKey, Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8'));
+
+  return {
+    ...header,
+    iv: payload.iv.toString('base64'),
+    tag: payload.tag.toString('base64'),
+    data: payload.ciphertext.toString('base64')
+  };
+}
+
+/**
+ * Decrypt an envelope into a Buffer, with a passphrase or with whichever key
+ * of a keyring the envelope was encrypted with
+ */
+export function decrypt(envelope, keys) {
+  if (!isEnvelope(envelope)) {
+    throw new Error('Value is not an encryption envelope');
+  }
+
+  return open(unwrapDataKey(envelope, keys), {
+    iv: Buffer.from(envelope.iv, 'base64'),
+    tag: Buffer.from(envelope.tag, 'base64'),
+    ciphertext: Buffer.from(envelope.data, 'base64')
+  });
+}
+
+// Every frame has its own nonce, and its index and final flag are
+// authenticated, so frames cannot be reordered, dropped or cut off unnoticed
+function frameIv(baseIv, index) {
+  const iv = Buffer.from(baseIv);
+  iv.writeUInt32BE((iv.readUInt32BE(IV_LENGTH - 4) ^ index) >>> 0, IV_LENGTH - 4);
+  return iv;
+}
+
+function frameAad(index, flags) {
+  const suffix = Buffer.alloc(FRAME_HEADER_LENGTH);
+  suffix.writeUInt32BE(index, 0);
+  suffix.writeUInt8(flags, 4);
+  return Buffer.concat([AAD, suffix]);
+}
+
+/**
+ * Transform stream that encrypts data of any size in fixed-size frames
+ * under one envelope header, so it never has to be held in memory at once
+ */
+export function createEncryptStream(keys, { frameSize = DEFAULT_FRAME_SIZE } = {}) {
+  const { dataKey, header } = createDataKey(keys);
+  const baseIv = crypto.randomBytes(IV_LENGTH);
+  const headerJson = Buffer.from(JSON.stringify({ ...header, iv: baseIv.toString('base64'), frameSize }), 'utf8');
+  const prefix = Buffer.alloc(STREAM_PREFIX_LENGTH);
+  STREAM_MAGIC.copy(prefix);
+  prefix.writeUInt32BE(headerJson.length, STREAM_MAGIC.length);
+
+  let pending = [];
+  let pendingLength = 0;
+  let index = 0;
+  let started = false;
+
+  const sealFrame = (plaintext, flags) => {
+    const cipher = crypto.createCipheriv(ALGORITHM, dataKey, frameIv(baseIv, index));
+    cipher.setAAD(frameAad(index, flags));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+    const frameHeader = Buffer.alloc(FRAME_HEADER_LENGTH);
+    frameHeader.writeUInt8(flags, 0);
+    frameHeader.writeUInt32BE(plaintext.length, 1);
+    index++;
+    return Buffer.concat([frameHeader, ciphertext, cipher.getAuthTag()]);
+  };
+
+  const start = (stream) => {
+    if (started) return;
+    started = true;
+    stream.push(Buffer.concat([prefix, headerJson]));
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      start(this);
+      pending.push(chunk);
+      pendingLength += chunk.length;
+
+      // The last frame is only known at the end, so one frame is always held back
+      if (pendingLength > frameSize) {
+        const buffer = Buffer.concat(pending, pendingLength);
+        let offset = 0;
+        while (buffer.length - offset > frameSize) {
+          this.push(sealFrame(buffer.subarray(offset, offset + frameSize), 0));
+          offset += frameSize;
+        }
+        pending = [buffer.subarray(offset)];
+        pendingLength = buffer.length - offset;
+      }
+      callback();
+    },
+
+    flush(callback) {
+      start(this);
+      this.push(sealFrame(Buffer.concat(pending, pendingLength), FINAL_FRAME));
+      callback();
+    }
+  });
+}
+
+/**
+ * Transform stream that decrypts the output of `createEncryptStream()`, with
+ * a passphrase or with whichever key of a keyring the stream names. Fails on
+ * tampered, reordered or truncated data.
+ */
+export function createDecryptStream(keys) {
+  let buffer = Buffer.alloc(0);
+  let header = null;
+  let dataKey = null;
+  let baseIv = null;
+  let index = 0;
+  let finished = false;
+
+  const readHeader = () => {
+    if (buffer.length < STREAM_PREFIX_LENGTH) return false;
+    if (!buffer.subarray(0, STREAM_MAGIC.length).equals(STREAM_MAGIC)) {
+      throw new Error('Data is not an encrypted stream');
+    }
+
+    const length = buffer.readUInt32BE(STREAM_MAGIC.length);
+    if (length > MAX_STREAM_HEADER_LENGTH) {
+      throw new Error('Encrypted stream header is too large');
+    }
+    if (buffer.length < STREAM_PREFIX_LENGTH + length) return false;
+
+    header = JSON.parse(buffer.subarray(STREAM_PREFIX_LENGTH, STREAM_PREFIX_LENGTH + length).toString('utf8'));
+    if (!isEnvelope(header)) {
+      throw new Error('Encrypted stream header is not an encryption envelope');
+    }
+    dataKey = unwrapDataKey(header, keys);
+    baseIv = Buffer.from(header.iv, 'base64');
+    buffer = buffer.subarray(STREAM_PREFIX_LENGTH + length);
+    return true;
+  };
+
+  const readFrames = (stream) => {
+    while (buffer.length >= FRAME_HEADER_LENGTH) {
+      if (finished) {
+        throw new Error('Encrypted stream has data after its final frame');
+      }
+
+      const flags = buffer.readUInt8(0);
+      const length = buffer.readUInt32BE(1);
+      if (length > header.frameSize) {
+        throw new Error('Encrypted stream frame is larger than its frame size');
+      }
+
+      const end = FRAME_HEADER_LENGTH + length + TAG_LENGTH;
+      if (buffer.length < end) return;
+
+      const decipher = crypto.createDecipheriv(ALGORITHM, dataKey, frameIv(baseIv, index));
+      decipher.setAAD(frameAad(index, flags));
+      decipher.setAuthTag(buffer.subarray(end - TAG_LENGTH, end));
+      try {
+        stream.push(Buffer.concat([decipher.update(buffer.subarray(FRAME_HEADER_LENGTH, end - TAG_LENGTH)), decipher.final()]));
+      } catch {
+        throw new Error(`Encrypted stream frame ${index} failed authentication`);
+      }
+
+      index++;
+      finished = (flags & FINAL_FRAME) !== 0;
+      buffer = buffer.subarray(end);
+    }
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+      try {
+        if (dataKey || readHeader()) readFrames(this);
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+
+    flush(callback) {
+      callback(finished && buffer.length === 0 ? null : new Error('Encrypted stream is truncated'));
+    }
+  });
+}
+
+/**
+ * Parse a stored value into an envelope, or `null` if it is not one
+ */
+export function parseEnvelope(stored) {
+  if (typeof stored !== 'string' || !stored.startsWith('{')) return null;
+
+  try {
+    const envelope = JSON.parse(stored);
+    return isEnvelope(envelope) ? envelope : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Serialize a value into a stored envelope string
+ */
+export function sealValue(value, keys) {
+  const type = typeof value === 'string' ? 'utf8' : 'json';
+  const envelope = encrypt(type === 'json' ? JSON.stringify(value) : value, keys);
+  return JSON.stringify({ ...envelope, type });
+}
+
+/**
+ * Decrypt a stored envelope back into the value that was sealed
+ */
+export function openValue(envelope, keys) {
+  const plaintext = decrypt(envelope, keys).toString('utf8');
+  return envelope.type === 'json' ? JSON.parse(plaintext) : plaintext;
+}
+
+/**
+ * Storage wrapper that stores every value as a JSON-encoded envelope.
+ * Reading a value that is not an envelope fails, unless `allowPlaintext` is
+ * set while values written before encryption was enabled are migrated.
+ */
+export class EncryptedStorage {
+  constructor(storage, keys, { allowPlaintext = false } = {}) {
+    if (!keys) {
+      throw new Error('Refusing to create encrypted storage without a key');
+    }
+    this.storage = storage;
+    this.keyring = keys instanceof Keyring ? keys : new Keyring(keys);
+    this.allowPlaintext = allowPlaintext;
+
+    // Replication compares the versions and modification times below
+    if (typeof storage.stat === 'function') {
+      this.stat = (key) => storage.stat(key);
+    }
+    if (typeof storage.listObjects === 'function') {
+      this.listObjects = (...args) => storage.listObjects(...args);
+    }
+  }
+
+  async get(key) {
+    const stored = await this.storage.get(key);
+    const envelope = parseEnvelope(stored);
+    if (envelope) return openValue(envelope, this.keyring);
+    if (stored === null || stored === undefined) return stored;
+
+    if (!this.allowPlaintext) {
+      throw new Error(`${key} is stored unencrypted, set HIVE_ENCRYPTION_ALLOW_PLAINTEXT=true until db:rotate-key has encrypted it`);
+    }
+    log.warn('Read a value stored unencrypted, run db:rotate-key to encrypt it', { key });
+    return stored;
+  }
+
+  async set(key, value) {
+    return this.storage.set(key, sealValue(value, this.keyring));
+  }
+
+  async delete(key) {
+    return this.storage.delete(key);
+  }
+
+  async list(...args) {
+    return this.storage.list(...args);
+  }
+}
@@ -0,0 +1,173 @@
+/**
+ * Fake Data
+ * Deterministic values for seeding: the same seed always produces the same
+ * records, so fixtures, screenshots and tests stay stable. Values follow the
+ * field type and, for strings, the field name (`email`, `handle`, `name`,
+ * `url`, ...). Unique fields never repeat a value.
+ */
+
+import crypto from 'crypto';
+
+const FIRST_NAMES = ['Ada', 'Grace', 'Alan', 'Barbara', 'Dennis', 'Edsger', 'Frances', 'Guido', 'Hedy', 'Ivan',
+  'Joan', 'Ken', 'Linus', 'Margaret', 'Niklaus', 'Radia', 'Sophie', 'Tim', 'Vint', 'Whitfield'];
+const LAST_NAMES = ['Lovelace', 'Hopper', 'Turing', 'Liskov', 'Ritchie', 'Dijkstra', 'Allen', 'Rossum', 'Lamarr',
+  'Sutherland', 'Clarke', 'Thompson', 'Torvalds', 'Hamilton', 'Wirth', 'Perlman', 'Wilson', 'Berners-Lee', 'Cerf', 'Diffie'];
+const WORDS = ['alpha', 'amber', 'anchor', 'atlas', 'beacon', 'birch', 'breeze', 'cedar', 'comet', 'coral', 'delta',
+  'ember', 'fable', 'falcon', 'fern', 'glacier', 'harbor', 'hazel', 'indigo', 'juniper', 'lagoon', 'lumen', 'maple',
+  'meadow', 'nova', 'orbit', 'pebble', 'quartz', 'river', 'saffron', 'summit', 'tidal', 'violet', 'willow', 'zephyr'];
+
+// Dates are spread over the year before this, not before today, to stay deterministic
+const DATE_EPOCH = Date.UTC(2025, 0, 1);
+const YEAR = 365 * 24 * 60 * 60 * 1000;
+// Attempts at a fresh value for a unique field before falling back to a numbered one
+const UNIQUE_ATTEMPTS = 20;
+
+/**
+ * A seeded random number generator (mulberry32) with helpers. The same
+ * `seed` string gives the same sequence.
+ */
+export function createRandom(seed) {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+
+  const next = () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let value = Math.imul(state ^ (state >>> 15), 1 | state);
+    value = (value + Math.imul(value ^ (value >>> 7), 61 | value)) ^ value;
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const random = {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    bool: (probability = 0.5) => next() < probability,
+    pick: (values) => values[Math.floor(next() * values.length)],
+    hex: (length) => Array.from({ length }, () => Math.floor(next() * 16).toString(16)).join(''),
+    words: (count) => Array.from({ length: count }, () => random.pick(WORDS)),
+    person: () => ({ first: random.pick(FIRST_NAMES), last: random.pick(LAST_NAMES) })
+  };
+  return random;
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * A string for a field, guessed from its name. `scope` is shared by the
+ * fields of one record, so that they describe the same person.
+ */
+function fakeString(slug, random, scope) {
+  const name = slug.toLowerCase();
+  scope.person ??= random.person();
+  const { first, last } = scope.person;
+
+  if (name.includes('email')) return `${slugify(first)}.${slugify(last)}@example.com`;
+  if (/handle|username|login|slug/.test(name)) return `${slugify(first)}${slugify(last)}`.replace(/-/g, '');
+  if (/first.?name/.test(name)) return first;
+  if (/last.?name|surname/.test(name)) return last;
+  if (name.includes('name')) return `${first} ${last}`;
+  if (/url|website|link/.test(name)) return `https://example.com/${random.words(2).join('-')}`;
+  if (name.includes('phone')) return `+1 555 01${String(random.int(0, 99)).padStart(2, '0')}`;
+  if (/colou?r/.test(name)) return `#${random.hex(6)}`;
+  if (/title|label|headline/.test(name)) return random.words(3).map(capitalize).join(' ');
+  if (/description|bio|body|text|content|summary|note/.test(name)) {
+    return `${capitalize(random.words(random.int(6, 12)).join(' '))}.`;
+  }
+  return random.words(2).join('-');
+}
+
+/**
+ * A value of the field's type. Links pick one of `linkTargets[field.target]`,
+ * and stay empty without any.
+ */
+export function fakeValue(field, random, { scope = {}, linkTargets = {} } = {}) {
+  switch (field.type) {
+    case 'number':
+      return random.int(0, 1000);
+    case 'boolean':
+      return random.bool();
+    case 'date':
+      return new Date(DATE_EPOCH - Math.floor(random.next() * YEAR)).toISOString();
+    case 'json':
+      return { tags: random.words(random.int(1, 3)) };
+    case 'link': {
+      const targets = linkTargets[field.target] ?? [];
+      return targets.length > 0 ? random.pick(targets) : null;
+    }
+    case 'blob':
+      return null;
+    default:
+      return fakeString(field.slug, random, scope);
+  }
+}
+
+/**
+ * The `n`th variant of a string or number, for a unique field whose value was taken
+ */
+function numbered(value, n) {
+  if (typeof value === 'number') return value + n * 1001;
+
+  const at = value.indexOf('@');
+  return at > 0 ? `${value.slice(0, at)}${n}${value.slice(at)}` : `${value}${n}`;
+}
+
+/**
+ * Generates the records of one model. Keeps the values of unique fields
+ * taken so far, including those passed to `reserve()`.
+ */
+export class RecordFaker {
+  constructor(model, random, { overrides = {}, linkTargets = {} } = {}) {
+    this.model = model;
+    this.random = random;
+    this.overrides = overrides;
+    this.linkTargets = linkTargets;
+    this.taken = new Map(model.fields.filter((field) => field.unique).map((field) => [field.slug, new Set()]));
+  }
+
+  /**
+   * Mark the unique values of a record, e.g. a fixed fixture, as taken
+   */
+  reserve(record) {
+    for (const [slug, values] of this.taken) {
+      if (record[slug] !== undefined && record[slug] !== null) values.add(record[slug]);
+    }
+  }
+
+  /**
+   * A record: the `fixed` values, and generated ones for the other fields.
+   * `overrides[field](context)` replaces the generator of a field.
+   */
+  generate(index, fixed = {}) {
+    const record = { id: fixed.id ?? `${this.model.idPrefix}_${this.random.hex(16)}` };
+    const context = { index, random: this.random, record, person: null };
+
+    for (const field of this.model.fields) {
+      if (fixed[field.slug] !== undefined) {
+        record[field.slug] = fixed[field.slug];
+        continue;
+      }
+
+      const create = () => this.overrides[field.slug]
+        ? this.overrides[field.slug](context)
+        : fakeValue(field, this.random, { scope: context, linkTargets: this.linkTargets });
+      let value = create();
+
+      const taken = this.taken.get(field.slug);
+      if (taken && value !== null) {
+        for (let attempt = 0; taken.has(value) && attempt < UNIQUE_ATTEMPTS; attempt++) value = create();
+        const base = value;
+        if (typeof base === 'string' || typeof base === 'number') {
+          for (let n = 2; taken.has(value); n++) value = numbered(base, n);
+        }
+      }
+      record[field.slug] = value;
+    }
+
+    this.reserve(record);
+    return record;
+  }
+}
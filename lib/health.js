@@ -0,0 +1,132 @@
+/**
+ * Health Checks
+ * Liveness says the process serves requests. Readiness says it can serve
+ * data: the storage passes a write/read/delete round trip, the replicas keep
+ * up, and the startup bootstrap did not fail to restore the database.
+ *
+ * The bootstrap runs in its own process before the app starts, so it leaves
+ * its outcome in `bootstrap-state.json` next to the database for readiness
+ * to report.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const BOOTSTRAP_STATE_FILE = 'bootstrap-state.json';
+// Every check writes to each backend, so probes close together share a result
+const READINESS_CACHE_MS = 5000;
+// Platform probes time out after 3-5 seconds, answer before they give up
+const STORAGE_CHECK_TIMEOUT = 2500;
+
+const readinessCache = new WeakMap();
+
+/**
+ * Remember how the startup bootstrap ended: `restored`, `present`,
+ * `not-found`, `skipped`, `disabled` or `failed`
+ */
+export function writeBootstrapResult(dir, outcome, error = null) {
+  const statePath = path.join(dir, BOOTSTRAP_STATE_FILE);
+  const result = { outcome, finishedAt: new Date().toISOString(), ...(error && { error }) };
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(`${statePath}.tmp`, JSON.stringify(result, null, 2));
+  fs.renameSync(`${statePath}.tmp`, statePath);
+}
+
+/**
+ * Outcome of the last bootstrap in `dir`, or `null` if none ran there
+ */
+export function readBootstrapResult(dir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, BOOTSTRAP_STATE_FILE), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+export function checkLiveness() {
+  return { status: 'ok', uptime: Math.round(process.uptime()) };
+}
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function describeBootstrap(result) {
+  if (!result) return { status: 'up', outcome: 'none' };
+  return {
+    status: result.outcome === 'failed' ? 'down' : 'up',
+    ...result
+  };
+}
+
+function describeReplica(replica) {
+  return {
+    name: replica.name,
+    status: replica.healthy && !replica.resyncRequired ? 'up' : 'down',
+    lagMs: replica.lagMs,
+    pending: replica.pending,
+    resyncRequired: replica.resyncRequired,
+    circuit: replica.circuit.state,
+    ...(replica.error && { error: replica.error })
+  };
+}
+
+async function runReadinessChecks(manager, timeout) {
+  const report = { status: 'ready', checks: {} };
+
+  let settings;
+  try {
+    settings = await manager.loadSettings();
+  } catch (error) {
+    report.status = 'unavailable';
+    report.checks.config = { status: 'down', error: error.message, ...(error.errors && { errors: error.errors }) };
+    return report;
+  }
+
+  report.checks.bootstrap = describeBootstrap(readBootstrapResult(settings.values.HIVE_DISK_PATH));
+
+  try {
+    const status = await withTimeout(manager.getStorageStatus(), timeout, `Storage check timed out after ${timeout}ms`);
+    report.checks.storage = {
+      status: status.healthy ? 'up' : 'down',
+      type: status.type,
+      latency: status.latency,
+      ...(status.error && { error: status.error })
+    };
+    if (status.replicas) {
+      report.checks.replicas = status.replicas.map(describeReplica);
+      report.checks.primaryCircuit = status.replication.primaryCircuit.state;
+    }
+    if (status.degraded) report.status = 'degraded';
+  } catch (error) {
+    report.checks.storage = { status: 'down', type: settings.values.HIVE_STORAGE_TYPE, error: error.message };
+  }
+
+  if (report.checks.storage.status === 'down' || report.checks.bootstrap.status === 'down') {
+    report.status = 'unavailable';
+  }
+  return report;
+}
+
+/**
+ * Readiness of a `HiveStorageConfig`. `status` is `ready`, `degraded` (the
+ * storage works but a replica is unhealthy or behind) or `unavailable`, with
+ * the status of every component under `checks`.
+ */
+export async function checkReadiness(manager, { maxAge = READINESS_CACHE_MS, timeout = STORAGE_CHECK_TIMEOUT } = {}) {
+  const cached = readinessCache.get(manager);
+  if (cached && Date.now() - cached.checkedAt < maxAge) return cached.report;
+
+  const checkedAt = Date.now();
+  const report = runReadinessChecks(manager, timeout).then((result) => ({
+    ...result,
+    checkedAt: new Date(checkedAt).toISOString()
+  }));
+  readinessCache.set(manager, { checkedAt, report });
+  return report;
+}
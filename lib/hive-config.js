@@ -0,0 +1,407 @@
+/**
+ * Hive Configuration Loader
+ * Resolves every Hive setting from, in order of precedence, the process
+ * environment, a `.env` file and a `hive.config.js` / `hive.config.json`
+ * file, then checks all of them against one schema. Every problem is
+ * collected and reported at once in a `HiveConfigError`, instead of the
+ * storage quietly falling back to defaults.
+ *
+ * The resolved config keeps the merged variables (`env`, what the storage
+ * code reads), the typed values with defaults applied (`values`) and where
+ * each value came from (`sources`), so it can be inspected and tested.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { resolveS3Config, validateS3Config } from './s3-client.js';
+import { LOG_FORMATS, LOG_LEVELS } from './logger.js';
+import { CronParseError, parseCron } from './cron.js';
+import { getReplicaBackends, listStorageBackends, resolveBackendName, supportsSync } from './storage-backends.js';
+
+// `openssl rand -base64 32` prints 44 characters, anything shorter is guessable
+export const MIN_ENCRYPTION_KEY_LENGTH = 32;
+
+export const CONFIG_FILES = ['hive.config.js', 'hive.config.mjs', 'hive.config.json'];
+
+/**
+ * Every setting, in display order. `type` is one of string, integer, boolean,
+ * enum (`values`), list (comma-separated), url, email or cron; `aliases` are
+ * older names that are still read.
+ */
+export const HIVE_SETTINGS = [
+  // Storage
+  { name: 'HIVE_STORAGE_TYPE', type: 'string', default: 'disk' },
+  { name: 'HIVE_DISK_PATH', type: 'string', default: '.blade/state', aliases: ['BLADE_STATE_DIR'] },
+  { name: 'HIVE_CHANGE_LOG', type: 'boolean', default: false },
+
+  // Encryption
+  { name: 'HIVE_ENCRYPTION_KEY', type: 'string', secret: true, aliases: ['ENCRYPTION_KEY'] },
+  { name: 'HIVE_ENCRYPTION_RETIRED_KEYS', type: 'list', secret: true },
+  { name: 'HIVE_ENCRYPTION_ALLOW_PLAINTEXT', type: 'boolean', default: false },
+
+  // S3
+  { name: 'HIVE_S3_BUCKET', type: 'string', default: 'hive-database' },
+  { name: 'HIVE_S3_PREFIX', type: 'string', default: 'databases/main' },
+  { name: 'HIVE_S3_PROVIDER', type: 'string', default: 'aws' },
+  { name: 'HIVE_S3_ENDPOINT', type: 'url' },
+  { name: 'HIVE_S3_FORCE_PATH_STYLE', type: 'boolean' },
+  { name: 'HIVE_S3_STORAGE_CLASS', type: 'string' },
+  { name: 'HIVE_S3_REGION', type: 'string' },
+  { name: 'HIVE_S3_VERIFY_BUCKET', type: 'boolean', default: true },
+  { name: 'AWS_REGION', type: 'string', default: 'us-east-1' },
+  { name: 'AWS_PROFILE', type: 'string' },
+  { name: 'AWS_ACCESS_KEY_ID', type: 'string', secret: true },
+  { name: 'AWS_SECRET_ACCESS_KEY', type: 'string', secret: true },
+  { name: 'AWS_SESSION_TOKEN', type: 'string', secret: true },
+
+  // Remote storage
+  { name: 'REMOTE_STORAGE_ENDPOINT', type: 'url' },
+  { name: 'REMOTE_STORAGE_API_KEY', type: 'string', secret: true },
+  { name: 'REMOTE_STORAGE_TIMEOUT', type: 'integer', min: 1, default: 30000 },
+  { name: 'REMOTE_STORAGE_RETRIES', type: 'integer', min: 0, default: 3 },
+
+  // Replication
+  { name: 'HIVE_REPLICAS', type: 'list' },
+  { name: 'HIVE_REPLICATION_MODE', type: 'enum', values: ['async', 'sync'], default: 'async' },
+  { name: 'HIVE_CONFLICT_RESOLUTION', type: 'enum', values: ['latest', 'primary', 'replica'], default: 'latest' },
+  { name: 'HIVE_REPLICATION_RETRY_INTERVAL', type: 'integer', min: 1, default: 5000 },
+  { name: 'HIVE_ANTI_ENTROPY_INTERVAL', type: 'integer', min: 0, default: 600000 },
+  { name: 'HIVE_REPLICATION_MAX_QUEUE', type: 'integer', min: 1, default: 10000 },
+  { name: 'HIVE_REPLICA_READ_FALLBACK', type: 'boolean', default: true },
+  { name: 'HIVE_PROMOTE_REPLICA_ON_EMPTY', type: 'boolean', default: true },
+  { name: 'HIVE_CIRCUIT_FAILURE_THRESHOLD', type: 'integer', min: 1, default: 5 },
+  { name: 'HIVE_CIRCUIT_RESET_TIMEOUT', type: 'integer', min: 1, default: 30000 },
+
+  // Database sync and bootstrap
+  { name: 'HIVE_SYNC_TARGET', type: 'string' },
+  { name: 'HIVE_SYNC_ENCRYPT', type: 'boolean', default: true },
+  { name: 'HIVE_SYNC_LOCK_TTL', type: 'integer', min: 1, default: 600000 },
+  { name: 'HIVE_SYNC_INTERVAL', type: 'integer', min: 1, default: 60000 },
+  { name: 'HIVE_SYNC_WRITES', type: 'integer', min: 1, default: 50 },
+  { name: 'HIVE_SYNC_PART_SIZE_MB', type: 'integer', min: 5, default: 16 },
+  { name: 'HIVE_SYNC_PART_CONCURRENCY', type: 'integer', min: 1, default: 4 },
+  { name: 'HIVE_SYNC_PART_RETRIES', type: 'integer', min: 1, default: 3 },
+  { name: 'HIVE_BOOTSTRAP', type: 'boolean', default: true },
+  { name: 'HIVE_BOOTSTRAP_LOCK_WAIT', type: 'integer', min: 0, default: 120000 },
+
+  // Backups
+  { name: 'HIVE_BACKUP_CHUNK_SIZE', type: 'integer', min: 1, default: 1048576 },
+  { name: 'HIVE_BACKUP_KEEP_LAST', type: 'integer', min: 0, default: 1 },
+  { name: 'HIVE_BACKUP_KEEP_HOURLY', type: 'integer', min: 0, default: 0 },
+  { name: 'HIVE_BACKUP_KEEP_DAILY', type: 'integer', min: 0, default: 7 },
+  { name: 'HIVE_BACKUP_KEEP_WEEKLY', type: 'integer', min: 0, default: 4 },
+  { name: 'HIVE_BACKUP_KEEP_MONTHLY', type: 'integer', min: 0, default: 12 },
+  { name: 'HIVE_BACKUP_SCHEDULE', type: 'cron' },
+  { name: 'HIVE_BACKUP_PRUNE', type: 'boolean', default: true },
+  { name: 'HIVE_BACKUP_STALE_AFTER', type: 'integer', min: 0, default: 129600000 },
+
+  // Alerts
+  { name: 'BLADE_RESEND_API_KEY', type: 'string', secret: true },
+  { name: 'HIVE_ALERT_EMAIL_TO', type: 'list' },
+  { name: 'HIVE_ALERT_EMAIL_FROM', type: 'string', default: 'Hive Alerts <onboarding@resend.dev>' },
+  { name: 'HIVE_ALERT_WEBHOOK_URL', type: 'url', secret: true },
+
+  // Observability
+  { name: 'HIVE_LOG_LEVEL', type: 'enum', values: Object.keys(LOG_LEVELS), default: 'info' },
+  { name: 'HIVE_LOG_FORMAT', type: 'enum', values: LOG_FORMATS },
+  { name: 'HIVE_METRICS_TOKEN', type: 'string', secret: true },
+
+  // Admin page
+  { name: 'ADMIN_EMAIL', type: 'email' }
+];
+
+/**
+ * Mask a secret so that only enough of it remains to tell values apart
+ */
+export function maskSecret(value) {
+  if (!value) return value;
+  if (value.length <= 8) return '****';
+  return `${value.slice(0, 4)}****${value.slice(-2)}`;
+}
+
+/**
+ * The configuration is invalid. `errors` holds one message per problem.
+ */
+export class HiveConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid Hive configuration:\n${errors.map((error) => `  - ${error}`).join('\n')}`);
+    this.name = 'HiveConfigError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Parse the contents of a `.env` file: `NAME=value` lines with optional
+ * `export`, quotes and trailing `# comments`
+ */
+export function parseEnvFile(content) {
+  const variables = {};
+
+  for (const line of content.split(/\r?\n/)) {
+    const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+    if (!match) continue;
+
+    const [, name, raw] = match;
+    const quoted = raw.match(/^(["'])(.*)\1\s*(?:#.*)?$/);
+    if (quoted) {
+      variables[name] = quoted[1] === '"' ? quoted[2].replace(/\\n/g, '\n') : quoted[2];
+    } else {
+      variables[name] = raw.replace(/\s+#.*$/, '').trim();
+    }
+  }
+
+  return variables;
+}
+
+/**
+ * Variables from a `hive.config.*` file. JSON files hold an object of
+ * settings; JS files export one as default, or a (async) function of the
+ * environment that returns one.
+ */
+async function readConfigFile(filePath, env) {
+  let settings;
+  if (filePath.endsWith('.json')) {
+    settings = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } else {
+    const module = await import(pathToFileURL(filePath).href);
+    settings = typeof module.default === 'function' ? await module.default(env) : module.default;
+  }
+
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new HiveConfigError([`${path.basename(filePath)} must provide an object of settings`]);
+  }
+
+  // Files may use numbers, booleans and arrays, the environment only has strings
+  return Object.fromEntries(Object.entries(settings).map(([name, value]) => [
+    name,
+    Array.isArray(value) ? value.join(',') : String(value)
+  ]));
+}
+
+function findConfigFile(cwd, env) {
+  if (env.HIVE_CONFIG_FILE) {
+    const filePath = path.resolve(cwd, env.HIVE_CONFIG_FILE);
+    if (!fs.existsSync(filePath)) {
+      throw new HiveConfigError([`HIVE_CONFIG_FILE points to ${filePath}, which does not exist`]);
+    }
+    return filePath;
+  }
+
+  return CONFIG_FILES.map((name) => path.join(cwd, name)).find((filePath) => fs.existsSync(filePath)) ?? null;
+}
+
+function parseValue(setting, raw) {
+  switch (setting.type) {
+    case 'integer': {
+      const value = Number(raw);
+      if (!/^-?\d+$/.test(raw.trim()) || !Number.isSafeInteger(value)) {
+        return { error: `${setting.name} must be an integer, got "${raw}"` };
+      }
+      if (setting.min !== undefined && value < setting.min) {
+        return { error: `${setting.name} must be at least ${setting.min}, got ${value}` };
+      }
+      return { value };
+    }
+    case 'boolean':
+      if (raw !== 'true' && raw !== 'false') {
+        return { error: `${setting.name} must be "true" or "false", got "${raw}"` };
+      }
+      return { value: raw === 'true' };
+    case 'enum':
+      if (!setting.values.includes(raw)) {
+        return { error: `Unknown ${setting.name} "${raw}" (use: ${setting.values.join(', ')})` };
+      }
+      return { value: raw };
+    case 'list':
+      return { value: raw.split(',').map((item) => item.trim()).filter(Boolean) };
+    case 'url':
+      if (!/^https?:\/\/[^/]+/.test(raw)) {
+        return { error: `${setting.name} must be an http(s) URL, got "${raw}"` };
+      }
+      return { value: raw.replace(/\/+$/, '') };
+    case 'email':
+      if (!/^[^\s@]+@[^\s@]+$/.test(raw.trim())) {
+        return { error: `${setting.name} must be an email address, got "${raw}"` };
+      }
+      return { value: raw.trim().toLowerCase() };
+    case 'cron':
+      try {
+        parseCron(raw);
+      } catch (error) {
+        if (!(error instanceof CronParseError)) throw error;
+        return { error: `${setting.name}: ${error.message}` };
+      }
+      return { value: raw.trim() };
+    default:
+      return { value: raw };
+  }
+}
+
+/**
+ * Checks that span several settings: storage types and replicas must be
+ * registered, and the backends in use need their settings
+ */
+function validateBackends(env, values) {
+  const errors = [];
+  const registered = listStorageBackends().map((backend) => backend.name);
+  const inUse = new Set();
+
+  const storageType = resolveBackendName(values.HIVE_STORAGE_TYPE);
+  if (values.HIVE_STORAGE_TYPE.toLowerCase() === 'replication') {
+    inUse.add('disk');
+    for (const name of getReplicaBackends(env)) {
+      const replica = resolveBackendName(name);
+      if (!replica || replica === 'disk') {
+        errors.push(`Unknown replica "${name}" in HIVE_REPLICAS (use: ${registered.filter((backend) => backend !== 'disk').join(', ')})`);
+      } else {
+        inUse.add(replica);
+      }
+    }
+  } else if (storageType) {
+    inUse.add(storageType);
+  } else {
+    errors.push(`Unknown HIVE_STORAGE_TYPE "${values.HIVE_STORAGE_TYPE}" (use: ${[...registered, 'replication'].join(', ')})`);
+  }
+
+  if (values.HIVE_SYNC_TARGET) {
+    if (supportsSync(values.HIVE_SYNC_TARGET)) {
+      inUse.add(resolveBackendName(values.HIVE_SYNC_TARGET));
+    } else {
+      const targets = listStorageBackends().filter((backend) => backend.createSyncTarget).map((backend) => backend.name);
+      errors.push(`HIVE_SYNC_TARGET "${values.HIVE_SYNC_TARGET}" cannot hold database copies (use: ${targets.join(', ')})`);
+    }
+  }
+
+  if (inUse.has('s3')) {
+    errors.push(...validateS3Config({ ...resolveS3Config(env), bucket: values.HIVE_S3_BUCKET }));
+  }
+  if (inUse.has('remote') && !values.REMOTE_STORAGE_ENDPOINT) {
+    errors.push('REMOTE_STORAGE_ENDPOINT is required for remote storage');
+  }
+
+  return errors;
+}
+
+/**
+ * Parse every setting of `env`, applying defaults and aliases
+ */
+function parseSettings(env, sources = {}) {
+  const errors = [];
+  const warnings = [];
+  const values = {};
+  const resolvedSources = {};
+
+  for (const setting of HIVE_SETTINGS) {
+    const name = [setting.name, ...(setting.aliases ?? [])].find((candidate) => env[candidate]);
+
+    if (!name) {
+      values[setting.name] = setting.default ?? null;
+      resolvedSources[setting.name] = setting.default !== undefined ? 'default' : 'unset';
+      continue;
+    }
+
+    if (name !== setting.name) {
+      warnings.push(`${name} is deprecated, use ${setting.name}`);
+    }
+
+    const { value, error } = parseValue(setting, env[name]);
+    if (error) errors.push(name === setting.name ? error : error.replace(setting.name, name));
+    values[setting.name] = error ? null : value;
+    resolvedSources[setting.name] = sources[name] ?? 'env';
+  }
+
+  const key = values.HIVE_ENCRYPTION_KEY;
+  if (key && key.length < MIN_ENCRYPTION_KEY_LENGTH) {
+    errors.push(`HIVE_ENCRYPTION_KEY must be at least ${MIN_ENCRYPTION_KEY_LENGTH} characters, got ${key.length} (generate one with: openssl rand -base64 32)`);
+  }
+  // A short key can only be replaced if it stays readable as a retired one
+  (values.HIVE_ENCRYPTION_RETIRED_KEYS ?? []).forEach((retired, index) => {
+    if (retired.length < MIN_ENCRYPTION_KEY_LENGTH) {
+      warnings.push(`HIVE_ENCRYPTION_RETIRED_KEYS entry ${index + 1} is shorter than ${MIN_ENCRYPTION_KEY_LENGTH} characters, run db:rotate-key to move data off it`);
+    }
+  });
+
+  return { errors, warnings, values, sources: resolvedSources };
+}
+
+/**
+ * The typed values of every setting in `env`, defaults applied, for code
+ * that is handed variables rather than a loaded config. Throws a
+ * `HiveConfigError` for values that do not parse; unlike
+ * `resolveHiveConfig()` it does not check the backends in use.
+ */
+export function resolveSettingValues(env = process.env) {
+  const { errors, values } = parseSettings(env);
+  if (errors.length > 0) {
+    throw new HiveConfigError(errors);
+  }
+  return values;
+}
+
+/**
+ * Validate merged variables and resolve typed values. `sources` names where
+ * variables came from (`env` when missing). Throws a `HiveConfigError`
+ * listing every problem.
+ */
+export function resolveHiveConfig(env = process.env, sources = {}) {
+  const { errors, warnings, values, sources: resolvedSources } = parseSettings(env, sources);
+
+  if (values.HIVE_STORAGE_TYPE) {
+    errors.push(...validateBackends(env, values));
+  }
+
+  if (errors.length > 0) {
+    throw new HiveConfigError(errors);
+  }
+  return { env, values, sources: resolvedSources, warnings };
+}
+
+/**
+ * Load the configuration of a project: `hive.config.*` (or HIVE_CONFIG_FILE),
+ * overridden by `.env`, overridden by `env`. Throws a `HiveConfigError` when
+ * anything is invalid.
+ */
+export async function loadHiveConfig({ env = process.env, cwd = process.cwd(), envFile = '.env' } = {}) {
+  const layers = [];
+
+  const configFile = findConfigFile(cwd, env);
+  if (configFile) {
+    layers.push([path.basename(configFile), await readConfigFile(configFile, env)]);
+  }
+
+  const envFilePath = envFile && path.resolve(cwd, envFile);
+  if (envFilePath && fs.existsSync(envFilePath)) {
+    layers.push([path.basename(envFilePath), parseEnvFile(fs.readFileSync(envFilePath, 'utf8'))]);
+  }
+  layers.push(['env', env]);
+
+  const merged = {};
+  const sources = {};
+  for (const [source, variables] of layers) {
+    for (const [name, value] of Object.entries(variables)) {
+      if (value === undefined || value === '') continue;
+      merged[name] = value;
+      sources[name] = source;
+    }
+  }
+
+  return {
+    ...resolveHiveConfig(merged, sources),
+    files: layers.map(([source]) => source).filter((source) => source !== 'env')
+  };
+}
+
+/**
+ * Every setting of a resolved config with its source, secrets masked
+ */
+export function describeHiveConfig(config) {
+  return HIVE_SETTINGS.map(({ name, secret }) => {
+    const value = Array.isArray(config.values[name]) ? config.values[name].join(',') : config.values[name];
+    return {
+      name,
+      value: value === null ? null : (secret ? maskSecret(String(value)) : value),
+      source: config.sources[name]
+    };
+  });
+}
@@ -4,11 +4,47 @@
  * with support for local, S3, remote API, and replication storage options.
  */
 
-import { DiskStorage } from "hive/disk-storage";
-import { S3Storage } from "hive/s3-storage";
-import { RemoteStorage } from "hive/remote-storage";
-import { ReplicationStorage } from "hive/replication-storage";
+import crypto from "crypto";
 import { NodeDriver } from "hive/node-driver";
+import {
+  LEGACY_BACKUP_PREFIX,
+  collectGarbageChunks,
+  listSnapshots,
+  getChunkHasher,
+  readSnapshotEntry,
+  readSnapshotManifest,
+  restoreSnapshot,
+  snapshotKey,
+  writeSnapshot
+} from "./backup-snapshots.js";
+import { applyRetentionPolicy, getRetentionPolicy } from "./backup-retention.js";
+import { EncryptedStorage, getKeyring } from "./envelope-encryption.js";
+import { rotateStorageKeys } from "./key-rotation.js";
+import { ChangeLogStorage, readChangeLog, truncateChangeLog } from "./change-log.js";
+import { exportModels, importModels } from "./data-transfer.js";
+import { clearModels, planSeed, seedModels } from "./seeds.js";
+import { BACKUP_PREFIX, HEALTH_PREFIX, isInternalKey } from "./storage-keys.js";
+import { StorageMigration } from "./storage-migration.js";
+import { ReplicatedStorage } from "./replicated-storage.js";
+import { describeHiveConfig, loadHiveConfig, maskSecret, resolveSettingValues } from "./hive-config.js";
+import { configureLogger, createLogger, withCorrelationId } from "./logger.js";
+import {
+  InstrumentedStorage,
+  backupFailures,
+  observeStorageManager,
+  recordBackupSuccess
+} from "./storage-metrics.js";
+import {
+  getReplicaBackends,
+  getStorageBackend,
+  listStorageBackends,
+  resolveBackendName,
+  resolveStorageOptions
+} from "./storage-backends.js";
+
+export { maskSecret };
+
+const log = createLogger('hive-storage');
 
 /**
  * Storage configuration based on environment variables
@@ -17,6 +53,28 @@ export class HiveStorageConfig {
   constructor() {
     this.config = null;
     this.initialized = false;
+    this.replicas = [];
+    this.replication = null;
+    this.encryptedStorages = [];
+    this.settings = null;
+  }
+
+  /**
+   * Load and validate the configuration (environment, `.env`,
+   * `hive.config.*`). Throws a `HiveConfigError` listing every problem.
+   */
+  async loadSettings(options = {}) {
+    if (!this.settings) {
+      this.settings = await loadHiveConfig(options);
+      configureLogger({
+        level: this.settings.values.HIVE_LOG_LEVEL,
+        format: this.settings.values.HIVE_LOG_FORMAT
+      });
+      for (const warning of this.settings.warnings) {
+        log.warn(warning);
+      }
+    }
+    return this.settings;
   }
 
   /**
@@ -25,148 +83,229 @@ export class HiveStorageConfig {
   async getConfig() {
     if (this.config) return this.config;
 
-    const storageType = process.env.HIVE_STORAGE_TYPE || 'disk';
+    const { env, values } = await this.loadSettings();
+    const storageType = values.HIVE_STORAGE_TYPE;
     
-    console.log(`🔧 Initializing Hive storage: ${storageType}`);
-
-    switch (storageType.toLowerCase()) {
-      case 's3':
-        this.config = await this.createS3Storage();
-        break;
-      case 'remote':
-        this.config = await this.createRemoteStorage();
-        break;
-      case 'replication':
-        this.config = await this.createReplicationStorage();
-        break;
-      case 'disk':
-      default:
-        this.config = await this.createDiskStorage();
-        break;
+    log.info('Initializing Hive storage', { storageType });
+
+    this.config = await this.createStorage(storageType, env);
+
+    // Log every write so that any point in time can be restored
+    if (values.HIVE_CHANGE_LOG) {
+      this.config.storage = new ChangeLogStorage(this.config.storage);
+      log.info('Write-ahead change log enabled');
     }
 
     this.initialized = true;
-    console.log(`✅ Hive storage initialized: ${storageType}`);
+    log.info('Hive storage initialized', { storageType });
     return this.config;
   }
 
   /**
-   * Create local disk storage
+   * Create the storage for a storage type, reading its settings from `env`.
+   * `replication` combines registered backends, every other type is looked
+   * up in the storage backend registry.
    */
-  async createDiskStorage() {
-    const dir = process.env.HIVE_DISK_PATH || '.blade/state';
-    
-    return {
-      driver: new NodeDriver(),
-      storage: new DiskStorage({ 
-        dir,
-        encryption: process.env.HIVE_ENCRYPTION_KEY ? {
-          algorithm: 'aes-256-gcm',
-          key: process.env.HIVE_ENCRYPTION_KEY
-        } : undefined
-      })
-    };
+  async createStorage(storageType, env = process.env) {
+    if (storageType.toLowerCase() === 'replication') {
+      return this.createReplicationStorage(env);
+    }
+
+    if (!resolveBackendName(storageType)) {
+      const registered = listStorageBackends().map((backend) => backend.name).join(', ');
+      throw new Error(`Unknown storage type "${storageType}" (use: ${registered}, replication)`);
+    }
+    return this.createBackend(storageType, env);
   }
 
   /**
-   * Create S3 storage
+   * Create the storage of a registered backend, encrypted when a key is set.
+   * Operations are timed per backend, below the encryption.
    */
-  async createS3Storage() {
-    try {
-      const { S3Client } = await import('@aws-sdk/client-s3');
-      
-      if (!process.env.AWS_ACCESS_KEY_ID || !process.env.AWS_SECRET_ACCESS_KEY) {
-        throw new Error('AWS credentials required for S3 storage');
-      }
+  async createBackend(name, env = process.env) {
+    const backend = getStorageBackend(name);
+    const options = resolveStorageOptions(env);
 
-      const s3Client = new S3Client({
-        region: process.env.AWS_REGION || 'us-east-1',
-        credentials: {
-          accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-          secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-        }
-      });
-
-      return {
+    try {
+      return this.withEncryption({
         driver: new NodeDriver(),
-        storage: new S3Storage({
-          client: s3Client,
-          bucket: process.env.HIVE_S3_BUCKET || 'hive-database',
-          prefix: process.env.HIVE_S3_PREFIX || 'databases/main',
-          encryption: process.env.HIVE_ENCRYPTION_KEY ? {
-            algorithm: 'aes-256-gcm',
-            key: process.env.HIVE_ENCRYPTION_KEY
-          } : undefined
-        })
-      };
+        storage: new InstrumentedStorage(await backend.factory(options), backend.name)
+      }, options, backend.name);
     } catch (error) {
-      console.error('❌ Failed to initialize S3 storage:', error.message);
-      console.log('📦 Install AWS SDK: npm install @aws-sdk/client-s3');
+      log.error('Failed to initialize storage', { backend: backend.name, error });
       throw error;
     }
   }
 
   /**
-   * Create remote API storage
+   * Encrypt every stored value when HIVE_ENCRYPTION_KEY is set. Values
+   * written with a key listed in HIVE_ENCRYPTION_RETIRED_KEYS stay readable,
+   * unencrypted ones only with HIVE_ENCRYPTION_ALLOW_PLAINTEXT.
    */
-  async createRemoteStorage() {
-    if (!process.env.REMOTE_STORAGE_ENDPOINT) {
-      throw new Error('Remote storage endpoint required');
-    }
+  withEncryption(config, options, name = 'disk') {
+    if (!options.keyring) return config;
 
-    return {
-      driver: new NodeDriver(),
-      storage: new RemoteStorage({
-        endpoint: process.env.REMOTE_STORAGE_ENDPOINT,
-        apiKey: process.env.REMOTE_STORAGE_API_KEY,
-        encryption: process.env.HIVE_ENCRYPTION_KEY ? {
-          algorithm: 'aes-256-gcm',
-          key: process.env.HIVE_ENCRYPTION_KEY
-        } : undefined,
-        timeout: parseInt(process.env.REMOTE_STORAGE_TIMEOUT) || 30000,
-        retries: parseInt(process.env.REMOTE_STORAGE_RETRIES) || 3
-      })
-    };
+    const storage = new EncryptedStorage(config.storage, options.keyring, { allowPlaintext: options.allowPlaintext });
+    this.encryptedStorages.push({ name, storage });
+    return { ...config, storage };
+  }
+
+  /**
+   * Create local disk storage
+   */
+  async createDiskStorage(env = process.env) {
+    return this.createBackend('disk', env);
+  }
+
+  /**
+   * Create S3 storage, on AWS or an S3-compatible provider
+   */
+  async createS3Storage(env = process.env) {
+    return this.createBackend('s3', env);
+  }
+
+  /**
+   * Create remote API storage
+   */
+  async createRemoteStorage(env = process.env) {
+    return this.createBackend('remote', env);
   }
 
   /**
    * Create replication storage (hybrid approach)
    */
-  async createReplicationStorage() {
-    const primary = await this.createDiskStorage();
-    const replicas = [];
+  async createReplicationStorage(env = process.env) {
+    const values = resolveSettingValues(env);
+    const primary = await this.createDiskStorage(env);
+    this.replicas = [];
 
-    // Add S3 replica if configured
-    if (process.env.AWS_ACCESS_KEY_ID && process.env.HIVE_S3_BUCKET) {
+    for (const name of getReplicaBackends(env)) {
       try {
-        const s3Config = await this.createS3Storage();
-        replicas.push(s3Config.storage);
-        console.log('📤 Added S3 replica for replication');
+        const replicaConfig = await this.createBackend(name, env);
+        this.replicas.push({ name: getStorageBackend(name).name, storage: replicaConfig.storage });
+        log.info('Added replica for replication', { replica: name });
       } catch (error) {
-        console.warn('⚠️  Failed to add S3 replica:', error.message);
+        log.warn('Failed to add replica', { replica: name, error });
       }
     }
 
-    // Add remote API replica if configured
-    if (process.env.REMOTE_STORAGE_ENDPOINT) {
-      try {
-        const remoteConfig = await this.createRemoteStorage();
-        replicas.push(remoteConfig.storage);
-        console.log('📤 Added remote API replica for replication');
-      } catch (error) {
-        console.warn('⚠️  Failed to add remote API replica:', error.message);
+    this.replication = new ReplicatedStorage({
+      primary: primary.storage,
+      replicas: this.replicas,
+      syncMode: values.HIVE_REPLICATION_MODE, // sync or async
+      conflictResolution: values.HIVE_CONFLICT_RESOLUTION, // latest, primary, replica
+      retryInterval: values.HIVE_REPLICATION_RETRY_INTERVAL,
+      antiEntropyInterval: values.HIVE_ANTI_ENTROPY_INTERVAL,
+      maxQueueSize: values.HIVE_REPLICATION_MAX_QUEUE,
+      readFallback: values.HIVE_REPLICA_READ_FALLBACK,
+      circuitBreaker: {
+        failureThreshold: values.HIVE_CIRCUIT_FAILURE_THRESHOLD,
+        resetTimeout: values.HIVE_CIRCUIT_RESET_TIMEOUT
       }
+    });
+    this.replication.on('overflow', ({ replica }) => {
+      log.warn('Replication queue overflowed, the next anti-entropy pass will resync it', { replica });
+    });
+    this.replication.on('failover-read', ({ replica, key, primaryError }) => {
+      if (primaryError) log.warn('Primary read failed, served from a replica', { key, replica, error: primaryError });
+    });
+
+    // A recreated volume starts empty, so rebuild it before the app reads from it
+    if (this.replicas.length > 0 && values.HIVE_PROMOTE_REPLICA_ON_EMPTY && await this.replication.needsPromotion()) {
+      await this.promoteReplica();
     }
 
     return {
       driver: primary.driver,
-      storage: new ReplicationStorage({
-        primary: primary.storage,
-        replicas,
-        syncMode: process.env.HIVE_REPLICATION_MODE || 'async', // sync or async
-        conflictResolution: process.env.HIVE_CONFLICT_RESOLUTION || 'latest' // latest, primary, replica
-      })
+      storage: this.replication.start()
+    };
+  }
+
+  /**
+   * Rebuild the primary disk from a replica (the first reachable one unless
+   * `name` is given)
+   */
+  async promoteReplica(name = null) {
+    if (!this.replication) {
+      await this.getConfig();
+    }
+    if (!this.replication) {
+      throw new Error('Replica promotion requires HIVE_STORAGE_TYPE=replication');
+    }
+
+    return withCorrelationId(async () => {
+      log.info('Promoting replica to rebuild the primary disk', { replica: name || 'first available' });
+      const result = await this.replication.promoteReplica(name);
+      if (result.errors > 0) {
+        log.warn('Promoted replica with failed keys, restart to retry them', { replica: result.replica, errors: result.errors });
+      } else {
+        log.info('Promoted replica', { replica: result.replica, migrated: result.migrated });
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Compare the primary with every replica right away and repair differences
+   */
+  async reconcileReplicas(options = {}) {
+    await this.getConfig();
+    if (!this.replication) {
+      throw new Error('Replica reconciliation requires HIVE_STORAGE_TYPE=replication');
+    }
+
+    return withCorrelationId(async () => {
+      const report = await this.replication.runAntiEntropy(options);
+      for (const { name, checked, divergent, repaired } of report.replicas) {
+        log.info('Replica reconciled', { replica: name, checked, divergent, repaired });
+      }
+      return report;
+    });
+  }
+
+  /**
+   * Get the effective settings, with secrets masked. Requires `loadSettings()`.
+   */
+  getEffectiveSettings() {
+    return describeHiveConfig(this.settings);
+  }
+
+  /**
+   * Run a write/read/delete round trip against a storage and time each step
+   */
+  async checkStorageHealth(storage) {
+    const result = {
+      healthy: false,
+      latency: { write: null, read: null, delete: null }
     };
+    const timed = async (step, operation) => {
+      const started = performance.now();
+      const value = await operation();
+      result.latency[step] = Math.round((performance.now() - started) * 100) / 100;
+      return value;
+    };
+
+    try {
+      // Test storage by writing and reading a test value. Every probe has its
+      // own key, which is neither logged nor replicated.
+      const key = `${HEALTH_PREFIX}${crypto.randomUUID()}`;
+      const testData = `hive-storage-test-${Date.now()}`;
+      await timed('write', () => storage.set(key, testData));
+      const readData = await timed('read', () => storage.get(key));
+
+      result.healthy = readData === testData;
+      if (!result.healthy) {
+        result.error = 'Read back value does not match written value';
+      }
+
+      // Clean up test data
+      await timed('delete', () => storage.delete(key));
+    } catch (error) {
+      result.error = error.message;
+      result.healthy = false;
+    }
+
+    return result;
   }
 
   /**
@@ -175,124 +314,454 @@ export class HiveStorageConfig {
   async getStorageStatus() {
     const config = await this.getConfig();
     const status = {
-      type: process.env.HIVE_STORAGE_TYPE || 'disk',
+      type: this.settings.values.HIVE_STORAGE_TYPE,
       initialized: this.initialized,
       healthy: false,
       lastCheck: new Date().toISOString()
     };
 
-    try {
-      // Test storage by writing and reading a test file
-      const testData = `hive-storage-test-${Date.now()}`;
-      await config.storage.set('health-check', testData);
-      const readData = await config.storage.get('health-check');
-      
-      status.healthy = readData === testData;
-      
-      // Clean up test data
-      await config.storage.delete('health-check');
-    } catch (error) {
-      status.error = error.message;
-      status.healthy = false;
+    const health = await this.checkStorageHealth(config.storage);
+    status.healthy = health.healthy;
+    status.latency = health.latency;
+    if (health.error) status.error = health.error;
+
+    if (this.replicas.length > 0) {
+      const { replicas: replication, ...summary } = this.replication.getReplicationStatus();
+      status.replication = summary;
+      status.replicas = [];
+      for (const replica of this.replicas) {
+        const replicaHealth = await this.checkStorageHealth(replica.storage);
+        const lag = replication.find((entry) => entry.name === replica.name);
+        status.replicas.push({ name: replica.name, ...replicaHealth, ...lag });
+      }
+      status.degraded = status.replication.primaryCircuit.state !== 'closed' ||
+        status.replicas.some((replica) => !replica.healthy || replica.resyncRequired);
     }
 
     return status;
   }
 
   /**
-   * Migrate data from one storage to another
+   * Create a resumable migration between two storages without running it,
+   * for callers that want to subscribe to its progress events
    */
-  async migrateStorage(fromConfig, toConfig) {
-    console.log('🔄 Starting storage migration...');
-    
-    try {
-      // Get all data from source storage
-      const allKeys = await fromConfig.storage.list();
-      console.log(`📊 Found ${allKeys.length} items to migrate`);
-
-      let migrated = 0;
-      let errors = 0;
-
-      for (const key of allKeys) {
-        try {
-          const data = await fromConfig.storage.get(key);
-          await toConfig.storage.set(key, data);
-          migrated++;
-          
-          if (migrated % 10 === 0) {
-            console.log(`📤 Migrated ${migrated}/${allKeys.length} items...`);
-          }
-        } catch (error) {
-          console.error(`❌ Failed to migrate ${key}:`, error.message);
-          errors++;
+  createMigration(fromConfig, toConfig, options = {}) {
+    return new StorageMigration(fromConfig, toConfig, options);
+  }
+
+  /**
+   * Migrate data from one storage to another.
+   * Reruns resume from the checkpoint left by an interrupted or failed run.
+   */
+  async migrateStorage(fromConfig, toConfig, options = {}) {
+    const migration = this.createMigration(fromConfig, toConfig, options);
+    const logEvery = options.logEvery || 100;
+
+    migration.on('plan', (plan) => {
+      if (plan.resumed) {
+        log.info('Resuming migration', { migration: plan.id, alreadyMigrated: plan.alreadyMigrated, total: plan.total });
+      }
+      log.info('Migration planned', {
+        migration: plan.id,
+        dryRun: plan.dryRun,
+        toCopy: plan.toCopy,
+        total: plan.total,
+        concurrency: plan.concurrency
+      });
+    });
+    migration.on('progress', ({ done, total }) => {
+      if (done % logEvery === 0) {
+        log.info('Migration progress', { done, total });
+      }
+    });
+    migration.on('failed', ({ key, error }) => {
+      log.error('Failed to migrate key', { key, error });
+    });
+
+    return withCorrelationId(async () => {
+      log.info('Starting storage migration');
+
+      try {
+        const result = await migration.run();
+
+        if (!result.dryRun) {
+          log.info('Migration completed', { migrated: result.migrated, errors: result.errors });
+        }
+        if (result.errors > 0) {
+          log.warn('Rerun the migration to retry the failed keys', { failed: result.failed.map((failure) => failure.key) });
         }
+        return result;
+      } catch (error) {
+        log.error('Migration failed', { error });
+        throw error;
       }
+    });
+  }
 
-      console.log(`✅ Migration completed: ${migrated} succeeded, ${errors} failed`);
-      return { migrated, errors, total: allKeys.length };
-    } catch (error) {
-      console.error('❌ Migration failed:', error.message);
-      throw error;
+  /**
+   * Export the records of `models` (see `loadModels()`) to one NDJSON or CSV
+   * file per model in `options.dir`
+   */
+  async exportData(models, options = {}) {
+    const config = await this.getConfig();
+
+    return withCorrelationId(async () => {
+      try {
+        const manifest = await exportModels(config.storage, models, options);
+        const counts = Object.fromEntries(Object.entries(manifest.models).map(([name, entry]) => [name, entry.count]));
+        log.info('Data exported', { dir: options.dir, format: manifest.format, records: counts });
+        return manifest;
+      } catch (error) {
+        log.error('Data export failed', { dir: options.dir, error });
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Import the files written by `exportData()`, validated against `models`.
+   * Nothing is written unless every record is valid.
+   */
+  async importData(models, options = {}) {
+    const config = await this.getConfig();
+
+    return withCorrelationId(async () => {
+      try {
+        const result = await importModels(config.storage, models, options);
+        for (const model of result.models) {
+          log.info(result.dryRun ? 'Data import checked' : 'Data imported', {
+            model: model.model,
+            created: model.created,
+            updated: model.updated,
+            skipped: model.skipped,
+            ...(model.unknownFields.length > 0 && { droppedFields: model.unknownFields })
+          });
+        }
+        return result;
+      } catch (error) {
+        log.error('Data import failed', { dir: options.dir, error });
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Seed `models` with a fixture set (see `seedModels()`), skipping records
+   * that already exist unless `options.onConflict` says otherwise
+   */
+  async seedData(models, seeds, options = {}) {
+    const config = await this.getConfig();
+
+    return withCorrelationId(async () => {
+      try {
+        const result = await seedModels(config.storage, models, seeds, options);
+        for (const model of result.models) {
+          log.info(result.dryRun ? 'Seed checked' : 'Seeded', {
+            model: model.model,
+            set: options.set ?? 'dev',
+            created: model.created,
+            updated: model.updated,
+            skipped: model.skipped
+          });
+        }
+        return result;
+      } catch (error) {
+        log.error('Seeding failed', { set: options.set ?? 'dev', error });
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Delete every record of `models`, after a backup unless `backup` is
+   * false, and seed them with `options.set` unless it is `null`
+   */
+  async resetData(models, seeds, { backup = true, ...options } = {}) {
+    const config = await this.getConfig();
+
+    return withCorrelationId(async () => {
+      // A seed that cannot be written fails before anything is deleted
+      if (options.set !== null) planSeed(models, seeds, options);
+
+      const backupKey = backup
+        ? await this.createBackup(`pre-reset-${new Date().toISOString().replace(/[:.]/g, '-')}`)
+        : null;
+
+      try {
+        const cleared = await clearModels(config.storage, models);
+        log.warn('Model records deleted', { records: cleared, backup: backupKey });
+
+        const seeded = options.set === null ? null : await this.seedData(models, seeds, options);
+        return { backup: backupKey, cleared, seeded };
+      } catch (error) {
+        log.error('Reset failed', { backup: backupKey, error });
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Re-encrypt all data and backups with the current HIVE_ENCRYPTION_KEY.
+   * Retired keys must be listed in HIVE_ENCRYPTION_RETIRED_KEYS until this
+   * has completed. Reruns resume after the last checkpointed key.
+   */
+  async rotateEncryptionKey(options = {}) {
+    await this.getConfig();
+
+    if (this.encryptedStorages.length === 0) {
+      throw new Error('HIVE_ENCRYPTION_KEY is not set, there is nothing to rotate to');
     }
+
+    return withCorrelationId(async () => {
+      const results = [];
+      for (const { name, storage } of this.encryptedStorages) {
+        log.info('Rotating storage encryption key', { storage: name, keyId: storage.keyring.currentKeyId });
+
+        const result = await rotateStorageKeys(storage, { ...options, name });
+        results.push(result);
+
+        log.info('Storage encryption key rotated', {
+          storage: name,
+          rotated: result.rotated,
+          encrypted: result.encrypted,
+          current: result.current,
+          failed: result.failed.length
+        });
+      }
+
+      const retired = await this.listBackupsOnRetiredKeys();
+      if (retired.length > 0) {
+        log.warn('Backups still need retired encryption keys for their chunk IDs', {
+          backups: retired.length,
+          keyIds: [...new Set(retired.map((backup) => backup.chunkKeyId))]
+        });
+      }
+
+      return results;
+    });
   }
 
   /**
-   * Create backup of current storage
+   * Backups whose chunk IDs are keyed with an encryption key other than the
+   * current one. Restoring them needs that key in HIVE_ENCRYPTION_RETIRED_KEYS.
+   */
+  async listBackupsOnRetiredKeys() {
+    await this.getConfig();
+    const currentKeyId = getKeyring(this.settings.env)?.currentKeyId ?? null;
+    return (await this.listBackups()).filter((backup) => backup.chunkKeyId && backup.chunkKeyId !== currentKeyId);
+  }
+
+  /**
+   * Create an incremental, content-addressed snapshot of current storage
    */
   async createBackup(backupName = null) {
     const config = await this.getConfig();
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const backupKey = `backups/backup-${backupName || timestamp}`;
+    const backupKey = snapshotKey(backupName || timestamp);
 
-    try {
-      // Get all data
-      const allKeys = await config.storage.list();
-      const backupData = {};
+    return withCorrelationId(async () => {
+      try {
+        const manifest = await writeSnapshot(config.storage, backupName || timestamp, {
+          chunkSize: this.settings?.values.HIVE_BACKUP_CHUNK_SIZE,
+          keyring: getKeyring(this.settings.env),
+          changeLogSeq: config.storage instanceof ChangeLogStorage ? await config.storage.getHeadSeq() : null
+        });
+
+        recordBackupSuccess(manifest.timestamp);
+        log.info('Backup created', {
+          backup: backupKey,
+          keys: manifest.entries.length,
+          chunksWritten: manifest.stats.chunksWritten,
+          chunksReused: manifest.stats.chunksReused
+        });
+        return backupKey;
+      } catch (error) {
+        backupFailures.inc();
+        log.error('Backup failed', { backup: backupKey, error });
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Restore from backup
+   */
+  async restoreBackup(backupKey) {
+    const config = await this.getConfig();
 
-      for (const key of allKeys) {
-        if (!key.startsWith('backups/')) { // Don't backup backups
-          backupData[key] = await config.storage.get(key);
+    return withCorrelationId(async () => {
+      try {
+        // Whole-database blobs written before snapshots were introduced
+        if (backupKey.startsWith(LEGACY_BACKUP_PREFIX)) {
+          return await this.restoreLegacyBackup(config, backupKey);
         }
+
+        const manifest = await readSnapshotManifest(config.storage, backupKey);
+        if (!manifest) {
+          throw new Error(`Backup not found: ${backupKey}`);
+        }
+
+        log.info('Restoring from backup', { backup: backupKey, timestamp: manifest.timestamp });
+        const restored = await restoreSnapshot(config.storage, manifest, getKeyring(this.settings.env));
+
+        log.info('Backup restored', { backup: backupKey, restored });
+        return manifest;
+      } catch (error) {
+        log.error('Restore failed', { backup: backupKey, error });
+        throw error;
       }
+    });
+  }
+
+  /**
+   * List all backups with their metadata, newest first
+   */
+  async listBackups() {
+    const config = await this.getConfig();
+    return listSnapshots(config.storage);
+  }
 
-      // Store backup
-      await config.storage.set(backupKey, JSON.stringify({
-        timestamp: new Date().toISOString(),
-        keys: allKeys,
-        data: backupData,
-        version: '1.0'
-      }));
+  /**
+   * Delete one backup by name or key and drop the chunks only it referenced
+   */
+  async deleteBackup(backup) {
+    const config = await this.getConfig();
+    const backupKey = backup.startsWith(BACKUP_PREFIX) ? backup : snapshotKey(backup);
 
-      console.log(`✅ Backup created: ${backupKey}`);
-      return backupKey;
-    } catch (error) {
-      console.error('❌ Backup failed:', error.message);
-      throw error;
+    return withCorrelationId(async () => {
+      try {
+        await config.storage.delete(backupKey);
+        const chunksDeleted = await collectGarbageChunks(config.storage);
+
+        log.info('Backup deleted', { backup: backupKey, chunksDeleted });
+        return { key: backupKey, chunksDeleted };
+      } catch (error) {
+        log.error('Backup deletion failed', { backup: backupKey, error });
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Delete backups that fall outside a grandfather-father-son retention policy.
+   * The policy defaults to the `HIVE_BACKUP_KEEP_*` settings.
+   */
+  async pruneBackups(policy = null, options = {}) {
+    const { values } = await this.loadSettings();
+    const config = await this.getConfig();
+    policy ??= getRetentionPolicy(values);
+    const { keep, prune } = applyRetentionPolicy(await this.listBackups(), policy);
+
+    if (options.dryRun) {
+      return { kept: keep, pruned: prune, chunksDeleted: 0, dryRun: true };
     }
+
+    return withCorrelationId(async () => {
+      try {
+        for (const backup of prune) {
+          await config.storage.delete(backup.key);
+        }
+        const chunksDeleted = prune.length > 0 ? await collectGarbageChunks(config.storage) : 0;
+
+        // Log entries older than the oldest retained snapshot can never be replayed
+        let logEntriesDeleted = 0;
+        const logPositions = keep.map((backup) => backup.changeLogSeq).filter((seq) => seq !== null);
+        if (config.storage instanceof ChangeLogStorage && logPositions.length > 0) {
+          logEntriesDeleted = await truncateChangeLog(config.storage, Math.min(...logPositions));
+        }
+
+        log.info('Backups pruned', { pruned: prune.length, kept: keep.length, chunksDeleted, logEntriesDeleted });
+        return { kept: keep, pruned: prune, chunksDeleted, logEntriesDeleted, dryRun: false };
+      } catch (error) {
+        log.error('Backup pruning failed', { error });
+        throw error;
+      }
+    });
   }
 
   /**
-   * Restore from backup
+   * Restore storage to its state at a point in time by restoring the newest
+   * snapshot taken before it and replaying the change log up to it.
+   * The restore itself goes through the change log, so it can be undone too.
    */
-  async restoreBackup(backupKey) {
+  async restoreToPointInTime(timestamp) {
     const config = await this.getConfig();
+    const target = new Date(timestamp);
 
-    try {
-      const backupData = await config.storage.get(backupKey);
-      const backup = JSON.parse(backupData);
+    if (Number.isNaN(target.getTime())) {
+      throw new Error(`Invalid point in time: ${timestamp}`);
+    }
+    if (!(config.storage instanceof ChangeLogStorage)) {
+      throw new Error('Point-in-time recovery requires HIVE_CHANGE_LOG=true');
+    }
+
+    return withCorrelationId(async () => {
+      try {
+        const snapshot = (await this.listBackups()).find((backup) => (
+          backup.changeLogSeq !== null && new Date(backup.timestamp) <= target
+        ));
+        if (!snapshot) {
+          throw new Error(`No snapshot with a change log position exists before ${target.toISOString()}`);
+        }
+
+        log.info('Restoring to a point in time', { target: target.toISOString(), snapshot: snapshot.name });
+        const manifest = await readSnapshotManifest(config.storage, snapshot.key);
+
+        // Rebuild the state of the snapshot, only writing keys that differ
+        const hashChunk = getChunkHasher(manifest.chunkKeyId, getKeyring(this.settings.env));
+        const snapshotKeys = new Set(manifest.entries.map((entry) => entry.key));
+        for (const key of await config.storage.list()) {
+          if (!isInternalKey(key) && !snapshotKeys.has(key)) {
+            await config.storage.delete(key);
+          }
+        }
+        for (const entry of manifest.entries) {
+          const value = await readSnapshotEntry(config.storage, entry, hashChunk);
+          const current = await config.storage.get(entry.key);
+          if (JSON.stringify(current) !== JSON.stringify(value)) {
+            await config.storage.set(entry.key, value);
+          }
+        }
 
-      console.log(`🔄 Restoring from backup: ${backup.timestamp}`);
+        // Replay every logged write between the snapshot and the target time
+        let replayed = 0;
+        const entries = readChangeLog(config.storage.storage, {
+          afterSeq: snapshot.changeLogSeq,
+          until: target
+        });
+        for await (const entry of entries) {
+          if (entry.op === 'set') {
+            await config.storage.set(entry.key, entry.value);
+          } else {
+            await config.storage.delete(entry.key);
+          }
+          replayed++;
+        }
 
-      for (const [key, data] of Object.entries(backup.data)) {
-        await config.storage.set(key, data);
+        log.info('Point-in-time restore completed', { restored: manifest.entries.length, replayed });
+        return { snapshot: snapshot.key, target: target.toISOString(), replayed };
+      } catch (error) {
+        log.error('Point-in-time restore failed', { target: target.toISOString(), error });
+        throw error;
       }
+    });
+  }
 
-      console.log(`✅ Restored ${backup.keys.length} items from backup`);
-      return backup;
-    } catch (error) {
-      console.error('❌ Restore failed:', error.message);
-      throw error;
+  /**
+   * Restore a version 1.0 whole-database backup blob
+   */
+  async restoreLegacyBackup(config, backupKey) {
+    const backupData = await config.storage.get(backupKey);
+    const backup = JSON.parse(backupData);
+
+    log.info('Restoring from legacy backup', { backup: backupKey, timestamp: backup.timestamp });
+
+    for (const [key, data] of Object.entries(backup.data)) {
+      await config.storage.set(key, data);
     }
+
+    log.info('Backup restored', { backup: backupKey, restored: backup.keys.length });
+    return backup;
   }
 }
 
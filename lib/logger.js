@@ -0,0 +1,148 @@
+/**
+ * Structured Logging
+ * One JSON object per line with a level, the component that logged it and
+ * the correlation ID of the operation it belongs to, so log pipelines can
+ * parse and join them. On a terminal the same entries are printed readably.
+ *
+ * HIVE_LOG_LEVEL   debug, info (default), warn or error
+ * HIVE_LOG_FORMAT  json or pretty (default: pretty on a terminal, json otherwise)
+ */
+
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+export const LOG_FORMATS = ['json', 'pretty'];
+
+const context = new AsyncLocalStorage();
+const options = { level: null, format: null };
+
+const colors = {
+  reset: '\x1b[0m',
+  dim: '\x1b[2m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m'
+};
+const levelStyles = {
+  debug: { color: 'dim', prefix: '' },
+  info: { color: 'reset', prefix: '' },
+  warn: { color: 'yellow', prefix: '⚠️  ' },
+  error: { color: 'red', prefix: '❌ ' }
+};
+
+/**
+ * Override the level and format taken from the environment, e.g. with the
+ * validated settings of `loadHiveConfig()`. Unset options fall back to it.
+ */
+export function configureLogger({ level = null, format = null } = {}) {
+  options.level = level;
+  options.format = format;
+}
+
+function currentLevel() {
+  const level = options.level || process.env.HIVE_LOG_LEVEL;
+  return LOG_LEVELS[level] ?? LOG_LEVELS.info;
+}
+
+function currentFormat() {
+  const format = options.format || process.env.HIVE_LOG_FORMAT;
+  if (LOG_FORMATS.includes(format)) return format;
+  return process.stdout?.isTTY ? 'pretty' : 'json';
+}
+
+export function newCorrelationId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Correlation ID of the operation running now, or `null` outside of one
+ */
+export function getCorrelationId() {
+  return context.getStore()?.correlationId ?? null;
+}
+
+/**
+ * Run `operation` with a correlation ID that every entry logged during it
+ * carries. Without an `id`, an operation nested in another keeps the outer ID
+ * and a top-level one gets a new ID.
+ */
+export function withCorrelationId(operation, id = null) {
+  const correlationId = id || getCorrelationId() || newCorrelationId();
+  return context.run({ correlationId }, operation);
+}
+
+// Errors do not survive JSON.stringify, keep what is useful about them
+function serialize(value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, ...(value.code && { code: value.code }) };
+  }
+  return value;
+}
+
+function formatPretty(level, message, fields) {
+  const style = levelStyles[level];
+  const details = Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${typeof value === 'object' && value !== null ? JSON.stringify(value) : value}`)
+    .join(' ');
+
+  const line = `${colors[style.color]}${style.prefix}${message}${colors.reset}`;
+  return details ? `${line} ${colors.dim}${details}${colors.reset}` : line;
+}
+
+export class Logger {
+  constructor(component, fields = {}) {
+    this.component = component;
+    this.fields = fields;
+  }
+
+  /**
+   * A logger that adds `fields` to every entry
+   */
+  child(fields) {
+    return new Logger(this.component, { ...this.fields, ...fields });
+  }
+
+  log(level, message, fields = {}) {
+    if (LOG_LEVELS[level] < currentLevel()) return;
+
+    const entry = Object.fromEntries(
+      Object.entries({ ...this.fields, ...fields }).map(([key, value]) => [key, serialize(value)])
+    );
+    const output = level === 'error' || level === 'warn' ? console.error : console.log;
+
+    if (currentFormat() === 'pretty') {
+      output(formatPretty(level, message, entry));
+      return;
+    }
+
+    output(JSON.stringify({
+      time: new Date().toISOString(),
+      level,
+      component: this.component,
+      msg: message,
+      correlationId: getCorrelationId() ?? undefined,
+      ...entry
+    }));
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+}
+
+export function createLogger(component, fields) {
+  return new Logger(component, fields);
+}
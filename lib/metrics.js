@@ -0,0 +1,204 @@
+/**
+ * Prometheus Metrics
+ * Counters, gauges and histograms with labels, rendered in the Prometheus
+ * text exposition format. Gauges can be collected when scraped, for values
+ * that live elsewhere (replication lag, the last backup).
+ */
+
+export const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+class Metric {
+  constructor(type, { name, help, labelNames = [] }) {
+    if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name)) {
+      throw new Error(`Invalid metric name "${name}"`);
+    }
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  // One series per combination of label values, in labelNames order
+  seriesFor(labels = {}) {
+    for (const name of Object.keys(labels)) {
+      if (!this.labelNames.includes(name)) {
+        throw new Error(`Metric ${this.name} has no label "${name}"`);
+      }
+    }
+
+    const values = Object.fromEntries(this.labelNames.map((name) => [name, labels[name] ?? '']));
+    const key = JSON.stringify(values);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: values, ...this.initialValue() });
+    }
+    return this.series.get(key);
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+export class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  initialValue() {
+    return { value: 0 };
+  }
+
+  inc(labels = {}, amount = 1) {
+    if (amount < 0) throw new Error(`Counter ${this.name} cannot decrease`);
+    this.seriesFor(labels).value += amount;
+  }
+
+  async render() {
+    return [...this.series.values()].map((series) => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+  }
+}
+
+export class Gauge extends Metric {
+  /**
+   * `collect(gauge)` runs before every scrape and may `set()` the gauge
+   */
+  constructor({ collect, ...options }) {
+    super('gauge', options);
+    this.collect = collect;
+  }
+
+  initialValue() {
+    return { value: 0 };
+  }
+
+  set(labels, value) {
+    this.seriesFor(labels).value = value;
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.seriesFor(labels).value += amount;
+  }
+
+  /**
+   * A collector that fails does not fail the scrape, the gauge keeps the
+   * values it collected last
+   */
+  async render() {
+    if (this.collect) {
+      try {
+        await this.collect(this);
+      } catch {
+        // Keep the last collected values
+      }
+    }
+    return [...this.series.values()].map((series) => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+  }
+}
+
+export class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super('histogram', options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  initialValue() {
+    return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels);
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Start a timer, call the returned function to observe the elapsed seconds
+   */
+  startTimer(labels) {
+    const started = performance.now();
+    return (extraLabels = {}) => this.observe({ ...labels, ...extraLabels }, (performance.now() - started) / 1000);
+  }
+
+  async render() {
+    const lines = [];
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  get(name) {
+    return this.metrics.get(name) ?? null;
+  }
+
+  /**
+   * Every metric in the Prometheus text format
+   */
+  async render() {
+    const sections = [];
+    for (const metric of this.metrics.values()) {
+      sections.push([...metric.header(), ...(await metric.render())].join('\n'));
+    }
+    return `${sections.join('\n')}\n`;
+  }
+}
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Registry the storage code records into and /metrics serves
+export const registry = new MetricsRegistry();
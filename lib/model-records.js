@@ -0,0 +1,106 @@
+/**
+ * Model Records
+ * Reads and writes the records of one model in a key-value storage, each as
+ * JSON under `<plural slug>/<id>`, and keeps an index of its unique fields.
+ */
+
+export function recordKey(model, id) {
+  return `${model.pluralSlug}/${id}`;
+}
+
+function parseRecord(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+export class ModelRecords {
+  constructor(storage, model) {
+    this.storage = storage;
+    this.model = model;
+    this.uniqueFields = model.fields.filter((field) => field.unique).map((field) => field.slug);
+    this.index = null;
+  }
+
+  async ids() {
+    const prefix = `${this.model.pluralSlug}/`;
+    return (await this.storage.list(prefix))
+      .map((key) => key.slice(prefix.length))
+      // Keys of nested data are not records of this model
+      .filter((id) => id && !id.includes('/'));
+  }
+
+  async get(id) {
+    const value = await this.storage.get(recordKey(this.model, id));
+    return value === null || value === undefined ? null : parseRecord(value);
+  }
+
+  /**
+   * Every record, one at a time, ordered by ID
+   */
+  async *records() {
+    for (const id of await this.ids()) {
+      const record = await this.get(id);
+      if (record) yield record;
+    }
+  }
+
+  async put(record) {
+    await this.storage.set(recordKey(this.model, record.id), JSON.stringify(record));
+    if (this.index) this.indexRecord(record);
+  }
+
+  async delete(id) {
+    await this.storage.delete(recordKey(this.model, id));
+    if (this.index) this.unindexRecord(id);
+  }
+
+  /**
+   * Load the IDs and unique values of the stored records, so that
+   * `findConflicts()` needs no further reads
+   */
+  async loadIndex() {
+    this.index = { ids: new Map(), unique: new Map(this.uniqueFields.map((field) => [field, new Map()])) };
+    for await (const record of this.records()) this.indexRecord(record);
+    return this;
+  }
+
+  indexRecord(record) {
+    this.unindexRecord(record.id);
+    this.index.ids.set(record.id, record);
+    for (const [field, values] of this.index.unique) {
+      if (record[field] !== null && record[field] !== undefined) values.set(record[field], record.id);
+    }
+  }
+
+  unindexRecord(id) {
+    const previous = this.index.ids.get(id);
+    if (!previous) return;
+    this.index.ids.delete(id);
+    for (const [field, values] of this.index.unique) {
+      if (values.get(previous[field]) === id) values.delete(previous[field]);
+    }
+  }
+
+  /**
+   * Stored records that `record` collides with, by ID or a unique field:
+   * `[{ id, fields }]`, `fields` naming what matched. Needs `loadIndex()`.
+   */
+  findConflicts(record) {
+    const matches = new Map();
+    const match = (id, field) => {
+      if (!matches.has(id)) matches.set(id, []);
+      matches.get(id).push(field);
+    };
+
+    if (this.index.ids.has(record.id)) match(record.id, 'id');
+    for (const [field, values] of this.index.unique) {
+      const id = values.get(record[field]);
+      if (id !== undefined) match(id, field);
+    }
+
+    return [...matches].map(([id, fields]) => ({ id, fields }));
+  }
+
+  async count() {
+    return (await this.ids()).length;
+  }
+}
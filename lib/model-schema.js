@@ -0,0 +1,171 @@
+/**
+ * Model Schema
+ * Reads the models declared with Blade's `model()` in `schema/index.ts` and
+ * checks records against them. A record is the model's fields plus its `id`,
+ * stored as JSON under `<plural slug>/<id>` in the configured storage.
+ *
+ * The schema is TypeScript, so loading it needs Bun (`bun scripts/...`).
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { isInternalKey } from './storage-keys.js';
+
+export const DEFAULT_SCHEMA_PATH = 'schema/index.ts';
+
+const FIELD_TYPES = ['string', 'number', 'boolean', 'date', 'json', 'blob', 'link'];
+
+/**
+ * A model as the tooling uses it: `name` (the export name), `slug`,
+ * `pluralSlug`, `idPrefix` and its `fields`, each `{ slug, type, unique,
+ * required, defaultValue, target }`
+ */
+export function normalizeModel(name, model) {
+  const slug = option(model, 'slug');
+  if (!slug) {
+    throw new Error(`Export ${name} of the schema is not a model`);
+  }
+
+  const pluralSlug = option(model, 'pluralSlug') ?? `${slug}s`;
+  const fields = Object.entries(option(model, 'fields') ?? {}).map(([fieldSlug, field]) => {
+    const type = option(field, 'type') ?? 'string';
+    if (!FIELD_TYPES.includes(type)) {
+      throw new Error(`Field ${name}.${fieldSlug} has the unsupported type "${type}"`);
+    }
+    if (fieldSlug === 'id') {
+      throw new Error(`Field ${name}.id is reserved for the record ID`);
+    }
+    return {
+      slug: fieldSlug,
+      type,
+      unique: Boolean(option(field, 'unique')),
+      required: Boolean(option(field, 'required')),
+      // Expressions (e.g. `random()`) are evaluated by the database, not here
+      defaultValue: isExpression(option(field, 'defaultValue')) ? undefined : option(field, 'defaultValue'),
+      target: option(field, 'target') ?? null
+    };
+  });
+
+  if (isInternalKey(`${pluralSlug}/`)) {
+    throw new Error(`Model ${name} would store its records under the reserved prefix ${pluralSlug}/`);
+  }
+
+  return { name, slug, pluralSlug, idPrefix: option(model, 'idPrefix') ?? slug.slice(0, 3), fields };
+}
+
+// Blade's field builders return proxies that answer every property, only set options count
+function option(definition, name) {
+  return definition && Object.hasOwn(definition, name) ? definition[name] : undefined;
+}
+
+function isExpression(value) {
+  return value !== null && typeof value === 'object' && Object.keys(value).some((key) => key.startsWith('__RONIN_'));
+}
+
+/**
+ * The models exported by the schema module, in declaration order
+ */
+export async function loadModels(schemaPath = DEFAULT_SCHEMA_PATH) {
+  const schema = await import(pathToFileURL(path.resolve(schemaPath)).href);
+  return Object.entries(schema)
+    .filter(([, value]) => value && typeof value === 'object' && 'slug' in value && 'fields' in value)
+    .map(([name, model]) => normalizeModel(name, model));
+}
+
+/**
+ * The models named in `names` (export name, slug or plural slug), or all of them
+ */
+export function selectModels(models, names = []) {
+  if (names.length === 0) return models;
+
+  return names.map((name) => {
+    const model = models.find((entry) => [entry.name, entry.slug, entry.pluralSlug].includes(name));
+    if (!model) {
+      throw new Error(`Unknown model "${name}", the schema declares: ${models.map((entry) => entry.name).join(', ')}`);
+    }
+    return model;
+  });
+}
+
+export function newRecordId(model) {
+  return `${model.idPrefix}_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+/**
+ * Convert one value to the field's type. Strings, as read from CSV, are
+ * parsed; an empty string is no value.
+ */
+function coerceValue(field, value) {
+  if (value === '' && field.type !== 'string') return null;
+
+  switch (field.type) {
+    case 'string':
+    case 'link':
+      if (typeof value !== 'string') throw new Error('expected a string');
+      return value;
+    case 'number': {
+      const number = typeof value === 'string' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) throw new Error('expected a number');
+      return number;
+    }
+    case 'boolean':
+      if (value === 'true' || value === true) return true;
+      if (value === 'false' || value === false) return false;
+      throw new Error('expected true or false');
+    case 'date': {
+      const date = new Date(value);
+      if (typeof value === 'boolean' || Number.isNaN(date.getTime())) throw new Error('expected a date');
+      return date.toISOString();
+    }
+    default:
+      // json and blob
+      if (typeof value !== 'string') return value;
+      try {
+        return JSON.parse(value);
+      } catch {
+        throw new Error('expected JSON');
+      }
+  }
+}
+
+/**
+ * Check a record against its model. Returns `{ record, errors, unknown }`:
+ * the record with its values converted to the field types and defaults
+ * applied, what is wrong with it, and the fields the model does not declare
+ * (they are left out of `record`).
+ */
+export function validateRecord(model, input) {
+  const errors = [];
+  const record = {};
+
+  if (input.id === undefined || input.id === null || input.id === '') {
+    record.id = newRecordId(model);
+  } else if (typeof input.id !== 'string' || input.id.includes('/')) {
+    errors.push('id must be a string without "/"');
+  } else {
+    record.id = input.id;
+  }
+
+  for (const field of model.fields) {
+    let value = input[field.slug];
+    try {
+      value = value === undefined || value === null ? null : coerceValue(field, value);
+    } catch (error) {
+      errors.push(`${field.slug}: ${error.message}, got ${JSON.stringify(value)}`);
+      continue;
+    }
+
+    if (value === null && field.defaultValue !== undefined) value = field.defaultValue;
+    if (value === null && field.required) {
+      errors.push(`${field.slug} is required`);
+      continue;
+    }
+    record[field.slug] = value;
+  }
+
+  const declared = new Set(['id', ...model.fields.map((field) => field.slug)]);
+  const unknown = Object.keys(input).filter((key) => !declared.has(key));
+
+  return { record, errors, unknown };
+}
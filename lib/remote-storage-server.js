@@ -0,0 +1,315 @@
+/**
+ * Remote Storage Server
+ * Self-hostable reference implementation of the HTTP protocol spoken by the
+ * `remote` storage type and by `scripts/sync-remote-storage.js`:
+ *
+ *   GET    /             List objects (optional `?prefix=`)
+ *   GET    /<key>        Read an object (supports If-None-Match)
+ *   HEAD   /<key>        Read an object's headers
+ *   PUT    /<key>        Write an object (supports If-Match / If-None-Match)
+ *   DELETE /<key>        Delete an object (supports If-Match)
+ *   GET    /_health      Unauthenticated liveness check
+ *
+ * Every other request needs `Authorization: Bearer <api key>`. Objects are
+ * streamed to and from disk, so their size is not limited by memory.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+
+const MAX_KEY_LENGTH = 1024;
+
+// Client headers that are stored with an object and returned on reads
+const STORED_HEADERS = ['x-encrypted', 'x-encryption-format', 'x-encryption-key-id', 'x-storage-type', 'x-timestamp'];
+
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Disk backend: one data file plus one JSON metadata file per object, stored
+ * under the SHA-256 of the key so that any key maps to a safe file name
+ */
+export class DiskObjectStore {
+  constructor(dir) {
+    this.dir = path.resolve(dir);
+    this.objectsDir = path.join(this.dir, 'objects');
+    this.tmpDir = path.join(this.dir, 'tmp');
+    fs.mkdirSync(this.objectsDir, { recursive: true });
+    fs.mkdirSync(this.tmpDir, { recursive: true });
+  }
+
+  paths(key) {
+    const hash = crypto.createHash('sha256').update(key, 'utf8').digest('hex');
+    const base = path.join(this.objectsDir, hash.slice(0, 2), hash);
+    return { data: `${base}.data`, meta: `${base}.json` };
+  }
+
+  async head(key) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.paths(key).meta, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Open an object's data for reading. The stream keeps reading the data that
+   * was current when it was opened, even if the object is replaced meanwhile.
+   */
+  async openReadStream(key) {
+    const handle = await fs.promises.open(this.paths(key).data, 'r');
+    return handle.createReadStream();
+  }
+
+  /**
+   * Stream a request body into the store and return the new metadata
+   */
+  async put(key, body, headers, maxBytes) {
+    const { data, meta } = this.paths(key);
+    const tmp = path.join(this.tmpDir, crypto.randomUUID());
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+
+    try {
+      await pipeline(
+        body,
+        async function* (source) {
+          for await (const chunk of source) {
+            size += chunk.length;
+            if (size > maxBytes) {
+              throw new HttpError(413, `Object exceeds the limit of ${maxBytes} bytes`);
+            }
+            hash.update(chunk);
+            yield chunk;
+          }
+        },
+        fs.createWriteStream(tmp)
+      );
+
+      const metadata = {
+        key,
+        size,
+        etag: `"${hash.digest('hex')}"`,
+        updatedAt: new Date().toISOString(),
+        headers
+      };
+
+      // Rename is atomic, so readers never see a half-written object
+      await fs.promises.mkdir(path.dirname(data), { recursive: true });
+      await fs.promises.rename(tmp, data);
+      await fs.promises.writeFile(`${meta}.tmp`, JSON.stringify(metadata));
+      await fs.promises.rename(`${meta}.tmp`, meta);
+      return metadata;
+    } finally {
+      await fs.promises.rm(tmp, { force: true });
+    }
+  }
+
+  async delete(key) {
+    const { data, meta } = this.paths(key);
+    await fs.promises.rm(meta, { force: true });
+    await fs.promises.rm(data, { force: true });
+  }
+
+  async list(prefix = '') {
+    const objects = [];
+
+    for (const shard of await fs.promises.readdir(this.objectsDir)) {
+      const shardDir = path.join(this.objectsDir, shard);
+      for (const file of await fs.promises.readdir(shardDir)) {
+        if (!file.endsWith('.json')) continue;
+
+        const { key, size, etag, updatedAt } = JSON.parse(
+          await fs.promises.readFile(path.join(shardDir, file), 'utf8')
+        );
+        if (key.startsWith(prefix)) objects.push({ key, size, etag, updatedAt });
+      }
+    }
+
+    return objects.sort((a, b) => a.key.localeCompare(b.key));
+  }
+}
+
+/**
+ * Whether an `Authorization` header carries `Bearer <token>`, compared in
+ * constant time
+ */
+export function hasBearerToken(header, token) {
+  const match = /^Bearer (.+)$/.exec(header || '');
+  if (!match) return false;
+
+  const expected = crypto.createHash('sha256').update(token).digest();
+  const actual = crypto.createHash('sha256').update(match[1]).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Whether an If-Match / If-None-Match header value matches an ETag
+ */
+function matchesEtag(header, etag) {
+  if (!header) return false;
+  if (header.trim() === '*') return etag !== null;
+  return header.split(',').map((value) => value.trim()).includes(etag);
+}
+
+function parseKey(pathname) {
+  let key;
+  try {
+    key = decodeURIComponent(pathname.replace(/^\/+/, ''));
+  } catch {
+    throw new HttpError(400, 'Malformed key');
+  }
+
+  if (!key || key.length > MAX_KEY_LENGTH || key.includes('\0') || key.split('/').includes('..')) {
+    throw new HttpError(400, 'Invalid key');
+  }
+  return key;
+}
+
+function sendJson(response, status, body) {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(body));
+}
+
+function objectHeaders(metadata) {
+  return {
+    'Content-Type': 'application/octet-stream',
+    'Content-Length': String(metadata.size),
+    'ETag': metadata.etag,
+    'Last-Modified': new Date(metadata.updatedAt).toUTCString(),
+    ...metadata.headers
+  };
+}
+
+/**
+ * Create the HTTP request handler for a store
+ */
+export function createRequestHandler({ store, apiKey, maxBytes = 5 * 1024 ** 3 }) {
+  if (!apiKey) {
+    throw new Error('An API key is required to run the remote storage server');
+  }
+
+  // Conditional writes check and write under a per-key lock, so two writers
+  // with the same If-Match can never both succeed. Reads take it too, while
+  // they read the metadata and open the data, so they never pair the data of
+  // one write with the metadata of another.
+  const locks = new Map();
+  const withKeyLock = async (key, operation) => {
+    const previous = locks.get(key) || Promise.resolve();
+    const run = previous.then(operation, operation);
+    const settled = run.catch(() => {});
+    locks.set(key, settled);
+    try {
+      return await run;
+    } finally {
+      if (locks.get(key) === settled) locks.delete(key);
+    }
+  };
+
+  return async (request, response) => {
+    try {
+      const url = new URL(request.url, 'http://localhost');
+
+      if (url.pathname === '/_health') {
+        return sendJson(response, 200, { status: 'ok' });
+      }
+      if (!hasBearerToken(request.headers.authorization, apiKey)) {
+        response.setHeader('WWW-Authenticate', 'Bearer');
+        return sendJson(response, 401, { error: 'Unauthorized' });
+      }
+
+      if (url.pathname === '/' && request.method === 'GET') {
+        const objects = await store.list(url.searchParams.get('prefix') || '');
+        return sendJson(response, 200, { keys: objects.map((object) => object.key), objects });
+      }
+
+      const key = parseKey(url.pathname);
+      if (request.method === 'GET' || request.method === 'HEAD') {
+        return await readObject(request, response, key);
+      }
+      if (request.method === 'PUT' || request.method === 'DELETE') {
+        return await withKeyLock(key, () => handleObject(request, response, key));
+      }
+      response.setHeader('Allow', 'GET, HEAD, PUT, DELETE');
+      return sendJson(response, 405, { error: 'Method not allowed' });
+    } catch (error) {
+      if (response.headersSent) {
+        response.destroy(error);
+        return;
+      }
+      const status = error instanceof HttpError ? error.status : 500;
+      sendJson(response, status, { error: error.message });
+    }
+  };
+
+  async function readObject(request, response, key) {
+    const { current, body } = await withKeyLock(key, async () => {
+      const metadata = await store.head(key);
+      const send = metadata && request.method === 'GET' && !matchesEtag(request.headers['if-none-match'], metadata.etag);
+      return { current: metadata, body: send ? await store.openReadStream(key) : null };
+    });
+
+    if (!current) return sendJson(response, 404, { error: 'Not found' });
+    if (matchesEtag(request.headers['if-none-match'], current.etag)) {
+      response.writeHead(304, { ETag: current.etag });
+      return response.end();
+    }
+
+    response.writeHead(200, objectHeaders(current));
+    if (!body) return response.end();
+    return await pipeline(body, response);
+  }
+
+  async function handleObject(request, response, key) {
+    const current = await store.head(key);
+    const currentEtag = current?.etag ?? null;
+
+    switch (request.method) {
+      case 'PUT': {
+        const ifMatch = request.headers['if-match'];
+        const ifNoneMatch = request.headers['if-none-match'];
+        if ((ifMatch && !matchesEtag(ifMatch, currentEtag)) || matchesEtag(ifNoneMatch, currentEtag)) {
+          return sendJson(response, 412, { error: 'Precondition failed', etag: currentEtag });
+        }
+
+        const headers = {};
+        for (const name of STORED_HEADERS) {
+          if (request.headers[name] !== undefined) headers[name] = request.headers[name];
+        }
+
+        const metadata = await store.put(key, request, headers, maxBytes);
+        response.setHeader('ETag', metadata.etag);
+        const { key: storedKey, size, etag, updatedAt } = metadata;
+        return sendJson(response, current ? 200 : 201, { key: storedKey, size, etag, updatedAt });
+      }
+
+      case 'DELETE': {
+        if (!current) return sendJson(response, 404, { error: 'Not found' });
+        const ifMatch = request.headers['if-match'];
+        if (ifMatch && !matchesEtag(ifMatch, currentEtag)) {
+          return sendJson(response, 412, { error: 'Precondition failed', etag: currentEtag });
+        }
+
+        await store.delete(key);
+        response.writeHead(204);
+        return response.end();
+      }
+    }
+  }
+}
+
+/**
+ * Create (but do not start) a remote storage server backed by a directory
+ */
+export function createRemoteStorageServer({ dir, apiKey, maxBytes }) {
+  const store = new DiskObjectStore(dir);
+  return http.createServer(createRequestHandler({ store, apiKey, maxBytes }));
+}
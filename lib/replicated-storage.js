@@ -0,0 +1,535 @@
+/**
+ * Replicated Storage
+ * Writes go to the primary first and are then queued per replica, so a replica
+ * that is down misses nothing: its queue is retried with backoff until the
+ * writes land. A periodic anti-entropy pass compares every key between the
+ * primary and each replica by hash and repairs differences according to the
+ * conflict resolution policy (`latest`, `primary` or `replica`). Values are
+ * only read again when their ETag or modification time changed since the
+ * last pass, so a pass over an unchanged replica downloads nothing.
+ *
+ * Reads and listings are served by the primary. When the primary fails, or
+ * is missing a key, reads fall back to the first replica that is up to date
+ * for that key, and a value found there is written back to the primary. Every
+ * backend sits behind a circuit breaker, so a dead one fails fast.
+ */
+
+import { EventEmitter } from 'events';
+import { CircuitBreaker, CircuitOpenError } from './circuit-breaker.js';
+import { createLogger, newCorrelationId, withCorrelationId } from './logger.js';
+import { HEALTH_PREFIX, MIGRATION_PREFIX, SYNC_PREFIX } from './storage-keys.js';
+import { StorageMigration, hashValue } from './storage-migration.js';
+
+const log = createLogger('replication');
+
+export const CONFLICT_POLICIES = ['latest', 'primary', 'replica'];
+export const SYNC_MODES = ['async', 'sync'];
+
+const MAX_BACKOFF = 5 * 60 * 1000;
+
+export class ReplicatedStorage extends EventEmitter {
+  constructor({ primary, replicas = [], syncMode = 'async', conflictResolution = 'latest', ...options }) {
+    super();
+    if (!SYNC_MODES.includes(syncMode)) {
+      throw new Error(`Unknown replication mode "${syncMode}" (expected ${SYNC_MODES.join(', ')})`);
+    }
+    if (!CONFLICT_POLICIES.includes(conflictResolution)) {
+      throw new Error(`Unknown conflict resolution "${conflictResolution}" (expected ${CONFLICT_POLICIES.join(', ')})`);
+    }
+
+    this.primary = primary;
+    this.syncMode = syncMode;
+    this.conflictResolution = conflictResolution;
+    this.retryInterval = options.retryInterval ?? 5000;
+    this.antiEntropyInterval = options.antiEntropyInterval ?? 10 * 60 * 1000;
+    this.maxQueueSize = options.maxQueueSize ?? 10000;
+    this.readFallback = options.readFallback ?? true;
+    this.breaker = new CircuitBreaker('primary', options.circuitBreaker);
+    this.timers = [];
+    this.lastAntiEntropy = null;
+    this.antiEntropyRun = null;
+
+    this.replicas = replicas.map(({ name, storage }) => ({
+      name,
+      storage,
+      breaker: new CircuitBreaker(name, options.circuitBreaker),
+      // Latest pending write per key, oldest first
+      queue: new Map(),
+      drain: Promise.resolve(),
+      drainScheduled: false,
+      replicated: 0,
+      failedAttempts: 0,
+      lastSyncAt: null,
+      lastError: null,
+      resyncRequired: false,
+      divergent: 0,
+      repaired: 0,
+      lastCheckAt: null,
+      // Hash and versions of each key the last pass found equal on both sides
+      verified: new Map()
+    }));
+  }
+
+  /**
+   * Start the retry and anti-entropy timers. They do not keep the process alive.
+   */
+  start() {
+    if (this.timers.length > 0) return this;
+
+    if (this.retryInterval > 0) {
+      const retry = setInterval(() => {
+        for (const replica of this.replicas) {
+          if (replica.queue.size > 0) this.scheduleDrain(replica);
+        }
+      }, this.retryInterval);
+      this.timers.push(retry);
+    }
+
+    if (this.antiEntropyInterval > 0) {
+      const antiEntropy = setInterval(() => {
+        // Timers inherit the context they were started in, every pass is its own operation
+        withCorrelationId(() => this.runAntiEntropy(), newCorrelationId()).catch((error) => {
+          log.warn('Replica anti-entropy pass failed', { error });
+        });
+      }, this.antiEntropyInterval);
+      this.timers.push(antiEntropy);
+    }
+
+    for (const timer of this.timers) timer.unref?.();
+    return this;
+  }
+
+  /**
+   * Stop the timers, after giving every replica one last chance to catch up
+   */
+  async stop() {
+    for (const timer of this.timers) clearInterval(timer);
+    this.timers = [];
+    await Promise.all(this.replicas.map((replica) => this.scheduleDrain(replica, { force: true })));
+  }
+
+  async get(key) {
+    let primaryError = null;
+    try {
+      const value = await this.breaker.execute(() => this.primary.get(key));
+      if (!isMissing(value) || !this.readFallback) return value;
+    } catch (error) {
+      if (!this.readFallback) throw error;
+      primaryError = error;
+    }
+
+    for (const replica of this.readableReplicas(key)) {
+      try {
+        const value = await replica.breaker.execute(() => replica.storage.get(key));
+        if (isMissing(value)) continue;
+
+        this.emit('failover-read', { replica: replica.name, key, primaryError });
+        if (!primaryError) this.writeBack(key, value, replica);
+        return value;
+      } catch {
+        // Try the next replica
+      }
+    }
+
+    if (primaryError) throw primaryError;
+    return null;
+  }
+
+  async list(...args) {
+    try {
+      return await this.breaker.execute(() => this.primary.list(...args));
+    } catch (error) {
+      if (!this.readFallback) throw error;
+
+      // Only a replica with nothing queued has the same keys as the primary
+      for (const replica of this.replicas) {
+        if (replica.queue.size > 0 || replica.resyncRequired || !replica.breaker.available) continue;
+        try {
+          return await replica.breaker.execute(() => replica.storage.list(...args));
+        } catch {
+          // Try the next replica
+        }
+      }
+      throw error;
+    }
+  }
+
+  async set(key, value) {
+    await this.breaker.execute(() => this.primary.set(key, value));
+    if (!isHealthProbe(key)) await this.replicate({ op: 'set', key, value });
+  }
+
+  async delete(key) {
+    await this.breaker.execute(() => this.primary.delete(key));
+    if (!isHealthProbe(key)) await this.replicate({ op: 'delete', key });
+  }
+
+  /**
+   * Replicas that can answer a read of `key`: reachable, not waiting for a
+   * resync and without a queued write to the key that would make them stale
+   */
+  readableReplicas(key) {
+    return this.replicas.filter((replica) => (
+      replica.breaker.available && !replica.resyncRequired && !replica.queue.has(key)
+    ));
+  }
+
+  /**
+   * Copy a value that only a replica had back to the primary, unless the key
+   * was written in the meantime
+   */
+  writeBack(key, value, replica) {
+    this.breaker.execute(async () => {
+      if (!isMissing(await this.primary.get(key))) return;
+      await this.primary.set(key, value);
+      this.emit('read-repaired', { replica: replica.name, key });
+    }).catch((error) => {
+      log.warn('Failed to copy a key from a replica back to the primary', { key, replica: replica.name, error });
+    });
+  }
+
+  /**
+   * Queue a write for every replica. In `sync` mode this waits until each
+   * replica has been tried once; writes that fail stay queued for retry.
+   */
+  async replicate(write) {
+    const entry = { ...write, queuedAt: Date.now(), attempts: 0, nextAttemptAt: 0, lastError: null };
+
+    const drains = this.replicas.map((replica) => {
+      this.enqueue(replica, { ...entry });
+      return this.scheduleDrain(replica, { force: this.syncMode === 'sync' });
+    });
+
+    if (this.syncMode === 'sync') {
+      await Promise.all(drains);
+    }
+  }
+
+  enqueue(replica, entry) {
+    // A newer write to the same key supersedes the queued one, but keeps its
+    // place in the queue: the replica has been behind on the key since then
+    const superseded = replica.queue.get(entry.key);
+    if (superseded) entry.queuedAt = superseded.queuedAt;
+    replica.queue.set(entry.key, entry);
+
+    // Rather than growing without bound while a replica is down, give up on
+    // the queue and let the next anti-entropy pass copy everything over
+    if (replica.queue.size > this.maxQueueSize) {
+      replica.queue.clear();
+      replica.resyncRequired = true;
+      this.emit('overflow', { replica: replica.name });
+    }
+  }
+
+  /**
+   * Drain a replica's queue after any drain already in progress. Concurrent
+   * calls share one pending drain, so writes to a replica never overlap.
+   */
+  scheduleDrain(replica, { force = false } = {}) {
+    if (replica.drainScheduled && !force) return replica.drain;
+
+    replica.drainScheduled = true;
+    replica.drain = replica.drain.then(() => {
+      replica.drainScheduled = false;
+      return this.drainQueue(replica, force);
+    });
+    return replica.drain;
+  }
+
+  async drainQueue(replica, force) {
+    for (const entry of [...replica.queue.values()]) {
+      if (replica.queue.get(entry.key) !== entry) continue;
+      if (!force && entry.nextAttemptAt > Date.now()) continue;
+
+      try {
+        await replica.breaker.execute(() => (
+          entry.op === 'delete'
+            ? replica.storage.delete(entry.key)
+            : replica.storage.set(entry.key, entry.value)
+        ));
+
+        if (replica.queue.get(entry.key) === entry) replica.queue.delete(entry.key);
+        replica.replicated++;
+        replica.lastSyncAt = new Date().toISOString();
+        replica.lastError = null;
+      } catch (error) {
+        // Writes wait in the queue until the replica's circuit closes again
+        if (error instanceof CircuitOpenError) return;
+
+        entry.attempts++;
+        entry.lastError = error.message;
+        entry.nextAttemptAt = Date.now() + Math.min(this.retryInterval * 2 ** entry.attempts, MAX_BACKOFF);
+        replica.failedAttempts++;
+        replica.lastError = error.message;
+        this.emit('replication-failed', { replica: replica.name, key: entry.key, error });
+
+        // The replica is most likely unreachable, so stop until the next retry
+        return;
+      }
+    }
+  }
+
+  /**
+   * Compare every key of the primary and each replica by hash and repair the
+   * differences. Keys with queued writes are skipped, the queue will fix them.
+   */
+  async runAntiEntropy({ repair = true } = {}) {
+    // Overlapping passes would only repeat each other's work
+    if (this.antiEntropyRun) return this.antiEntropyRun;
+
+    this.antiEntropyRun = (async () => {
+      const report = { startedAt: new Date().toISOString(), finishedAt: null, replicas: [] };
+
+      for (const replica of this.replicas) {
+        report.replicas.push(await this.reconcileReplica(replica, repair));
+      }
+
+      report.finishedAt = new Date().toISOString();
+      this.lastAntiEntropy = report;
+      this.emit('anti-entropy', report);
+      return report;
+    })();
+
+    try {
+      return await this.antiEntropyRun;
+    } finally {
+      this.antiEntropyRun = null;
+    }
+  }
+
+  async reconcileReplica(replica, repair) {
+    const result = { name: replica.name, checked: 0, read: 0, divergent: 0, repaired: 0, failed: [] };
+    if (!this.breaker.available || !replica.breaker.available) {
+      result.failed.push({ key: null, error: 'Skipped: circuit open' });
+      return result;
+    }
+
+    try {
+      // Database file copies from db:sync:* only ever live on the replica
+      const isData = (key) => !key.startsWith(SYNC_PREFIX) && !isHealthProbe(key);
+      const primaryListing = await listVersions(this.primary, isData);
+      const replicaListing = await listVersions(replica.storage, isData);
+
+      // Repairing from an empty primary would wipe the replica
+      if (primaryListing.keys.length === 0 && replicaListing.keys.length > 0) {
+        result.divergent = replicaListing.keys.length;
+        result.failed.push({ key: null, error: 'Primary is empty, promote the replica instead of repairing it' });
+        replica.divergent = result.divergent;
+        replica.lastCheckAt = new Date().toISOString();
+        return result;
+      }
+
+      const keys = new Set([...primaryListing.keys, ...replicaListing.keys]);
+      for (const key of replica.verified.keys()) {
+        if (!keys.has(key)) replica.verified.delete(key);
+      }
+
+      for (const key of [...keys].sort()) {
+        if (replica.queue.has(key)) continue;
+        result.checked++;
+
+        try {
+          const sides = {
+            primary: { storage: this.primary, version: await versionOf(this.primary, primaryListing, key) },
+            replica: { storage: replica.storage, version: await versionOf(replica.storage, replicaListing, key) }
+          };
+
+          // A side whose version matches the last pass still holds the value
+          // that was verified then, only the others are read
+          const known = replica.verified.get(key);
+          const hashOf = async (name) => {
+            const side = sides[name];
+            if (known && side.version !== null && side.version === known[name]) return known.hash;
+            side.value = await side.storage.get(key);
+            result.read++;
+            return isMissing(side.value) ? null : hashValue(side.value);
+          };
+          const [primaryHash, replicaHash] = await Promise.all([hashOf('primary'), hashOf('replica')]);
+
+          if (primaryHash === replicaHash) {
+            if (primaryHash === null) {
+              replica.verified.delete(key);
+            } else {
+              replica.verified.set(key, { hash: primaryHash, primary: sides.primary.version, replica: sides.replica.version });
+            }
+            continue;
+          }
+
+          replica.verified.delete(key);
+          result.divergent++;
+          if (!repair) continue;
+
+          const winner = await this.resolveConflict(key, replica);
+          const [target, source] = winner === 'primary'
+            ? [replica.storage, sides.primary]
+            : [this.primary, sides.replica];
+          const value = 'value' in source ? source.value : await source.storage.get(key);
+
+          if (isMissing(value)) {
+            await target.delete(key);
+          } else {
+            await target.set(key, value);
+          }
+          result.repaired++;
+          this.emit('repaired', { replica: replica.name, key, winner, deleted: isMissing(value) });
+        } catch (error) {
+          result.failed.push({ key, error: error.message });
+        }
+      }
+
+      if (repair && result.failed.length === 0) replica.resyncRequired = false;
+    } catch (error) {
+      result.failed.push({ key: null, error: error.message });
+    }
+
+    replica.divergent = repair ? result.divergent - result.repaired : result.divergent;
+    replica.repaired += result.repaired;
+    replica.lastCheckAt = new Date().toISOString();
+    return result;
+  }
+
+  /**
+   * Decide whether the primary's or the replica's copy of a key wins. `latest`
+   * compares modification times when both backends report them through an
+   * optional `stat(key)` method, and prefers the primary otherwise.
+   */
+  async resolveConflict(key, replica) {
+    if (this.conflictResolution !== 'latest') return this.conflictResolution;
+
+    const [primaryTime, replicaTime] = await Promise.all([
+      modifiedAt(this.primary, key),
+      modifiedAt(replica.storage, key)
+    ]);
+    if (primaryTime !== null && replicaTime !== null && replicaTime > primaryTime) {
+      return 'replica';
+    }
+    return 'primary';
+  }
+
+  /**
+   * Whether the primary holds no data (or an unfinished promotion) and should
+   * be rebuilt from a replica
+   */
+  async needsPromotion() {
+    const keys = await this.primary.list();
+    return keys.length === 0 || keys.some((key) => key.startsWith(`${MIGRATION_PREFIX}promote-`));
+  }
+
+  /**
+   * Rebuild the primary from a replica (the first reachable, up-to-date one
+   * unless `name` is given). Resumes an interrupted promotion.
+   */
+  async promoteReplica(name = null, options = {}) {
+    const candidates = name
+      ? this.replicas.filter((replica) => replica.name === name)
+      : this.replicas.filter((replica) => replica.breaker.available && !replica.resyncRequired);
+    if (candidates.length === 0) {
+      throw new Error(name ? `Unknown replica: ${name}` : 'No reachable replica to promote');
+    }
+
+    let lastError = null;
+    for (const replica of candidates) {
+      try {
+        const migration = new StorageMigration(
+          { storage: replica.storage },
+          { storage: this.primary },
+          { ...options, id: `promote-${replica.name}` }
+        );
+        const result = await migration.run();
+        this.emit('promoted', { replica: replica.name, result });
+        return { replica: replica.name, ...result };
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Lag, divergence and circuit state of every replica, for the status API
+   */
+  getReplicationStatus() {
+    const now = Date.now();
+
+    return {
+      syncMode: this.syncMode,
+      conflictResolution: this.conflictResolution,
+      primaryCircuit: this.breaker.getState(),
+      lastAntiEntropy: this.lastAntiEntropy && {
+        startedAt: this.lastAntiEntropy.startedAt,
+        finishedAt: this.lastAntiEntropy.finishedAt
+      },
+      replicas: this.replicas.map((replica) => {
+        const oldest = replica.queue.values().next().value;
+        return {
+          name: replica.name,
+          pending: replica.queue.size,
+          lagMs: oldest ? now - oldest.queuedAt : 0,
+          lastSyncAt: replica.lastSyncAt,
+          lastError: replica.lastError,
+          replicated: replica.replicated,
+          failedAttempts: replica.failedAttempts,
+          resyncRequired: replica.resyncRequired,
+          divergent: replica.divergent,
+          repaired: replica.repaired,
+          lastCheckAt: replica.lastCheckAt,
+          circuit: replica.breaker.getState()
+        };
+      })
+    };
+  }
+}
+
+/**
+ * Health checks probe every backend on its own, so their keys stay local
+ */
+function isHealthProbe(key) {
+  return key.startsWith(HEALTH_PREFIX);
+}
+
+function isMissing(value) {
+  return value === null || value === undefined;
+}
+
+/**
+ * The data keys of a storage, with the version (ETag or modification time)
+ * of each when the storage lists them through an optional `listObjects()`
+ */
+async function listVersions(storage, isData) {
+  if (typeof storage.listObjects === 'function') {
+    const objects = (await storage.listObjects()).filter((object) => isData(object.key));
+    return {
+      keys: objects.map((object) => object.key),
+      versions: new Map(objects.map((object) => [object.key, toVersion(object)]))
+    };
+  }
+  return { keys: (await storage.list()).filter(isData), versions: null };
+}
+
+/**
+ * The version of a key from the listing, or from `stat(key)` when the
+ * storage does not list versions. `null` when neither is known.
+ */
+async function versionOf(storage, listing, key) {
+  if (listing.versions) return listing.versions.get(key) ?? null;
+  if (typeof storage.stat !== 'function') return null;
+  return toVersion(await storage.stat(key));
+}
+
+function toVersion(metadata) {
+  const version = metadata?.etag ?? metadata?.updatedAt ?? metadata?.mtime;
+  if (version instanceof Date) return version.toISOString();
+  return version ?? null;
+}
+
+async function modifiedAt(storage, key) {
+  if (typeof storage.stat !== 'function') return null;
+
+  try {
+    const stat = await storage.stat(key);
+    const time = stat?.updatedAt ?? stat?.mtime;
+    return time ? new Date(time).getTime() : null;
+  } catch {
+    return null;
+  }
+}
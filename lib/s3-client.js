@@ -0,0 +1,166 @@
+/**
+ * S3 Client Configuration
+ * Resolves the S3 settings shared by `HiveStorageConfig` and the db:sync:*
+ * tooling, for AWS and for S3-compatible providers (Cloudflare R2, MinIO,
+ * Backblaze B2, Wasabi), and builds the AWS SDK client from them.
+ *
+ * Static keys are used when AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY are
+ * set. Otherwise the SDK's default provider chain resolves credentials
+ * (AWS_PROFILE, SSO, web identity, ECS task roles, EC2 instance roles).
+ */
+
+/**
+ * Provider presets. `endpoint` builds the default endpoint from the
+ * environment; providers other than AWS store everything in their default class.
+ */
+export const S3_PROVIDERS = {
+  aws: {
+    storageClass: 'STANDARD_IA', // Cost-optimized
+    forcePathStyle: false
+  },
+  r2: {
+    region: 'auto',
+    endpoint: (env) => env.CLOUDFLARE_ACCOUNT_ID && `https://${env.CLOUDFLARE_ACCOUNT_ID}.r2.cloudflarestorage.com`,
+    forcePathStyle: true
+  },
+  minio: {
+    endpoint: () => 'http://localhost:9000',
+    forcePathStyle: true
+  },
+  backblaze: {
+    endpoint: (env) => env.HIVE_S3_REGION && `https://s3.${env.HIVE_S3_REGION}.backblazeb2.com`,
+    forcePathStyle: false
+  },
+  wasabi: {
+    endpoint: (env) => `https://s3.${env.HIVE_S3_REGION || env.AWS_REGION || 'us-east-1'}.wasabisys.com`,
+    forcePathStyle: false
+  }
+};
+
+export const STORAGE_CLASSES = [
+  'STANDARD',
+  'STANDARD_IA',
+  'ONEZONE_IA',
+  'INTELLIGENT_TIERING',
+  'GLACIER_IR',
+  'REDUCED_REDUNDANCY'
+];
+
+/**
+ * Resolve S3 settings from the environment. Nothing is validated here, so
+ * that callers can report settings before `validateS3Config()` rejects them.
+ */
+export function resolveS3Config(env = process.env) {
+  const provider = (env.HIVE_S3_PROVIDER || 'aws').toLowerCase();
+  const preset = S3_PROVIDERS[provider] ?? {};
+
+  return {
+    provider,
+    bucket: env.HIVE_S3_BUCKET,
+    region: env.HIVE_S3_REGION || env.AWS_REGION || preset.region || 'us-east-1',
+    endpoint: env.HIVE_S3_ENDPOINT || preset.endpoint?.(env) || undefined,
+    forcePathStyle: env.HIVE_S3_FORCE_PATH_STYLE
+      ? env.HIVE_S3_FORCE_PATH_STYLE === 'true'
+      : (preset.forcePathStyle ?? false),
+    storageClass: env.HIVE_S3_STORAGE_CLASS || preset.storageClass,
+    verifyBucket: env.HIVE_S3_VERIFY_BUCKET !== 'false',
+    credentials: env.AWS_ACCESS_KEY_ID || env.AWS_SECRET_ACCESS_KEY
+      ? {
+          accessKeyId: env.AWS_ACCESS_KEY_ID,
+          secretAccessKey: env.AWS_SECRET_ACCESS_KEY,
+          ...(env.AWS_SESSION_TOKEN && { sessionToken: env.AWS_SESSION_TOKEN })
+        }
+      : undefined
+  };
+}
+
+/**
+ * Problems with resolved S3 settings, as messages that say how to fix them
+ */
+export function validateS3Config(config) {
+  const errors = [];
+
+  if (!S3_PROVIDERS[config.provider]) {
+    errors.push(`Unknown HIVE_S3_PROVIDER "${config.provider}" (use: ${Object.keys(S3_PROVIDERS).join(', ')})`);
+  }
+  if (!config.bucket) {
+    errors.push('HIVE_S3_BUCKET is required');
+  }
+  if (config.provider !== 'aws' && !config.endpoint) {
+    const hint = config.provider === 'r2' ? 'CLOUDFLARE_ACCOUNT_ID or ' : config.provider === 'backblaze' ? 'HIVE_S3_REGION or ' : '';
+    errors.push(`${hint}HIVE_S3_ENDPOINT is required for ${config.provider}`);
+  }
+  if (config.endpoint && !/^https?:\/\/[^/]+/.test(config.endpoint)) {
+    errors.push(`HIVE_S3_ENDPOINT must be an http(s) URL, got "${config.endpoint}"`);
+  }
+  if (config.storageClass && !STORAGE_CLASSES.includes(config.storageClass)) {
+    errors.push(`Unknown HIVE_S3_STORAGE_CLASS "${config.storageClass}" (use: ${STORAGE_CLASSES.join(', ')})`);
+  }
+  if (config.credentials && (!config.credentials.accessKeyId || !config.credentials.secretAccessKey)) {
+    errors.push('Set both AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY, or neither to use the default credential chain');
+  }
+
+  return errors;
+}
+
+/**
+ * Validate S3 settings and build a client. Returns the client together with
+ * the SDK module, whose command classes the caller sends through it.
+ */
+export async function createS3Client(config) {
+  const errors = validateS3Config(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid S3 configuration: ${errors.join('; ')}`);
+  }
+
+  let sdk;
+  try {
+    sdk = await import('@aws-sdk/client-s3');
+  } catch (error) {
+    throw new Error(`AWS SDK not installed, run: npm install @aws-sdk/client-s3 (${error.message})`);
+  }
+
+  const client = new sdk.S3Client({
+    region: config.region,
+    forcePathStyle: config.forcePathStyle,
+    ...(config.endpoint && { endpoint: config.endpoint }),
+    ...(config.credentials && { credentials: config.credentials })
+  });
+  return { client, sdk };
+}
+
+/**
+ * Where a bucket lives, for error messages
+ */
+export function describeS3Location(config) {
+  return config.endpoint ? `${config.endpoint} (${config.provider})` : `AWS ${config.region}`;
+}
+
+/**
+ * Check that the bucket exists and the credentials can reach it, turning the
+ * SDK's terse errors into ones that say what to fix
+ */
+export async function verifyBucket(client, sdk, config) {
+  const where = describeS3Location(config);
+
+  try {
+    await client.send(new sdk.HeadBucketCommand({ Bucket: config.bucket }));
+  } catch (error) {
+    const status = error.$metadata?.httpStatusCode;
+
+    if (error.name === 'CredentialsProviderError') {
+      throw new Error('No S3 credentials found: set AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY, AWS_PROFILE, or run with an instance role');
+    }
+    if (status === 404 || error.name === 'NotFound' || error.name === 'NoSuchBucket') {
+      throw new Error(`S3 bucket "${config.bucket}" does not exist at ${where}`);
+    }
+    if (status === 403) {
+      throw new Error(`Access to S3 bucket "${config.bucket}" at ${where} was denied, check the credentials and bucket policy`);
+    }
+    if (status === 301) {
+      const region = error.$response?.headers?.['x-amz-bucket-region'];
+      throw new Error(`S3 bucket "${config.bucket}" is not in ${config.region}${region ? `, set AWS_REGION=${region}` : ''}`);
+    }
+    throw new Error(`Could not reach S3 bucket "${config.bucket}" at ${where}: ${error.message}`);
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * Seeds
+ * Populates the schema's models with fixtures and generated records for
+ * local work, previews and tests. Each model may have a seed file in
+ * `seeds/` that lists fixed records per named set (`dev`, `demo`, `test` or
+ * any other name), the number of records to reach and generators for
+ * single fields; everything else is generated from the field types, and
+ * deterministically so: the same set and seed give the same records.
+ *
+ *   // seeds/accounts.js
+ *   export default {
+ *     model: 'Account',
+ *     sets: {
+ *       dev: { count: 10, records: [{ handle: 'admin', email: 'admin@example.com' }] }
+ *     },
+ *     fields: { email: ({ record }) => `${record.handle}@example.com` }
+ *   };
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { DataImportError, writeModelRecords } from './data-transfer.js';
+import { RecordFaker, createRandom } from './fake-data.js';
+import { ModelRecords } from './model-records.js';
+import { validateRecord } from './model-schema.js';
+
+export const DEFAULT_SEEDS_DIR = 'seeds';
+export const DEFAULT_SEED = 'hive';
+
+// Records per model for the built-in sets, unless its seed file says otherwise
+export const DEFAULT_SET_COUNTS = { dev: 10, demo: 50, test: 3 };
+
+const SEED_FILE = /\.(js|mjs|ts)$/;
+
+/**
+ * The seed files in `dir`, each `{ file, model, sets, fields }`. A missing
+ * directory has none.
+ */
+export async function loadSeeds(dir = DEFAULT_SEEDS_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  const seeds = [];
+  for (const name of fs.readdirSync(dir).filter((entry) => SEED_FILE.test(entry)).sort()) {
+    const file = path.join(dir, name);
+    const { default: seed } = await import(pathToFileURL(path.resolve(file)).href);
+    if (!seed || typeof seed.model !== 'string') {
+      throw new Error(`${file} must export default { model, sets, fields }`);
+    }
+    seeds.push({ file, sets: {}, fields: {}, ...seed });
+  }
+  return seeds;
+}
+
+function findSeed(model, seeds) {
+  const matching = seeds.filter((seed) => [model.name, model.slug, model.pluralSlug].includes(seed.model));
+  if (matching.length > 1) {
+    throw new Error(`Model ${model.name} has several seed files: ${matching.map((seed) => seed.file).join(', ')}`);
+  }
+  return matching[0] ?? null;
+}
+
+function checkFields(model, source, slugs) {
+  const declared = new Set(['id', ...model.fields.map((field) => field.slug)]);
+  const unknown = slugs.filter((slug) => !declared.has(slug));
+  if (unknown.length > 0) {
+    throw new Error(`${source} sets ${unknown.join(', ')}, which model ${model.name} does not declare`);
+  }
+}
+
+/**
+ * Throw when a seed file names a model the schema does not declare
+ */
+export function checkSeeds(models, seeds) {
+  for (const entry of seeds) {
+    if (!models.some((model) => [model.name, model.slug, model.pluralSlug].includes(entry.model))) {
+      throw new Error(`${entry.file} seeds the unknown model "${entry.model}"`);
+    }
+  }
+}
+
+/**
+ * The records of a set for every model, in schema order: `[{ model, file,
+ * records }]`. Links point at records generated for their target model
+ * earlier in the schema.
+ */
+export function buildSeedRecords(models, seeds, { set = 'dev', seed = DEFAULT_SEED } = {}) {
+  const linkTargets = {};
+  return models.map((model) => {
+    const definition = findSeed(model, seeds);
+    const file = definition?.file ?? 'generated';
+    const fixtures = definition?.sets[set]?.records ?? [];
+    const count = Math.max(definition?.sets[set]?.count ?? DEFAULT_SET_COUNTS[set] ?? 0, fixtures.length);
+
+    checkFields(model, `${file} (fields)`, Object.keys(definition?.fields ?? {}));
+    fixtures.forEach((fixture, index) => checkFields(model, `${file} (${set} record ${index + 1})`, Object.keys(fixture)));
+
+    // One sequence per model, so that adding a model leaves the others unchanged
+    const faker = new RecordFaker(model, createRandom(`${seed}:${set}:${model.slug}`), {
+      overrides: definition?.fields,
+      linkTargets
+    });
+    fixtures.forEach((fixture) => faker.reserve(fixture));
+
+    const records = Array.from({ length: count }, (_, index) => faker.generate(index, fixtures[index]));
+    linkTargets[model.slug] = records.map((record) => record.id);
+    return { model, file, records };
+  });
+}
+
+/**
+ * Build a set and check its records against the schema without touching a
+ * storage, throwing a `DataImportError` for invalid ones
+ */
+export function planSeed(models, seeds, options = {}) {
+  const plan = buildSeedRecords(models, seeds, options);
+  const errors = plan.flatMap(({ model, file, records }) => records.map((record, index) => {
+    const { errors: problems } = validateRecord(model, record);
+    return problems.length > 0 ? { model: model.name, file, line: index + 1, message: problems.join('; ') } : null;
+  })).filter(Boolean);
+
+  if (errors.length > 0) throw new DataImportError(errors);
+  return plan;
+}
+
+/**
+ * Seed `storage` with a set, validated like an import (see
+ * `writeModelRecords()`). Records that already exist by ID or a unique
+ * field are skipped by default, so seeding twice changes nothing.
+ */
+export async function seedModels(storage, models, seeds, { set = 'dev', seed = DEFAULT_SEED, onConflict = 'skip', dryRun = false } = {}) {
+  const sources = planSeed(models, seeds, { set, seed }).map(({ model, file, records }) => ({
+    model,
+    file,
+    rows: async function* () {
+      for (const [index, row] of records.entries()) yield { line: index + 1, row };
+    }
+  }));
+  return writeModelRecords(storage, sources, { onConflict, dryRun });
+}
+
+/**
+ * Delete every record of `models`, leaving other keys, backups included, alone
+ */
+export async function clearModels(storage, models) {
+  const cleared = {};
+  for (const model of models) {
+    const records = new ModelRecords(storage, model);
+    const ids = await records.ids();
+    for (const id of ids) await records.delete(id);
+    cleared[model.name] = ids.length;
+  }
+  return cleared;
+}
@@ -0,0 +1,179 @@
+/**
+ * Consistent SQLite Snapshots
+ * Copies a live SQLite database with `VACUUM INTO`, which reads it inside a
+ * single transaction, so the copy includes committed WAL frames and never a
+ * half-written page. Uses whichever SQLite binding the runtime has (bun:sqlite,
+ * node:sqlite) or the `sqlite3` CLI, and only falls back to a plain file copy
+ * when none is available and the database has no pending WAL.
+ *
+ * Snapshots are then checked with `PRAGMA integrity_check`, so a corrupt copy
+ * is never uploaded or archived.
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * The runtime has no way to open SQLite databases through this driver
+ */
+class DriverUnavailableError extends Error {}
+
+function sqlString(value) {
+  return `'${value.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Run one statement read-only with the runtime's SQLite and return the first
+ * column of every result row
+ */
+async function queryWithBun(dbPath, sql) {
+  const { Database } = await loadDriver('bun:sqlite');
+  const db = new Database(dbPath, { readonly: true });
+  try {
+    return (db.query(sql).values() ?? []).map((row) => String(row[0]));
+  } finally {
+    db.close();
+  }
+}
+
+async function queryWithNode(dbPath, sql) {
+  const { DatabaseSync } = await loadDriver('node:sqlite');
+  const db = new DatabaseSync(dbPath, { readOnly: true });
+  try {
+    return db.prepare(sql).all().map((row) => String(Object.values(row)[0]));
+  } finally {
+    db.close();
+  }
+}
+
+async function queryWithCli(dbPath, sql) {
+  try {
+    const { stdout } = await execFileAsync('sqlite3', ['-readonly', dbPath, sql]);
+    return stdout.split('\n').filter(Boolean);
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new DriverUnavailableError('sqlite3 CLI not installed');
+    throw new Error(error.stderr?.trim() || error.message);
+  }
+}
+
+async function loadDriver(name) {
+  try {
+    return await import(name);
+  } catch (error) {
+    throw new DriverUnavailableError(`${name} unavailable: ${error.message}`);
+  }
+}
+
+function availableDrivers() {
+  const isBun = typeof globalThis.Bun !== 'undefined';
+  return [
+    ['bun:sqlite', queryWithBun, isBun],
+    ['node:sqlite', queryWithNode, !isBun],
+    ['sqlite3', queryWithCli, true]
+  ].filter(([, , available]) => available);
+}
+
+function hasPendingWal(dbPath) {
+  try {
+    return fs.statSync(`${dbPath}-wal`).size > 0;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Write a consistent copy of `dbPath` to `targetPath` and return the method
+ * that was used
+ */
+export async function snapshotDatabase(dbPath, targetPath) {
+  const errors = [];
+
+  for (const [name, query] of availableDrivers()) {
+    // VACUUM INTO refuses to overwrite an existing file
+    fs.rmSync(targetPath, { force: true });
+    try {
+      await query(dbPath, `VACUUM INTO ${sqlString(targetPath)}`);
+      return { method: name };
+    } catch (error) {
+      if (!(error instanceof DriverUnavailableError)) throw error;
+      errors.push(error.message);
+    }
+  }
+
+  // Without SQLite, a file copy is only consistent if nothing is in the WAL
+  if (hasPendingWal(dbPath)) {
+    throw new Error(`Cannot snapshot ${dbPath} consistently, no SQLite available (${errors.join('; ')})`);
+  }
+  fs.copyFileSync(dbPath, targetPath);
+  return { method: 'copy' };
+}
+
+/**
+ * Run `PRAGMA integrity_check` on a database. `ok` is `null` when no SQLite
+ * is available to run the check.
+ */
+export async function checkIntegrity(dbPath) {
+  const errors = [];
+
+  for (const [name, query] of availableDrivers()) {
+    try {
+      const result = await query(dbPath, 'PRAGMA integrity_check');
+      return {
+        ok: result.length === 1 && result[0] === 'ok',
+        result: result.slice(0, 20),
+        method: name,
+        checkedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      // A database SQLite cannot even open is as corrupt as it gets
+      if (!(error instanceof DriverUnavailableError)) {
+        return { ok: false, result: [error.message], method: name, checkedAt: new Date().toISOString() };
+      }
+      errors.push(error.message);
+    }
+  }
+
+  return {
+    ok: null,
+    result: [`Not checked, no SQLite available (${errors.join('; ')})`],
+    method: null,
+    checkedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Snapshot a database and check the snapshot's integrity. Throws if the check
+ * fails, leaving no snapshot behind.
+ */
+export async function createVerifiedSnapshot(dbPath, targetPath) {
+  const { method } = await snapshotDatabase(dbPath, targetPath);
+  const integrity = await checkIntegrity(targetPath);
+
+  if (integrity.ok === false) {
+    fs.rmSync(targetPath, { force: true });
+    throw new Error(`Snapshot of ${dbPath} failed the integrity check: ${integrity.result.join('; ')}`);
+  }
+  return { method, integrity };
+}
+
+/**
+ * SHA-256 hex digest of a file, read in chunks so that size does not matter
+ */
+export function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  const chunk = Buffer.alloc(1024 * 1024);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, chunk, 0, chunk.length, null)) > 0) {
+      hash.update(chunk.subarray(0, bytesRead));
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return hash.digest('hex');
+}
@@ -0,0 +1,157 @@
+/**
+ * Storage Admin
+ * What the admin page shows and does: the health of the active storage, its
+ * backups and the sync state of the database file, through the same
+ * `HiveStorageConfig` and `DatabaseSyncer` APIs as the CLI scripts.
+ *
+ * Only the account whose email is ADMIN_EMAIL may use it; without
+ * ADMIN_EMAIL nobody can.
+ */
+
+import { readBackupScheduleState } from './backup-scheduler.js';
+import { DatabaseSyncer, getSyncConfig } from './database-sync.js';
+import { checkReadiness } from './health.js';
+import { createLogger } from './logger.js';
+import { supportsSync } from './storage-backends.js';
+
+const log = createLogger('storage-admin');
+
+export class AdminRequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'AdminRequestError';
+    this.status = status;
+  }
+}
+
+export class StorageAdmin {
+  constructor(manager) {
+    this.manager = manager;
+    this.syncer = null;
+  }
+
+  /**
+   * Whether `email` belongs to the admin. Fails closed when ADMIN_EMAIL is unset.
+   */
+  async isAdmin(email) {
+    const { values } = await this.manager.loadSettings();
+    return Boolean(values.ADMIN_EMAIL && email && email.trim().toLowerCase() === values.ADMIN_EMAIL);
+  }
+
+  /**
+   * Syncer of the configured sync target, or `null` when the database file
+   * is not synced anywhere (disk storage without HIVE_SYNC_TARGET)
+   */
+  async getSyncer() {
+    if (this.syncer) return this.syncer;
+
+    const { env } = await this.manager.loadSettings();
+    const config = getSyncConfig(env);
+    if (!supportsSync(config.storageType)) return null;
+
+    const syncer = new DatabaseSyncer(config);
+    if (!(await syncer.initialize({ requireLocalDatabase: false }))) {
+      throw new Error(`Could not connect to the ${config.storageType} sync target`);
+    }
+    this.syncer = syncer;
+    return syncer;
+  }
+
+  async getSyncOverview() {
+    const { env } = await this.manager.loadSettings();
+    const target = getSyncConfig(env).storageType;
+
+    try {
+      const syncer = await this.getSyncer();
+      if (!syncer) return { configured: false, target };
+
+      const status = await syncer.syncStatus();
+      return status ? { configured: true, target, ...status } : { configured: true, target, error: 'Could not compare the local and remote copies' };
+    } catch (error) {
+      return { configured: true, target, error: error.message };
+    }
+  }
+
+  async listBackups() {
+    const now = Date.now();
+    return (await this.manager.listBackups()).map((backup) => ({
+      ...backup,
+      ageSeconds: backup.timestamp ? Math.max(0, Math.round((now - new Date(backup.timestamp).getTime()) / 1000)) : null
+    }));
+  }
+
+  /**
+   * HIVE_BACKUP_SCHEDULE and what its runs recorded, or `null` without a schedule
+   */
+  async getScheduleOverview() {
+    const { values } = await this.manager.loadSettings();
+    if (!values.HIVE_BACKUP_SCHEDULE) return null;
+
+    try {
+      return { ...readBackupScheduleState(values.HIVE_DISK_PATH), schedule: values.HIVE_BACKUP_SCHEDULE };
+    } catch (error) {
+      return { schedule: values.HIVE_BACKUP_SCHEDULE, error: error.message };
+    }
+  }
+
+  /**
+   * Storage health (as served by /health/ready), backups, the backup
+   * schedule and sync state
+   */
+  async getOverview() {
+    const [health, backups, schedule, sync] = await Promise.all([
+      checkReadiness(this.manager, { maxAge: 0 }),
+      this.listBackups().catch((error) => {
+        log.error('Could not list backups', { error });
+        return null;
+      }),
+      this.getScheduleOverview(),
+      this.getSyncOverview()
+    ]);
+    return { health, backups, schedule, sync };
+  }
+
+  async createBackup(name = null) {
+    if (name !== null && (typeof name !== 'string' || !/^[\w.-]{1,100}$/.test(name))) {
+      throw new AdminRequestError(400, 'Backup names may only contain letters, digits, ".", "-" and "_"');
+    }
+    const key = await this.manager.createBackup(name);
+    log.info('Backup created from the admin page', { backup: key });
+    return { key };
+  }
+
+  /**
+   * Restore a backup over the current data. `confirm` must repeat the
+   * backup's name, so that a stray request cannot restore anything.
+   */
+  async restoreBackup(key, confirm) {
+    const backup = (await this.manager.listBackups()).find((entry) => entry.key === key);
+    if (!backup) {
+      throw new AdminRequestError(404, `Backup not found: ${key}`);
+    }
+    if (confirm !== backup.name) {
+      throw new AdminRequestError(400, `Type the backup name "${backup.name}" to confirm the restore`);
+    }
+
+    log.warn('Restoring backup from the admin page', { backup: key });
+    await this.manager.restoreBackup(key);
+    return { key, name: backup.name, timestamp: backup.timestamp };
+  }
+
+  /**
+   * Upload the local database file to the sync target, holding the sync lock
+   */
+  async uploadDatabase({ force = false } = {}) {
+    const syncer = await this.getSyncer();
+    if (!syncer) {
+      throw new AdminRequestError(409, 'No sync target configured, set HIVE_SYNC_TARGET to upload the database');
+    }
+
+    log.info('Uploading database from the admin page', { force });
+    const uploaded = await syncer.withLock(() => syncer.uploadDatabase({ force }));
+    if (!uploaded) {
+      throw new AdminRequestError(409, 'Upload refused or failed, see the sync status and logs');
+    }
+    return { uploaded, status: await syncer.syncStatus() };
+  }
+}
@@ -0,0 +1,182 @@
+/**
+ * Storage Backend Registry
+ * One place that knows how to build every storage backend, so the app
+ * (`HiveStorageConfig`), the db:sync:* commands, backups and storage
+ * migrations resolve the same backend from the same settings.
+ *
+ * A backend is a factory that turns the resolved storage options into a
+ * key-value storage (`get`, `set`, `delete`, `list`). A storage may also have
+ * `stat(key)` (`{ updatedAt, etag }`) and `listObjects(prefix)` (`[{ key,
+ * updatedAt, etag }]`), which replication uses to skip unchanged keys and to
+ * resolve conflicts. Backends that can also hold copies of the database file
+ * provide `createSyncTarget`. The built-in `disk`, `s3` and `remote` backends
+ * are registered here; register your own (GCS, Azure Blob, SFTP, ...) before
+ * the storage is first used:
+ *
+ *   registerStorageBackend('gcs', async (options) => new GcsStorage({
+ *     bucket: options.env.HIVE_GCS_BUCKET,
+ *     prefix: options.prefix
+ *   }));
+ */
+
+import { getKeyring } from './envelope-encryption.js';
+import { resolveSettingValues } from './hive-config.js';
+import { createS3Client, resolveS3Config, verifyBucket } from './s3-client.js';
+import { RemoteAPIStorageManager, S3StorageManager } from './sync-targets.js';
+import { SYNC_PREFIX } from './storage-keys.js';
+
+const backends = new Map();
+const aliases = new Map();
+
+/**
+ * Register a storage backend. `factory(options)` returns the key-value
+ * storage; `createSyncTarget(options, syncConfig)` optionally returns the
+ * target that `db:sync:*` copies the database file to.
+ */
+export function registerStorageBackend(name, factory, { aliases: names = [], createSyncTarget = null, description = '' } = {}) {
+  if (typeof factory !== 'function') {
+    throw new Error(`Storage backend ${name} needs a factory function`);
+  }
+
+  const key = name.toLowerCase();
+  backends.set(key, { name: key, factory, createSyncTarget, description, aliases: names });
+  for (const alias of names) {
+    aliases.set(alias.toLowerCase(), key);
+  }
+}
+
+/**
+ * Canonical name of a backend or alias, or `null` if nothing is registered
+ * under it
+ */
+export function resolveBackendName(name) {
+  const key = String(name).toLowerCase();
+  if (backends.has(key)) return key;
+  return aliases.get(key) ?? null;
+}
+
+/**
+ * The registered backend for a name or alias. Throws for unknown names.
+ */
+export function getStorageBackend(name) {
+  const key = resolveBackendName(name);
+  if (!key) {
+    throw new Error(`Unknown storage backend "${name}" (registered: ${listStorageBackends().map((backend) => backend.name).join(', ')})`);
+  }
+  return backends.get(key);
+}
+
+export function listStorageBackends() {
+  return [...backends.values()];
+}
+
+/**
+ * Resolve the storage options every backend is built from, through the
+ * validated settings (see `resolveSettingValues()`). Older variable names are
+ * still read: ENCRYPTION_KEY for HIVE_ENCRYPTION_KEY and BLADE_STATE_DIR for
+ * HIVE_DISK_PATH.
+ */
+export function resolveStorageOptions(env = process.env) {
+  const values = resolveSettingValues(env);
+
+  return {
+    type: values.HIVE_STORAGE_TYPE,
+    dir: values.HIVE_DISK_PATH,
+    keyring: getKeyring(env),
+    allowPlaintext: values.HIVE_ENCRYPTION_ALLOW_PLAINTEXT,
+    s3: {
+      ...resolveS3Config(env),
+      bucket: values.HIVE_S3_BUCKET,
+      prefix: values.HIVE_S3_PREFIX
+    },
+    remote: {
+      endpoint: values.REMOTE_STORAGE_ENDPOINT ?? undefined,
+      apiKey: values.REMOTE_STORAGE_API_KEY ?? undefined,
+      timeout: values.REMOTE_STORAGE_TIMEOUT,
+      retries: values.REMOTE_STORAGE_RETRIES
+    },
+    // Custom backends read their own settings from here
+    env
+  };
+}
+
+/**
+ * Backends replicated to: HIVE_REPLICAS (comma-separated), or S3 and remote
+ * storage when they are configured (S3 credentials may come from an instance role)
+ */
+export function getReplicaBackends(env = process.env) {
+  if (env.HIVE_REPLICAS) {
+    return env.HIVE_REPLICAS.split(',').map((name) => name.trim()).filter(Boolean);
+  }
+
+  const replicas = [];
+  if (env.HIVE_S3_BUCKET) replicas.push('s3');
+  if (env.REMOTE_STORAGE_ENDPOINT) replicas.push('remote');
+  return replicas;
+}
+
+/**
+ * Build the key-value storage of a backend
+ */
+export async function createBackendStorage(name, options) {
+  return getStorageBackend(name).factory(options);
+}
+
+/**
+ * Build the sync target of a backend, or `null` if it cannot hold a copy of
+ * the database file
+ */
+export function createSyncTarget(name, options, syncConfig) {
+  const backend = getStorageBackend(name);
+  return backend.createSyncTarget ? backend.createSyncTarget(options, syncConfig) : null;
+}
+
+/**
+ * Whether a backend is registered and can hold a copy of the database file
+ */
+export function supportsSync(name) {
+  const key = resolveBackendName(name);
+  return Boolean(key && backends.get(key).createSyncTarget);
+}
+
+registerStorageBackend('disk', async (options) => {
+  const { DiskStorage } = await import('hive/disk-storage');
+  return new DiskStorage({ dir: options.dir });
+}, {
+  aliases: ['local'],
+  description: 'Local disk (HIVE_DISK_PATH)'
+});
+
+registerStorageBackend('s3', async (options) => {
+  const { S3Storage } = await import('hive/s3-storage');
+
+  // The bucket is checked up front, so a typo fails here instead of on the first write
+  const { client, sdk } = await createS3Client(options.s3);
+  if (options.s3.verifyBucket) {
+    await verifyBucket(client, sdk, options.s3);
+  }
+  return new S3Storage({ client, bucket: options.s3.bucket, prefix: options.s3.prefix });
+}, {
+  // Sync copies live next to the app's data, under the reserved sync/ prefix
+  createSyncTarget: (options, syncConfig) => new S3StorageManager(
+    { ...options.s3, prefix: `${options.s3.prefix}/${SYNC_PREFIX.slice(0, -1)}` },
+    syncConfig
+  ),
+  description: 'AWS S3 or an S3-compatible provider (HIVE_S3_*)'
+});
+
+registerStorageBackend('remote', async (options) => {
+  if (!options.remote.endpoint) {
+    throw new Error('Remote storage endpoint required');
+  }
+
+  const { RemoteStorage } = await import('hive/remote-storage');
+  return new RemoteStorage(options.remote);
+}, {
+  aliases: ['http'],
+  createSyncTarget: (options, syncConfig) => new RemoteAPIStorageManager(
+    { ...options.remote, prefix: SYNC_PREFIX },
+    syncConfig
+  ),
+  description: 'HTTP storage API (REMOTE_STORAGE_*)'
+});
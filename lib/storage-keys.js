@@ -0,0 +1,25 @@
+/**
+ * Reserved Storage Keys
+ * Key prefixes written by the storage tooling itself. Keys under these
+ * prefixes are never backed up, logged or treated as application data.
+ */
+
+export const BACKUP_PREFIX = 'backups/';
+export const CHANGE_LOG_PREFIX = 'changelog/';
+export const MIGRATION_PREFIX = 'migrations/';
+// Copies of the database file written by db:sync:*
+export const SYNC_PREFIX = 'sync/';
+// Short-lived values written by the storage health check
+export const HEALTH_PREFIX = 'healthcheck/';
+
+/**
+ * Key prefixes that belong to the storage tooling rather than the application
+ */
+export const INTERNAL_PREFIXES = [BACKUP_PREFIX, CHANGE_LOG_PREFIX, MIGRATION_PREFIX, SYNC_PREFIX, HEALTH_PREFIX];
+
+/**
+ * Whether a key belongs to the storage tooling rather than the application
+ */
+export function isInternalKey(key) {
+  return INTERNAL_PREFIXES.some((prefix) => key.startsWith(prefix));
+}
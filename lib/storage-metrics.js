@@ -0,0 +1,180 @@
+/**
+ * Storage Metrics
+ * Latency and errors of every backend operation, replication lag and the
+ * time of the last successful backup and database sync, recorded into the
+ * shared registry that `/metrics` serves.
+ *
+ * Backups and syncs often run in another process (a cron job, the sync
+ * CLI), so their timestamps are also read from storage when scraped.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { registry } from './metrics.js';
+
+// Listing backups reads every manifest, so scrapes reuse the result for a while
+const BACKUP_REFRESH_INTERVAL = 5 * 60 * 1000;
+const SYNC_STATE_FILE = 'sync-state.json';
+
+const sources = {
+  manager: null,
+  backupsCheckedAt: 0
+};
+
+export const storageOperationDuration = registry.histogram({
+  name: 'hive_storage_operation_duration_seconds',
+  help: 'Latency of storage operations by backend',
+  labelNames: ['backend', 'operation']
+});
+
+export const storageOperationErrors = registry.counter({
+  name: 'hive_storage_operation_errors_total',
+  help: 'Failed storage operations by backend',
+  labelNames: ['backend', 'operation']
+});
+
+function collectReplication(field, transform = (value) => value) {
+  return (gauge) => {
+    const replication = sources.manager?.replication;
+    if (!replication) return;
+
+    for (const replica of replication.getReplicationStatus().replicas) {
+      gauge.set({ replica: replica.name }, transform(replica[field]));
+    }
+  };
+}
+
+registry.gauge({
+  name: 'hive_replication_lag_seconds',
+  help: 'Age of the oldest write not yet applied to a replica',
+  labelNames: ['replica'],
+  collect: collectReplication('lagMs', (lagMs) => lagMs / 1000)
+});
+
+registry.gauge({
+  name: 'hive_replication_pending_writes',
+  help: 'Writes queued for a replica',
+  labelNames: ['replica'],
+  collect: collectReplication('pending')
+});
+
+registry.gauge({
+  name: 'hive_replication_resync_required',
+  help: '1 when a replica dropped writes and waits for the next anti-entropy pass',
+  labelNames: ['replica'],
+  collect: collectReplication('resyncRequired', Number)
+});
+
+export const backupLastSuccess = registry.gauge({
+  name: 'hive_backup_last_success_timestamp_seconds',
+  help: 'Unix time of the newest backup snapshot',
+  collect: async (gauge) => {
+    const manager = sources.manager;
+    if (!manager?.config || Date.now() - sources.backupsCheckedAt < BACKUP_REFRESH_INTERVAL) return;
+
+    sources.backupsCheckedAt = Date.now();
+    const [newest] = await manager.listBackups();
+    if (newest?.timestamp) recordTimestamp(gauge, newest.timestamp);
+  }
+});
+
+export const backupFailures = registry.counter({
+  name: 'hive_backup_failures_total',
+  help: 'Backups that failed in this process'
+});
+
+export const syncLastSuccess = registry.gauge({
+  name: 'hive_sync_last_success_timestamp_seconds',
+  help: 'Unix time of the last successful database upload or download',
+  collect: (gauge) => {
+    const dir = sources.manager?.settings?.values.HIVE_DISK_PATH;
+    if (!dir) return;
+
+    try {
+      const state = JSON.parse(fs.readFileSync(path.join(dir, SYNC_STATE_FILE), 'utf8'));
+      if (state.syncedAt) recordTimestamp(gauge, state.syncedAt);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+});
+
+export const syncFailures = registry.counter({
+  name: 'hive_sync_failures_total',
+  help: 'Database uploads and downloads that failed in this process',
+  labelNames: ['operation']
+});
+
+// Never move a timestamp back, another source may have seen a newer one
+function recordTimestamp(gauge, time) {
+  const seconds = Math.floor(new Date(time).getTime() / 1000);
+  const series = gauge.seriesFor();
+  if (seconds > series.value) series.value = seconds;
+}
+
+export function recordBackupSuccess(time = new Date()) {
+  recordTimestamp(backupLastSuccess, time);
+}
+
+export function recordSyncSuccess(time = new Date()) {
+  recordTimestamp(syncLastSuccess, time);
+}
+
+/**
+ * Collect replication, backup and sync metrics from a `HiveStorageConfig`
+ * on every scrape
+ */
+export function observeStorageManager(manager) {
+  if (sources.manager === manager) return;
+  sources.manager = manager;
+  sources.backupsCheckedAt = 0;
+}
+
+/**
+ * Storage wrapper that times every operation of one backend and counts its
+ * failures
+ */
+export class InstrumentedStorage {
+  constructor(storage, backend) {
+    this.storage = storage;
+    this.backend = backend;
+
+    // Replication only compares versions and modification times of storages
+    // that have `stat()` or `listObjects()`
+    if (typeof storage.stat === 'function') {
+      this.stat = (key) => this.measure('stat', () => storage.stat(key));
+    }
+    if (typeof storage.listObjects === 'function') {
+      this.listObjects = (...args) => this.measure('list', () => storage.listObjects(...args));
+    }
+  }
+
+  async measure(operation, run) {
+    const labels = { backend: this.backend, operation };
+    const done = storageOperationDuration.startTimer(labels);
+    try {
+      return await run();
+    } catch (error) {
+      storageOperationErrors.inc(labels);
+      throw error;
+    } finally {
+      done();
+    }
+  }
+
+  async get(key) {
+    return this.measure('get', () => this.storage.get(key));
+  }
+
+  async set(key, value) {
+    return this.measure('set', () => this.storage.set(key, value));
+  }
+
+  async delete(key) {
+    return this.measure('delete', () => this.storage.delete(key));
+  }
+
+  async list(...args) {
+    return this.measure('list', () => this.storage.list(...args));
+  }
+}
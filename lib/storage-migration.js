@@ -0,0 +1,278 @@
+/**
+ * Resumable Storage Migration
+ * Copies every key from one storage to another with bounded parallelism,
+ * verifies each copied value by hash and keeps a checkpoint in the target
+ * storage, so that rerunning an interrupted migration resumes where it stopped.
+ *
+ * Progress is reported through events (`plan`, `copied`, `failed`, `progress`,
+ * `checkpoint`, `done`, and `error` when the run aborts) or by iterating the
+ * migration with `for await`.
+ */
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { MIGRATION_PREFIX, SYNC_PREFIX } from './storage-keys.js';
+
+const CHECKPOINT_VERSION = '1.0';
+
+/**
+ * SHA-256 hex digest of a stored value
+ */
+export function hashValue(value) {
+  const content = typeof value === 'string' ? value : JSON.stringify(value ?? null);
+  return crypto.createHash('sha256').update(content, 'utf8').digest('hex');
+}
+
+/**
+ * Checkpoints stay with each side, and database file copies from db:sync:*
+ * are too large to move as values (sync the database to the new backend instead)
+ */
+function isMigratedKey(key) {
+  return !key.startsWith(MIGRATION_PREFIX) && !key.startsWith(SYNC_PREFIX);
+}
+
+export class StorageMigration extends EventEmitter {
+  constructor(fromConfig, toConfig, options = {}) {
+    super();
+    this.from = fromConfig.storage;
+    this.to = toConfig.storage;
+    this.id = options.id || 'storage-migration';
+    this.dryRun = Boolean(options.dryRun);
+    this.concurrency = Math.max(1, options.concurrency || 4);
+    this.checkpointEvery = Math.max(1, options.checkpointEvery || 50);
+    this.checkpointKey = `${MIGRATION_PREFIX}${this.id}`;
+    this.result = null;
+  }
+
+  /**
+   * Load the checkpoint of an earlier run, if any
+   */
+  async loadCheckpoint() {
+    const data = await this.to.get(this.checkpointKey);
+    if (data === null || data === undefined) return null;
+
+    const checkpoint = JSON.parse(data);
+    if (checkpoint.version !== CHECKPOINT_VERSION) {
+      throw new Error(`Unsupported migration checkpoint version: ${checkpoint.version}`);
+    }
+    return checkpoint;
+  }
+
+  async saveCheckpoint(state) {
+    const checkpoint = {
+      version: CHECKPOINT_VERSION,
+      id: this.id,
+      startedAt: state.startedAt,
+      updatedAt: new Date().toISOString(),
+      // Every key up to and including `watermark` (in sorted order) is done
+      watermark: state.watermark,
+      completed: [...state.completedAfterWatermark],
+      failed: Object.fromEntries(state.failed)
+    };
+
+    await this.to.set(this.checkpointKey, JSON.stringify(checkpoint));
+    this.emit('checkpoint', checkpoint);
+  }
+
+  /**
+   * Work out which keys still need to be copied
+   */
+  async plan() {
+    const keys = (await this.from.list())
+      .filter(isMigratedKey)
+      .sort();
+    const checkpoint = await this.loadCheckpoint();
+    const completed = new Set(checkpoint?.completed || []);
+    const isDone = (key) => (
+      (checkpoint?.watermark !== null && checkpoint?.watermark !== undefined && key <= checkpoint.watermark) ||
+      completed.has(key)
+    );
+
+    const pending = keys.filter((key) => !isDone(key));
+    const plan = {
+      id: this.id,
+      dryRun: this.dryRun,
+      resumed: Boolean(checkpoint),
+      total: keys.length,
+      alreadyMigrated: keys.length - pending.length,
+      toCopy: pending.length,
+      previouslyFailed: Object.keys(checkpoint?.failed || {}),
+      concurrency: this.concurrency
+    };
+
+    return { plan, keys, pending, checkpoint };
+  }
+
+  /**
+   * Copy one key and verify the written value by hash
+   */
+  async copyKey(key) {
+    const value = await this.from.get(key);
+    const expected = hashValue(value);
+
+    await this.to.set(key, value);
+
+    const actual = hashValue(await this.to.get(key));
+    if (actual !== expected) {
+      throw new Error(`Hash mismatch after copy (expected ${expected.slice(0, 12)}, got ${actual.slice(0, 12)})`);
+    }
+    return expected;
+  }
+
+  /**
+   * Run the migration (or only report the plan in dry-run mode). A run that
+   * aborts, e.g. because the source cannot be listed or a checkpoint cannot
+   * be written, emits `error` (when anyone listens) and rejects.
+   */
+  async run() {
+    try {
+      return await this.migrate();
+    } catch (error) {
+      if (this.listenerCount('error') > 0) this.emit('error', error);
+      throw error;
+    }
+  }
+
+  async migrate() {
+    const { plan, keys, pending, checkpoint } = await this.plan();
+    this.emit('plan', plan);
+
+    if (this.dryRun) {
+      this.result = { ...plan, migrated: 0, errors: 0, failed: [] };
+      this.emit('done', this.result);
+      return this.result;
+    }
+
+    const order = new Map(keys.map((key, index) => [key, index]));
+    const state = {
+      startedAt: checkpoint?.startedAt || new Date().toISOString(),
+      watermark: checkpoint?.watermark ?? null,
+      completedAfterWatermark: new Set(checkpoint?.completed || []),
+      failed: new Map()
+    };
+    let migrated = 0;
+    let sinceCheckpoint = 0;
+    let next = 0;
+
+    // Advance the watermark over every contiguous completed key
+    const advanceWatermark = () => {
+      let index = state.watermark === null ? 0 : order.get(state.watermark) + 1;
+      while (index < keys.length && state.completedAfterWatermark.has(keys[index])) {
+        state.completedAfterWatermark.delete(keys[index]);
+        state.watermark = keys[index];
+        index++;
+      }
+    };
+
+    const worker = async () => {
+      while (next < pending.length) {
+        const key = pending[next++];
+
+        try {
+          const hash = await this.copyKey(key);
+          state.completedAfterWatermark.add(key);
+          migrated++;
+          this.emit('copied', { key, hash });
+        } catch (error) {
+          state.failed.set(key, error.message);
+          this.emit('failed', { key, error: error.message });
+        }
+
+        this.emit('progress', {
+          key,
+          migrated,
+          errors: state.failed.size,
+          done: migrated + state.failed.size,
+          total: pending.length
+        });
+
+        if (++sinceCheckpoint >= this.checkpointEvery) {
+          sinceCheckpoint = 0;
+          advanceWatermark();
+          await this.saveCheckpoint(state);
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, pending.length) }, worker));
+    advanceWatermark();
+
+    // A clean run needs no checkpoint, a run with failures keeps one to retry them
+    if (state.failed.size === 0) {
+      await this.to.delete(this.checkpointKey);
+    } else {
+      await this.saveCheckpoint(state);
+    }
+
+    this.result = {
+      ...plan,
+      migrated,
+      errors: state.failed.size,
+      failed: [...state.failed].map(([key, error]) => ({ key, error }))
+    };
+    this.emit('done', this.result);
+    return this.result;
+  }
+
+  /**
+   * Compare every source key with the target by hash, after a migration
+   */
+  async verify() {
+    const keys = (await this.from.list()).filter(isMigratedKey);
+    const targetKeys = new Set(await this.to.list());
+    const missing = [];
+    const mismatched = [];
+
+    for (const key of keys) {
+      if (!targetKeys.has(key)) {
+        missing.push(key);
+        continue;
+      }
+      if (hashValue(await this.from.get(key)) !== hashValue(await this.to.get(key))) {
+        mismatched.push(key);
+      }
+    }
+
+    const verification = { checked: keys.length, missing, mismatched, ok: missing.length === 0 && mismatched.length === 0 };
+    this.emit('verified', verification);
+    return verification;
+  }
+
+  /**
+   * Iterate over progress events until the migration finishes. Throws the
+   * error of a run that aborts.
+   */
+  async *[Symbol.asyncIterator]() {
+    const queue = [];
+    let wake = null;
+    let finished = false;
+    let failure = null;
+    const push = (type) => (payload) => {
+      queue.push({ type, ...payload });
+      if (type === 'done') finished = true;
+      wake?.();
+    };
+    const abort = (error) => {
+      failure = error;
+      finished = true;
+      wake?.();
+    };
+    const listeners = ['plan', 'copied', 'failed', 'progress', 'done'].map((type) => [type, push(type)]);
+    listeners.push(['error', abort]);
+    listeners.forEach(([type, listener]) => this.on(type, listener));
+
+    try {
+      while (!finished || queue.length > 0) {
+        if (queue.length === 0) {
+          await new Promise((resolve) => { wake = resolve; });
+          wake = null;
+          continue;
+        }
+        yield queue.shift();
+      }
+      if (failure) throw failure;
+    } finally {
+      listeners.forEach(([type, listener]) => this.off(type, listener));
+    }
+  }
+}
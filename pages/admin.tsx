@@ -0,0 +1,23 @@
+import { useMetadata } from 'blade/server/hooks';
+import { StorageAdminPanel } from '../components/storage-admin.client';
+
+/**
+ * Storage admin: health, backups and sync state of the Hive storage. The
+ * data and actions come from /admin/api (router.ts), which only answers the
+ * account signed in with ADMIN_EMAIL.
+ */
+export default function Admin() {
+  useMetadata({ title: 'Storage Admin' });
+
+  return (
+    <div style={{
+      maxWidth: '960px',
+      margin: '0 auto',
+      padding: '2rem',
+      fontFamily: 'system-ui, -apple-system, sans-serif'
+    }}>
+      <h1 className="font-bold text-[26px]">Storage Admin</h1>
+      <StorageAdminPanel />
+    </div>
+  );
+}
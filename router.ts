@@ -0,0 +1,166 @@
+/**
+ * Custom routes, mounted by Blade next to the pages
+ *
+ * GET /health/live   200 while the process serves requests, checks nothing else
+ * GET /health/ready  JSON status of the storage, its replicas and the startup
+ *                    bootstrap. 200 when ready or degraded (a replica is down or
+ *                    behind), 503 when unavailable; with `?strict`, degraded
+ *                    answers 503 too.
+ * GET /metrics  Prometheus metrics of the Hive storage: operation latency and
+ *               errors per backend, replication lag and the time of the last
+ *               backup and database sync. Requires `Authorization: Bearer
+ *               <HIVE_METRICS_TOKEN>` when that is set.
+ *
+ * /admin/api/*  JSON API of the admin page (pages/admin.tsx), only for the
+ *               signed-in account whose email is ADMIN_EMAIL:
+ *   GET  /admin/api/overview         storage health, backups, sync status
+ *   POST /admin/api/backups          { name? } create a backup
+ *   POST /admin/api/backups/restore  { key, confirm } restore one, `confirm`
+ *                                    repeating the backup's name
+ *   POST /admin/api/sync/upload      { force? } upload the database file
+ *
+ * Loading the routes also starts the backup schedule (HIVE_BACKUP_SCHEDULE).
+ */
+
+import { Hono, type Context } from 'hono';
+import { getCookie } from 'hono/cookie';
+import type { ContentfulStatusCode } from 'hono/utils/http-status';
+import { getSessionCookie } from 'blade/auth/utils';
+import type { TriggerOptions } from 'blade/types';
+import { startBackupScheduler } from './lib/backup-scheduler.js';
+import { checkLiveness, checkReadiness } from './lib/health.js';
+import { getHiveStorageConfig } from './lib/hive-storage-config.js';
+import { createLogger, newCorrelationId, withCorrelationId } from './lib/logger.js';
+import { CONTENT_TYPE, registry } from './lib/metrics.js';
+import { hasBearerToken } from './lib/remote-storage-server.js';
+import { AdminRequestError, StorageAdmin } from './lib/storage-admin.js';
+import { observeStorageManager } from './lib/storage-metrics.js';
+
+type Env = {
+  Variables: {
+    // Query client Blade sets on every request
+    client: TriggerOptions['client'];
+    admin: StorageAdmin;
+  };
+};
+
+const log = createLogger('router');
+const app = new Hono<Env>();
+
+let storageAdmin: StorageAdmin | null = null;
+
+// Blade loads this file once per server process, so each one runs the schedule
+getHiveStorageConfig()
+  .then(startBackupScheduler)
+  .catch((error) => log.error('Could not start the backup schedule', { error }));
+
+// Every request is one operation in the logs, joined by its request ID
+app.use('*', async (c, next) => {
+  const requestId = c.req.header('x-request-id') || newCorrelationId();
+  c.header('x-request-id', requestId);
+  await withCorrelationId(next, requestId);
+});
+
+app.get('/health/live', (c) => c.json(checkLiveness()));
+
+app.get('/health/ready', async (c) => {
+  const report = await checkReadiness(await getHiveStorageConfig());
+  const strict = c.req.query('strict') !== undefined;
+  const ready = report.status === 'ready' || (report.status === 'degraded' && !strict);
+
+  if (!ready) log.warn('Readiness check failed', { status: report.status, checks: report.checks });
+  c.header('Cache-Control', 'no-store');
+  return c.json(report, ready ? 200 : 503);
+});
+
+app.get('/metrics', async (c) => {
+  const manager = await getHiveStorageConfig();
+  const { values } = await manager.loadSettings();
+
+  const token = values.HIVE_METRICS_TOKEN;
+  if (token && !hasBearerToken(c.req.header('authorization'), token)) {
+    return c.text('Unauthorized', 401);
+  }
+
+  // Storage that fails to start is still worth scraping, its errors are counted
+  observeStorageManager(manager);
+  try {
+    await manager.getConfig();
+  } catch (error) {
+    log.error('Storage is unavailable for metrics', { error });
+  }
+
+  return c.body(await registry.render(), 200, { 'Content-Type': CONTENT_TYPE });
+});
+
+// Only the admin account, signed in with Blade auth, gets past this
+app.use('/admin/api/*', async (c, next) => {
+  let accountId: string;
+  try {
+    ({ accountId } = await getSessionCookie(getCookie(c)) as { accountId: string });
+  } catch {
+    return c.json({ error: 'Sign in to use the admin page' }, 401);
+  }
+
+  storageAdmin ??= new StorageAdmin(await getHiveStorageConfig());
+  const account = await c.var.client.get.account.with.id(accountId);
+  if (!(await storageAdmin.isAdmin(account?.email))) {
+    log.warn('Admin access denied', { accountId });
+    return c.json({ error: 'Only the admin account may use this page' }, 403);
+  }
+
+  // The session cookie rides along with cross-site form posts, JSON needs CORS
+  if (c.req.method !== 'GET' && !c.req.header('content-type')?.startsWith('application/json')) {
+    return c.json({ error: 'Expected a JSON body' }, 415);
+  }
+
+  c.set('admin', storageAdmin);
+  await next();
+});
+
+async function respond(c: Context<Env>, action: () => Promise<unknown>, status: ContentfulStatusCode = 200) {
+  try {
+    return c.json(await action(), status);
+  } catch (error) {
+    if (error instanceof AdminRequestError) {
+      return c.json({ error: error.message }, error.status as ContentfulStatusCode);
+    }
+    log.error('Admin action failed', { path: c.req.path, error });
+    return c.json({ error: (error as Error).message }, 500);
+  }
+}
+
+/**
+ * The JSON object in the request body, a 400 for anything else
+ */
+async function readBody(c: Context<Env>): Promise<Record<string, any>> {
+  let body: unknown;
+  try {
+    body = await c.req.json();
+  } catch {
+    throw new AdminRequestError(400, 'The request body is not valid JSON');
+  }
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    throw new AdminRequestError(400, 'The request body must be a JSON object');
+  }
+  return body as Record<string, any>;
+}
+
+app.get('/admin/api/overview', (c) => respond(c, () => c.var.admin.getOverview()));
+
+app.post('/admin/api/backups', (c) => respond(c, async () => {
+  const { name = null } = await readBody(c);
+  return c.var.admin.createBackup(name || null);
+}, 201));
+
+app.post('/admin/api/backups/restore', (c) => respond(c, async () => {
+  const { key, confirm } = await readBody(c);
+  return c.var.admin.restoreBackup(key, confirm);
+}));
+
+app.post('/admin/api/sync/upload', (c) => respond(c, async () => {
+  const { force = false } = await readBody(c);
+  return c.var.admin.uploadDatabase({ force: force === true });
+}));
+
+export default app;
@@ -7,7 +7,7 @@ set -e
 
 # Configuration
 BACKUP_DIR="${BACKUP_DIR:-./backups}"
-BLADE_STATE_DIR="${BLADE_STATE_DIR:-./.blade/state}"
+BLADE_STATE_DIR="${HIVE_DISK_PATH:-${BLADE_STATE_DIR:-./.blade/state}}"
 TIMESTAMP=$(date +%Y%m%d-%H%M%S)
 BACKUP_NAME="blade-db-${TIMESTAMP}"
 BACKUP_FILE="${BACKUP_DIR}/${BACKUP_NAME}.tar.gz"
@@ -38,9 +38,19 @@ if [ ! -f "$DB_PATH" ]; then
     echo "The database might not be initialized yet"
 fi
 
+# Snapshot the databases consistently instead of archiving live files
+STAGING_DIR=$(mktemp -d)
+trap 'rm -rf "$STAGING_DIR"' EXIT
+
+echo "Creating consistent snapshot..."
+if ! HIVE_DISK_PATH="$BLADE_STATE_DIR" node "$(dirname "$0")/snapshot-db.js" "$STAGING_DIR"; then
+    echo -e "${RED}❌ Error: Snapshot failed, nothing was archived${NC}"
+    exit 1
+fi
+
 # Create backup
 echo "Creating backup: $BACKUP_FILE"
-tar czf "$BACKUP_FILE" -C "$(dirname "$BLADE_STATE_DIR")" "$(basename "$BLADE_STATE_DIR")"
+tar czf "$BACKUP_FILE" -C "$STAGING_DIR" "$(basename "$BLADE_STATE_DIR")"
 
 # Verify backup was created
 if [ -f "$BACKUP_FILE" ]; then
@@ -7,11 +7,11 @@ set -e
 
 # Configuration
 BACKUP_DIR="${BACKUP_DIR:-./backups}"
-BLADE_STATE_DIR="${BLADE_STATE_DIR:-./.blade/state}"
+BLADE_STATE_DIR="${HIVE_DISK_PATH:-${BLADE_STATE_DIR:-./.blade/state}}"
 TIMESTAMP=$(date +%Y%m%d-%H%M%S)
 BACKUP_NAME="blade-db-${TIMESTAMP}"
 BACKUP_FILE="${BACKUP_DIR}/${BACKUP_NAME}.tar.gz"
-S3_BUCKET="${S3_BUCKET:-your-database-bucket}"
+S3_BUCKET="${HIVE_S3_BUCKET:-${S3_BUCKET:-your-database-bucket}}"
 S3_PREFIX="${S3_PREFIX:-backups/hive-database}"
 
 # Colors for output
@@ -21,6 +21,12 @@ YELLOW='\033[1;33m'
 BLUE='\033[0;34m'
 NC='\033[0m' # No Color
 
+# S3-compatible providers (R2, MinIO, ...) are reached through their endpoint
+ENDPOINT_ARGS=()
+if [ -n "$HIVE_S3_ENDPOINT" ]; then
+    ENDPOINT_ARGS=(--endpoint-url "$HIVE_S3_ENDPOINT")
+fi
+
 echo -e "${BLUE}🌐 Starting S3 Backup for Embedded Hive Database${NC}"
 echo "================================================"
 
@@ -31,8 +37,13 @@ if ! command -v aws &> /dev/null; then
     exit 1
 fi
 
-# Check AWS credentials are configured
-if ! aws sts get-caller-identity &> /dev/null; then
+# Check AWS credentials are configured (STS only exists on AWS itself)
+if [ -n "$HIVE_S3_ENDPOINT" ]; then
+    CREDENTIALS_CHECK=(aws s3 ls "s3://${S3_BUCKET}" "${ENDPOINT_ARGS[@]}")
+else
+    CREDENTIALS_CHECK=(aws sts get-caller-identity)
+fi
+if ! "${CREDENTIALS_CHECK[@]}" &> /dev/null; then
     echo -e "${RED}❌ Error: AWS credentials not configured${NC}"
     echo "Please run: aws configure"
     exit 1
@@ -48,9 +59,19 @@ fi
 # Create local backup directory
 mkdir -p "$BACKUP_DIR"
 
+# Snapshot the databases consistently instead of archiving live files
+STAGING_DIR=$(mktemp -d)
+trap 'rm -rf "$STAGING_DIR"' EXIT
+
+echo -e "${YELLOW}📸 Creating consistent snapshot...${NC}"
+if ! HIVE_DISK_PATH="$BLADE_STATE_DIR" node "$(dirname "$0")/snapshot-db.js" "$STAGING_DIR"; then
+    echo -e "${RED}❌ Error: Snapshot failed, nothing was archived${NC}"
+    exit 1
+fi
+
 # Create local backup
 echo -e "${YELLOW}📦 Creating local backup...${NC}"
-tar czf "$BACKUP_FILE" -C "$(dirname "$BLADE_STATE_DIR")" "$(basename "$BLADE_STATE_DIR")"
+tar czf "$BACKUP_FILE" -C "$STAGING_DIR" "$(basename "$BLADE_STATE_DIR")"
 
 # Verify local backup was created
 if [ ! -f "$BACKUP_FILE" ]; then
@@ -66,7 +87,7 @@ echo -e "${GREEN}✅ Local backup created: ${BACKUP_FILE} (${BACKUP_SIZE})${NC}"
 echo -e "${YELLOW}📤 Uploading to S3...${NC}"
 S3_KEY="${S3_PREFIX}/${BACKUP_NAME}.tar.gz"
 
-if aws s3 cp "$BACKUP_FILE" "s3://${S3_BUCKET}/${S3_KEY}"; then
+if aws s3 cp "$BACKUP_FILE" "s3://${S3_BUCKET}/${S3_KEY}" "${ENDPOINT_ARGS[@]}"; then
     echo -e "${GREEN}✅ Successfully uploaded to S3: s3://${S3_BUCKET}/${S3_KEY}${NC}"
 else
     echo -e "${RED}❌ Error: S3 upload failed${NC}"
@@ -75,7 +96,7 @@ fi
 
 # Set S3 object metadata
 echo -e "${YELLOW}🏷️  Setting S3 metadata...${NC}"
-aws s3api put-object-tagging \
+aws s3api put-object-tagging "${ENDPOINT_ARGS[@]}" \
     --bucket "$S3_BUCKET" \
     --key "$S3_KEY" \
     --tagging 'Environment=Production&Service=HiveDatabase&BackupType=Automated'
@@ -86,7 +107,7 @@ find "$BACKUP_DIR" -name "blade-db-*.tar.gz" -mtime +7 -delete
 
 # Cleanup old S3 backups (keep last 30 days)
 echo -e "${YELLOW}🧹 Cleaning up old S3 backups...${NC}"
-aws s3 ls "s3://${S3_BUCKET}/${S3_PREFIX}/" | \
+aws s3 ls "s3://${S3_BUCKET}/${S3_PREFIX}/" "${ENDPOINT_ARGS[@]}" | \
     while read -r line; do
         createDate=$(echo "$line" | awk '{print $1" "$2}')
         createDate=$(date -d "$createDate" +%s)
@@ -94,7 +115,7 @@ aws s3 ls "s3://${S3_BUCKET}/${S3_PREFIX}/" | \
         if [[ $createDate -lt $olderThan ]]; then
             fileName=$(echo "$line" | awk '{print $4}')
             if [[ $fileName != "" ]]; then
-                aws s3 rm "s3://${S3_BUCKET}/${S3_PREFIX}/${fileName}"
+                aws s3 rm "s3://${S3_BUCKET}/${S3_PREFIX}/${fileName}" "${ENDPOINT_ARGS[@]}"
                 echo -e "${YELLOW}Deleted old S3 backup: ${fileName}${NC}"
             fi
         fi
@@ -102,7 +123,7 @@ aws s3 ls "s3://${S3_BUCKET}/${S3_PREFIX}/" | \
 
 # List recent S3 backups
 echo -e "${BLUE}📋 Recent S3 backups:${NC}"
-aws s3 ls "s3://${S3_BUCKET}/${S3_PREFIX}/" --recursive | tail -10
+aws s3 ls "s3://${S3_BUCKET}/${S3_PREFIX}/" --recursive "${ENDPOINT_ARGS[@]}" | tail -10
 
 echo -e "${GREEN}🎉 S3 backup completed successfully!${NC}"
 echo -e "${GREEN}📍 S3 Location: s3://${S3_BUCKET}/${S3_KEY}${NC}"
\ No newline at end of file
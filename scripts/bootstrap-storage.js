@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+/**
+ * Storage Bootstrap for Embedded Hive Database
+ * Runs before `blade serve`. When the local database is missing or empty (a
+ * fresh or recreated volume), it restores the latest verified copy from the
+ * configured S3 or remote backend, holding the sync lock while it does.
+ *
+ * Exit codes:
+ *   0  Database present, restored, or nothing to restore (first deploy)
+ *   1  Restore failed or the lock could not be taken; the app must not start
+ *      on a blank database that a later upload would push over the good copy
+ *
+ * The outcome is kept in bootstrap-state.json for the app's readiness check.
+ */
+
+import { DatabaseSyncer, getSyncConfig, isDatabaseMissing } from '../lib/database-sync.js';
+import { writeBootstrapResult } from '../lib/health.js';
+import { HiveConfigError, loadHiveConfig } from '../lib/hive-config.js';
+import { supportsSync } from '../lib/storage-backends.js';
+
+// Colors for output
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+// Where the outcome is recorded, known once the settings are loaded
+let stateDir = null;
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('help') || args.includes('--help')) {
+    console.log(`
+🚀 Embedded Hive Database Storage Bootstrap
+
+Usage: node bootstrap-storage.js
+
+Restores databases/main/db.sqlite from remote storage when it is missing or
+empty, then exits so that the app can start.
+
+Environment Variables:
+  HIVE_BOOTSTRAP=false             Skip the bootstrap
+  HIVE_SYNC_TARGET=s3|remote|...   Backend holding the database copy
+                                   (defaults to HIVE_STORAGE_TYPE)
+  HIVE_BOOTSTRAP_LOCK_WAIT=120000  Milliseconds to wait for another instance's lock
+`);
+    process.exit(0);
+  }
+
+  let settings;
+  try {
+    settings = await loadHiveConfig();
+  } catch (error) {
+    if (!(error instanceof HiveConfigError)) throw error;
+    log('❌ Invalid configuration:', 'red');
+    for (const message of error.errors) log(`  - ${message}`, 'red');
+    process.exit(1);
+  }
+
+  stateDir = settings.values.HIVE_DISK_PATH;
+
+  if (!settings.values.HIVE_BOOTSTRAP) {
+    log('⏭️  Storage bootstrap disabled (HIVE_BOOTSTRAP=false)', 'yellow');
+    writeBootstrapResult(stateDir, 'disabled');
+    return;
+  }
+
+  const config = getSyncConfig(settings.env);
+  if (!supportsSync(config.storageType)) {
+    log(`🏠 No remote copy configured for ${config.storageType} storage, skipping bootstrap`, 'cyan');
+    writeBootstrapResult(stateDir, 'skipped');
+    return;
+  }
+
+  const syncer = new DatabaseSyncer(config);
+  if (!isDatabaseMissing(syncer.dbPath)) {
+    log(`✅ Local database present: ${syncer.dbPath}`, 'green');
+    writeBootstrapResult(stateDir, 'present');
+    return;
+  }
+
+  log(`📭 Local database missing or empty: ${syncer.dbPath}`, 'yellow');
+  if (!(await syncer.initialize({ requireLocalDatabase: false }))) {
+    writeBootstrapResult(stateDir, 'failed', `Could not reach the ${config.storageType} sync target`);
+    process.exit(1);
+  }
+
+  const lockWait = settings.values.HIVE_BOOTSTRAP_LOCK_WAIT;
+  const outcome = await syncer.withLock(async () => {
+    // Another instance sharing this volume may have restored it meanwhile
+    if (!isDatabaseMissing(syncer.dbPath)) return 'present';
+    return syncer.downloadDatabase();
+  }, { waitMs: lockWait });
+
+  switch (outcome) {
+    case 'restored':
+      log('🎉 Database restored from remote storage', 'green');
+      break;
+    case 'present':
+      log('✅ Database was restored by another instance', 'green');
+      break;
+    case 'not-found':
+      log('🆕 No remote copy yet, starting with a new database', 'cyan');
+      break;
+    default:
+      log('❌ Could not restore the database, refusing to start on a blank one', 'red');
+      log('💡 Fix the remote copy, or set HIVE_BOOTSTRAP=false to start empty', 'cyan');
+      writeBootstrapResult(stateDir, 'failed', 'Restore failed');
+      process.exit(1);
+  }
+  writeBootstrapResult(stateDir, outcome);
+}
+
+// Run the script
+main().catch(error => {
+  log(`💥 Bootstrap failed: ${error.message}`, 'red');
+  if (stateDir) writeBootstrapResult(stateDir, 'failed', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * Configuration Check for Embedded Hive Database
+ * This script resolves the Hive configuration from the environment, `.env`
+ * and `hive.config.*` without touching any storage, and prints every setting
+ * with its source, or every problem that makes the configuration invalid.
+ *
+ * Exit codes:
+ *   0  Configuration is valid
+ *   1  Configuration is invalid
+ */
+
+import { HiveConfigError, describeHiveConfig, loadHiveConfig } from '../lib/hive-config.js';
+
+// Colors for output
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+// CLI interface
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('help') || args.includes('--help')) {
+    console.log(`
+🧾 Embedded Hive Database Configuration Check
+
+Usage: node check-config.js [options]
+
+Reads hive.config.js, hive.config.mjs or hive.config.json (or HIVE_CONFIG_FILE),
+then .env, then the environment; later sources win.
+
+Options:
+  --json     Print the resolved configuration as JSON (secrets masked)
+  --help     Show this help message
+
+Exit Codes:
+  0  Configuration is valid
+  1  Configuration is invalid
+`);
+    process.exit(0);
+  }
+
+  const json = args.includes('--json');
+
+  let settings;
+  try {
+    settings = await loadHiveConfig();
+  } catch (error) {
+    if (!(error instanceof HiveConfigError)) throw error;
+    if (json) {
+      console.log(JSON.stringify({ valid: false, errors: error.errors }, null, 2));
+    } else {
+      log('❌ Invalid configuration:', 'red');
+      for (const message of error.errors) log(`  - ${message}`, 'red');
+    }
+    process.exit(1);
+  }
+
+  const effective = describeHiveConfig(settings);
+
+  if (json) {
+    console.log(JSON.stringify({ valid: true, files: settings.files, warnings: settings.warnings, settings: effective }, null, 2));
+    return;
+  }
+
+  console.log('\n⚙️  Hive Configuration:');
+  console.log('======================');
+  log(`📄 Files: ${settings.files.length > 0 ? settings.files.join(', ') : '(none, environment only)'}`, 'cyan');
+  for (const setting of effective) {
+    const value = setting.value === null ? '(unset)' : setting.value;
+    console.log(`  ${setting.name.padEnd(32)} ${value} [${setting.source}]`);
+  }
+
+  console.log('');
+  for (const warning of settings.warnings) log(`⚠️  ${warning}`, 'yellow');
+  log('✅ Configuration is valid', 'green');
+}
+
+// Run the script
+main().catch(error => {
+  log(`💥 Unhandled error: ${error.message}`, 'red');
+  process.exit(1);
+});
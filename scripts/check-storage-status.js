@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+
+/**
+ * Storage Status Check for Embedded Hive Database
+ * This script reports the resolved storage backend, its settings and health.
+ *
+ * Exit codes:
+ *   0  Storage is healthy (degraded replicas are tolerated unless --strict)
+ *   1  Storage is unhealthy, or degraded while --strict is set
+ *   3  Storage could not be initialized (invalid configuration)
+ */
+
+import { HiveConfigError } from '../lib/hive-config.js';
+import { getHiveStorageConfig } from '../lib/hive-storage-config.js';
+
+const EXIT_HEALTHY = 0;
+const EXIT_UNHEALTHY = 1;
+const EXIT_INIT_FAILED = 3;
+
+// Colors for output
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function formatLatency(latency) {
+  return ['write', 'read', 'delete']
+    .map((step) => `${step} ${latency[step] === null ? '—' : `${latency[step]}ms`}`)
+    .join(', ');
+}
+
+function printReport(status, settings) {
+  console.log('\n📋 Storage Status:');
+  console.log('==================');
+  log(`🗄️  Backend: ${status.type}`, 'cyan');
+
+  console.log('\n⚙️  Settings:');
+  for (const setting of settings) {
+    const value = setting.value === null ? '(unset)' : setting.value;
+    console.log(`  ${setting.name.padEnd(32)} ${value} [${setting.source}]`);
+  }
+
+  console.log('\n⏱️  Round trip:');
+  console.log(`  ${formatLatency(status.latency)}`);
+
+  if (status.replicas) {
+    console.log('\n📤 Replicas:');
+    if (status.replicas.length === 0) {
+      log('  No replicas configured', 'yellow');
+    }
+    for (const replica of status.replicas) {
+      const line = `  ${replica.healthy ? '✅' : '❌'} ${replica.name}: ${formatLatency(replica.latency)}`;
+      log(replica.error ? `${line} (${replica.error})` : line, replica.healthy ? 'green' : 'red');
+      console.log(`     lag ${Math.round(replica.lagMs / 1000)}s, ${replica.pending} pending, ${replica.divergent} divergent, circuit ${replica.circuit.state}${replica.resyncRequired ? ', resync required' : ''}`);
+      if (replica.lastError) console.log(`     last replication error: ${replica.lastError}`);
+    }
+  }
+
+  if (status.replication) {
+    const { syncMode, conflictResolution, primaryCircuit, lastAntiEntropy } = status.replication;
+    console.log(`  Mode: ${syncMode}, conflicts: ${conflictResolution}, last anti-entropy: ${lastAntiEntropy?.finishedAt ?? 'never'}`);
+    console.log(`  Primary circuit: ${primaryCircuit.state}${primaryCircuit.lastError ? ` (${primaryCircuit.lastError})` : ''}`);
+  }
+
+  console.log('');
+  if (!status.healthy) {
+    log(`❌ Storage is unhealthy: ${status.error}`, 'red');
+  } else if (status.degraded) {
+    log('⚠️  Storage is degraded: one or more replicas are unhealthy or need a resync', 'yellow');
+  } else {
+    log('✅ Storage is healthy', 'green');
+  }
+}
+
+function getExitCode(status, strict) {
+  if (!status.healthy) return EXIT_UNHEALTHY;
+  if (status.degraded && strict) return EXIT_UNHEALTHY;
+  return EXIT_HEALTHY;
+}
+
+// CLI interface
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('help') || args.includes('--help')) {
+    console.log(`
+🩺 Embedded Hive Database Storage Status
+
+Usage: node check-storage-status.js [options]
+
+Options:
+  --json     Print the report as JSON
+  --strict   Treat unhealthy replicas as a failure
+  --help     Show this help message
+
+Exit Codes:
+  0  Storage is healthy
+  1  Storage is unhealthy (or degraded with --strict)
+  3  Storage could not be initialized
+`);
+    process.exit(EXIT_HEALTHY);
+  }
+
+  const json = args.includes('--json');
+  const strict = args.includes('--strict');
+  const print = console.log.bind(console);
+
+  // Keep stdout parseable: initialization messages go to stderr in JSON mode
+  if (json) {
+    console.log = console.error.bind(console);
+  }
+
+  const configManager = await getHiveStorageConfig();
+  try {
+    await configManager.loadSettings();
+  } catch (error) {
+    if (!(error instanceof HiveConfigError)) throw error;
+    if (json) {
+      print(JSON.stringify({ initialized: false, healthy: false, error: 'Invalid configuration', errors: error.errors }, null, 2));
+    } else {
+      log('❌ Invalid configuration:', 'red');
+      for (const message of error.errors) log(`  - ${message}`, 'red');
+    }
+    process.exit(EXIT_INIT_FAILED);
+  }
+  const settings = configManager.getEffectiveSettings();
+
+  let status;
+  try {
+    status = await configManager.getStorageStatus();
+  } catch (error) {
+    if (json) {
+      print(JSON.stringify({ initialized: false, healthy: false, error: error.message, settings }, null, 2));
+    } else {
+      log(`❌ Failed to initialize storage: ${error.message}`, 'red');
+    }
+    process.exit(EXIT_INIT_FAILED);
+  }
+
+  if (json) {
+    print(JSON.stringify({ ...status, settings }, null, 2));
+  } else {
+    printReport(status, settings);
+  }
+
+  process.exit(getExitCode(status, strict));
+}
+
+// Run the script
+main().catch(error => {
+  log(`💥 Unhandled error: ${error.message}`, 'red');
+  process.exit(EXIT_UNHEALTHY);
+});
@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+
+/**
+ * Storage Backend Migration for Embedded Hive Database
+ * This script copies all data from one storage backend to another, verifies
+ * the copy and prints the environment changes needed to switch over.
+ *
+ * Each side reads the usual storage variables, overridden by variables
+ * prefixed with MIGRATE_FROM_ or MIGRATE_TO_ (e.g. MIGRATE_TO_HIVE_S3_BUCKET).
+ */
+
+import { HiveConfigError, resolveHiveConfig } from '../lib/hive-config.js';
+import { HiveStorageConfig, maskSecret } from '../lib/hive-storage-config.js';
+import { listStorageBackends } from '../lib/storage-backends.js';
+
+const SECRET_PATTERN = /KEY|SECRET|TOKEN|PASSWORD/;
+
+// Colors for output
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function parseArgs(argv) {
+  const options = { dryRun: false, verify: true };
+
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    switch (arg) {
+      case '--from':
+      case '--to':
+      case '--id':
+      case '--concurrency':
+        options[arg.slice(2)] = argv[++index];
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--no-verify':
+        options.verify = false;
+        break;
+      case '--help':
+      case 'help':
+        options.help = true;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Environment for one side of the migration: the process environment with
+ * every `<prefix><NAME>` variable applied as `<NAME>`
+ */
+function getSideEnv(prefix, storageType) {
+  const overrides = {};
+  for (const [name, value] of Object.entries(process.env)) {
+    if (name.startsWith(prefix)) {
+      overrides[name.slice(prefix.length)] = value;
+    }
+  }
+  return { env: { ...process.env, ...overrides, HIVE_STORAGE_TYPE: storageType }, overrides };
+}
+
+function printSwitchOver(storageType, overrides) {
+  console.log('\n🔀 To switch the app over, set:');
+  console.log('================================');
+  console.log(`HIVE_STORAGE_TYPE=${storageType}`);
+  for (const [name, value] of Object.entries(overrides)) {
+    if (name === 'HIVE_STORAGE_TYPE') continue;
+    console.log(`${name}=${SECRET_PATTERN.test(name) ? maskSecret(value) : value}`);
+  }
+  log('\n💡 Secrets are masked above, copy them from your MIGRATE_TO_* variables', 'cyan');
+}
+
+// CLI interface
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help || !options.from || !options.to) {
+    console.log(`
+🚚 Embedded Hive Database Storage Migration
+
+Usage: node migrate-storage.js --from <type> --to <type> [options]
+
+Storage Types:
+  ${[...listStorageBackends().map((backend) => backend.name), 'replication'].join(', ')}
+
+Options:
+  --dry-run            Show the migration plan without copying
+  --concurrency <n>    Parallel copies (default: 4)
+  --id <name>          Checkpoint name, reruns with the same id resume
+  --no-verify          Skip the verification pass after copying
+  --help               Show this help message
+
+Environment Variables:
+  MIGRATE_FROM_<NAME>=...   Override a storage variable for the source
+  MIGRATE_TO_<NAME>=...     Override a storage variable for the target
+
+Example:
+  MIGRATE_TO_HIVE_S3_BUCKET=my-bucket node migrate-storage.js --from disk --to s3
+`);
+    process.exit(options.help ? 0 : 1);
+  }
+
+  const source = getSideEnv('MIGRATE_FROM_', options.from);
+  const target = getSideEnv('MIGRATE_TO_', options.to);
+
+  // Report the problems of both sides before touching either
+  let valid = true;
+  for (const [label, side] of [['Source', source], ['Target', target]]) {
+    try {
+      resolveHiveConfig(side.env);
+    } catch (error) {
+      if (!(error instanceof HiveConfigError)) throw error;
+      log(`❌ ${label} configuration is invalid:`, 'red');
+      for (const message of error.errors) log(`  - ${message}`, 'red');
+      valid = false;
+    }
+  }
+  if (!valid) process.exit(1);
+
+  log(`🔧 Building source storage: ${options.from}`, 'blue');
+  const fromManager = new HiveStorageConfig();
+  const fromConfig = await fromManager.createStorage(options.from, source.env);
+
+  log(`🔧 Building target storage: ${options.to}`, 'blue');
+  const toManager = new HiveStorageConfig();
+  const toConfig = await toManager.createStorage(options.to, target.env);
+
+  const migrationOptions = {
+    id: options.id || `${options.from}-to-${options.to}`,
+    dryRun: options.dryRun,
+    concurrency: options.concurrency ? parseInt(options.concurrency) : undefined
+  };
+  const result = await fromManager.migrateStorage(fromConfig, toConfig, migrationOptions);
+
+  if (options.dryRun) {
+    log(`\n📋 Plan: ${result.toCopy} to copy, ${result.alreadyMigrated} already migrated`, 'cyan');
+    process.exit(0);
+  }
+
+  if (result.errors > 0) {
+    log(`\n❌ ${result.errors} items failed, rerun the same command to resume`, 'red');
+    process.exit(1);
+  }
+
+  if (options.verify) {
+    log('\n🔍 Verifying migrated data...', 'blue');
+    const verification = await fromManager.createMigration(fromConfig, toConfig, migrationOptions).verify();
+
+    if (!verification.ok) {
+      log(`❌ Verification failed: ${verification.missing.length} missing, ${verification.mismatched.length} mismatched`, 'red');
+      for (const key of [...verification.missing, ...verification.mismatched].slice(0, 20)) {
+        console.log(`  - ${key}`);
+      }
+      process.exit(1);
+    }
+    log(`✅ Verified ${verification.checked} items`, 'green');
+  }
+
+  printSwitchOver(options.to, target.overrides);
+}
+
+// Run the script
+main().catch(error => {
+  log(`💥 Unhandled error: ${error.message}`, 'red');
+  process.exit(1);
+});
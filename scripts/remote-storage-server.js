@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+/**
+ * Remote Storage Server for Embedded Hive Database
+ * This script runs the bundled, self-hostable storage server that the
+ * `remote` storage type and db:sync:* commands talk to.
+ */
+
+import { createRemoteStorageServer } from '../lib/remote-storage-server.js';
+
+const CONFIG = {
+  port: parseInt(process.env.REMOTE_STORAGE_SERVER_PORT) || 4000,
+  host: process.env.REMOTE_STORAGE_SERVER_HOST || '0.0.0.0',
+  dir: process.env.REMOTE_STORAGE_SERVER_DIR || './.remote-storage',
+  apiKey: process.env.REMOTE_STORAGE_API_KEY,
+  maxBytes: parseInt(process.env.REMOTE_STORAGE_SERVER_MAX_BYTES) || undefined
+};
+
+// Colors for output
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function main() {
+  if (process.argv.includes('help') || process.argv.includes('--help')) {
+    console.log(`
+🗄️  Embedded Hive Database Remote Storage Server
+
+Usage: node remote-storage-server.js
+
+Environment Variables:
+  REMOTE_STORAGE_API_KEY=...             Bearer token clients must send (required)
+  REMOTE_STORAGE_SERVER_PORT=4000        Port to listen on
+  REMOTE_STORAGE_SERVER_HOST=0.0.0.0     Interface to listen on
+  REMOTE_STORAGE_SERVER_DIR=...          Data directory (default: ./.remote-storage)
+  REMOTE_STORAGE_SERVER_MAX_BYTES=...    Largest accepted object (default: 5 GiB)
+
+Clients:
+  REMOTE_STORAGE_ENDPOINT=http://<host>:<port>
+  REMOTE_STORAGE_API_KEY=<same key>
+`);
+    process.exit(0);
+  }
+
+  if (!CONFIG.apiKey) {
+    log('❌ REMOTE_STORAGE_API_KEY is required to run the storage server', 'red');
+    log('💡 Generate one with: openssl rand -base64 32', 'cyan');
+    process.exit(1);
+  }
+
+  const server = createRemoteStorageServer(CONFIG);
+
+  server.listen(CONFIG.port, CONFIG.host, () => {
+    log(`✅ Remote storage server listening on http://${CONFIG.host}:${CONFIG.port}`, 'green');
+    log(`📁 Data directory: ${CONFIG.dir}`, 'cyan');
+  });
+
+  const shutdown = (signal) => {
+    log(`🛑 Received ${signal}, shutting down...`, 'yellow');
+    server.close(() => process.exit(0));
+  };
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+main();
@@ -7,7 +7,7 @@ set -e
 
 # Configuration
 BACKUP_DIR="${BACKUP_DIR:-./backups}"
-BLADE_STATE_DIR="${BLADE_STATE_DIR:-./.blade/state}"
+BLADE_STATE_DIR="${HIVE_DISK_PATH:-${BLADE_STATE_DIR:-./.blade/state}}"
 
 # Colors for output
 RED='\033[0;31m'
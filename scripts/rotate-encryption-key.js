@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+/**
+ * Encryption Key Rotation for Embedded Hive Database
+ * This script re-encrypts all stored data and backups with the current
+ * HIVE_ENCRYPTION_KEY, decrypting with any key in HIVE_ENCRYPTION_RETIRED_KEYS.
+ */
+
+import { getHiveStorageConfig } from '../lib/hive-storage-config.js';
+
+// Colors for output
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+// CLI interface
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('help') || args.includes('--help')) {
+    console.log(`
+🔑 Embedded Hive Database Encryption Key Rotation
+
+Usage: node rotate-encryption-key.js [options]
+
+Options:
+  --keep-plaintext   Leave values that were stored unencrypted as they are
+  --help             Show this help message
+
+Rotation Steps:
+  1. Set HIVE_ENCRYPTION_KEY to the new key
+  2. Move the old key to HIVE_ENCRYPTION_RETIRED_KEYS (comma-separated)
+  3. Deploy, so the app writes with the new key and still reads old data
+  4. Run this command (rerun it to resume if it is interrupted)
+  5. Remove the old key from HIVE_ENCRYPTION_RETIRED_KEYS, unless this
+     command lists backups that still need it
+`);
+    process.exit(0);
+  }
+
+  const configManager = await getHiveStorageConfig();
+  let lastReported = 0;
+
+  const results = await configManager.rotateEncryptionKey({
+    encryptPlaintext: !args.includes('--keep-plaintext'),
+    onProgress: ({ storage, processed, total }) => {
+      const percent = Math.floor((processed / total) * 100);
+      if (percent >= lastReported + 10 || processed === total) {
+        lastReported = processed === total ? 0 : percent;
+        log(`🔄 ${storage}: ${processed}/${total} (${percent}%)`, 'blue');
+      }
+    }
+  });
+
+  const failed = results.flatMap((result) => result.failed);
+  if (failed.length > 0) {
+    log(`\n❌ ${failed.length} items could not be re-encrypted:`, 'red');
+    for (const { key, error } of failed.slice(0, 20)) {
+      console.log(`  - ${key}: ${error}`);
+    }
+    log('💡 Fix the cause (usually a missing retired key) and rerun to resume', 'cyan');
+    process.exit(1);
+  }
+
+  const retiredBackups = await configManager.listBackupsOnRetiredKeys();
+  if (retiredBackups.length > 0) {
+    log('\n🎉 Key rotation completed!', 'green');
+    log(`⚠️  ${retiredBackups.length} backups need a retired key to be restored:`, 'yellow');
+    for (const { name, chunkKeyId } of retiredBackups.slice(0, 20)) {
+      console.log(`  - ${name}: key ${chunkKeyId}`);
+    }
+    log('💡 Keep those keys in HIVE_ENCRYPTION_RETIRED_KEYS until the backups are pruned', 'cyan');
+  } else {
+    log('\n🎉 Key rotation completed! Retired keys can now be removed.', 'green');
+  }
+  log('💡 Run db:sync:upload to re-upload the remote database copy with the new key', 'cyan');
+}
+
+// Run the script
+main().catch(error => {
+  log(`💥 Unhandled error: ${error.message}`, 'red');
+  process.exit(1);
+});
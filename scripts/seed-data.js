@@ -0,0 +1,194 @@
+#!/usr/bin/env bun
+
+/**
+ * Seeding for Embedded Hive Database
+ * This script fills the models in schema/index.ts with a fixture set from
+ * seeds/ plus generated records, or deletes their records and seeds them
+ * again. Works against whichever storage is configured.
+ *
+ * Runs with Bun, which loads the TypeScript schema directly.
+ */
+
+import readline from 'readline/promises';
+import { CONFLICT_MODES, DataImportError } from '../lib/data-transfer.js';
+import { getHiveStorageConfig } from '../lib/hive-storage-config.js';
+import { DEFAULT_SCHEMA_PATH, loadModels, selectModels } from '../lib/model-schema.js';
+import { DEFAULT_SEED, DEFAULT_SEEDS_DIR, DEFAULT_SET_COUNTS, checkSeeds, loadSeeds } from '../lib/seeds.js';
+
+// Colors for output
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function parseArgs(argv) {
+  const options = {
+    command: argv[0],
+    models: [],
+    set: 'dev',
+    seed: DEFAULT_SEED,
+    onConflict: 'skip',
+    schema: DEFAULT_SCHEMA_PATH,
+    seeds: DEFAULT_SEEDS_DIR,
+    backup: true,
+    empty: false,
+    dryRun: false,
+    yes: false
+  };
+
+  for (let index = 1; index < argv.length; index++) {
+    const arg = argv[index];
+    switch (arg) {
+      case '--set':
+      case '--seed':
+      case '--schema':
+      case '--seeds':
+        options[arg.slice(2)] = argv[++index];
+        break;
+      case '--model':
+        options.models.push(argv[++index]);
+        break;
+      case '--on-conflict':
+        options.onConflict = argv[++index];
+        break;
+      case '--no-backup':
+        options.backup = false;
+        break;
+      case '--empty':
+        options.empty = true;
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--yes':
+        options.yes = true;
+        break;
+      case '--help':
+      case 'help':
+        options.help = true;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+function printSeeded(result) {
+  for (const model of result.models) {
+    log(`  ${model.model}: ${model.created} created, ${model.updated} updated, ${model.skipped} skipped`);
+  }
+}
+
+/**
+ * Whether the reset may go ahead: `--yes`, or typing "reset" on a terminal
+ */
+async function confirmReset(models, options) {
+  if (options.yes) return true;
+  if (!process.stdin.isTTY) {
+    log('❌ db:reset deletes data, pass --yes to run it without a terminal', 'red');
+    return false;
+  }
+
+  const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await prompt.question(
+    `⚠️  This deletes every ${models.map((model) => model.name).join(', ')} record in the configured storage. Type "reset" to continue: `
+  );
+  prompt.close();
+  return answer.trim() === 'reset';
+}
+
+// CLI interface
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help || !['seed', 'reset'].includes(options.command)) {
+    console.log(`
+🌱 Embedded Hive Database Seeding
+
+Usage: bun seed-data.js <seed|reset> [options]
+
+Commands:
+  seed      Add a fixture set, skipping records that already exist
+  reset     Back up, delete every record of the models, then seed
+
+Options:
+  --set <name>             Fixture set (default: dev). Built in: ${Object.entries(DEFAULT_SET_COUNTS).map(([name, count]) => `${name} (${count} per model)`).join(', ')}
+  --seed <value>           Seed of the generated data, the same seed gives
+                           the same records (default: ${DEFAULT_SEED})
+  --model <name>           Only this model, repeatable (default: all)
+  --on-conflict <mode>     ${CONFLICT_MODES.join(', ')} for records matching a stored one (default: skip)
+  --schema <path>          Schema module (default: ${DEFAULT_SCHEMA_PATH})
+  --seeds <dir>            Seed files (default: ${DEFAULT_SEEDS_DIR}/)
+  --dry-run                Seed only, validate without writing
+  --empty                  Reset only, delete without seeding
+  --no-backup              Reset only, skip the backup taken first
+  --yes                    Reset only, do not ask for confirmation
+  --help                   Show this help message
+
+Examples:
+  bun run db:seed
+  bun run db:seed -- --set demo --seed preview-42
+  bun run db:reset -- --set test --yes
+`);
+    process.exit(options.help ? 0 : 1);
+  }
+
+  if (!CONFLICT_MODES.includes(options.onConflict)) {
+    throw new Error(`--on-conflict must be one of ${CONFLICT_MODES.join(', ')}`);
+  }
+
+  const allModels = await loadModels(options.schema);
+  const seeds = await loadSeeds(options.seeds);
+  checkSeeds(allModels, seeds);
+  const models = selectModels(allModels, options.models);
+  const manager = await getHiveStorageConfig();
+  const seedOptions = { set: options.set, seed: options.seed, onConflict: options.onConflict, dryRun: options.dryRun };
+
+  try {
+    if (options.command === 'seed') {
+      log(`🌱 Seeding the ${options.set} set (seed: ${options.seed})${options.dryRun ? ', dry run' : ''}`, 'blue');
+      const result = await manager.seedData(models, seeds, seedOptions);
+      printSeeded(result);
+      log(result.dryRun ? '\n📋 Dry run, nothing was written' : '\n✅ Seeding completed', result.dryRun ? 'cyan' : 'green');
+      return;
+    }
+
+    if (!(await confirmReset(models, options))) {
+      log('Reset cancelled', 'yellow');
+      process.exit(1);
+    }
+
+    const result = await manager.resetData(models, seeds, {
+      ...seedOptions,
+      dryRun: false,
+      set: options.empty ? null : options.set,
+      backup: options.backup
+    });
+    if (result.backup) log(`💾 Backup taken: ${result.backup}`, 'cyan');
+    for (const [name, count] of Object.entries(result.cleared)) {
+      log(`🗑️  ${name}: ${count} records deleted`);
+    }
+    if (result.seeded) printSeeded(result.seeded);
+    log('\n✅ Reset completed', 'green');
+  } catch (error) {
+    if (!(error instanceof DataImportError)) throw error;
+    log(`\n❌ ${error.message}`, 'red');
+    process.exit(1);
+  }
+}
+
+// Run the script
+main().catch(error => {
+  log(`💥 Unhandled error: ${error.message}`, 'red');
+  process.exit(1);
+});
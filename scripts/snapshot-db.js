@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * Consistent State Snapshot for Embedded Hive Database
+ * Copies the Blade state directory into a staging directory for archiving:
+ * every SQLite database is copied with VACUUM INTO and checked with
+ * PRAGMA integrity_check, everything else is copied as-is. The results are
+ * recorded in backup-metadata.json inside the copy.
+ *
+ * Used by backup-db.sh and backup-to-s3.sh instead of archiving live files.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createVerifiedSnapshot, hashFile } from '../lib/sqlite-snapshot.js';
+
+const SQLITE_FILE = /\.sqlite(-wal|-shm|-journal)?$/;
+
+// Colors for output
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function findDatabases(dir, root = dir) {
+  const databases = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      databases.push(...findDatabases(fullPath, root));
+    } else if (entry.name.endsWith('.sqlite')) {
+      databases.push(path.relative(root, fullPath));
+    }
+  }
+  return databases;
+}
+
+async function main() {
+  const [stagingDir] = process.argv.slice(2);
+
+  if (!stagingDir || stagingDir === 'help' || stagingDir === '--help') {
+    console.log(`
+📸 Embedded Hive Database State Snapshot
+
+Usage: node snapshot-db.js <staging-dir>
+
+Writes a consistent copy of HIVE_DISK_PATH (or BLADE_STATE_DIR, default:
+./.blade/state) to <staging-dir>/<state dir name>, ready to be archived.
+
+Exit codes:
+  0  Snapshot written
+  1  A database failed its integrity check, or the snapshot failed
+`);
+    process.exit(stagingDir ? 0 : 1);
+  }
+
+  const stateDir = path.resolve(process.env.HIVE_DISK_PATH || process.env.BLADE_STATE_DIR || './.blade/state');
+  const targetDir = path.join(path.resolve(stagingDir), path.basename(stateDir));
+
+  // Everything but the databases and their journals is copied as-is
+  fs.cpSync(stateDir, targetDir, {
+    recursive: true,
+    filter: (source) => !SQLITE_FILE.test(source)
+  });
+
+  const metadata = {
+    version: '1.0',
+    createdAt: new Date().toISOString(),
+    databases: []
+  };
+
+  for (const relativePath of findDatabases(stateDir)) {
+    const target = path.join(targetDir, relativePath);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+
+    log(`📸 Snapshotting ${relativePath}...`, 'blue');
+    const { method, integrity } = await createVerifiedSnapshot(path.join(stateDir, relativePath), target);
+
+    if (integrity.ok === null) {
+      log(`⚠️  ${relativePath}: ${integrity.result[0]}`, 'yellow');
+    } else {
+      log(`✅ ${relativePath}: integrity check passed (${method})`, 'green');
+    }
+
+    metadata.databases.push({
+      path: relativePath,
+      size: fs.statSync(target).size,
+      checksum: hashFile(target),
+      snapshotMethod: method,
+      integrity
+    });
+  }
+
+  fs.writeFileSync(path.join(targetDir, 'backup-metadata.json'), JSON.stringify(metadata, null, 2));
+}
+
+// Run the script
+main().catch(error => {
+  log(`❌ ${error.message}`, 'red');
+  process.exit(1);
+});
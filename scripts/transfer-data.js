@@ -0,0 +1,157 @@
+#!/usr/bin/env bun
+
+/**
+ * Logical Export and Import for Embedded Hive Database
+ * This script exports the records of the models in schema/index.ts to one
+ * NDJSON or CSV file per model, and imports such files into the configured
+ * storage, validated against the schema.
+ *
+ * Runs with Bun, which loads the TypeScript schema directly.
+ */
+
+import path from 'path';
+import { CONFLICT_MODES, DataImportError, EXPORT_FORMATS } from '../lib/data-transfer.js';
+import { getHiveStorageConfig } from '../lib/hive-storage-config.js';
+import { DEFAULT_SCHEMA_PATH, loadModels, selectModels } from '../lib/model-schema.js';
+
+// Colors for output
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function parseArgs(argv) {
+  const options = { command: argv[0], models: [], dryRun: false, onConflict: 'fail', schema: DEFAULT_SCHEMA_PATH };
+
+  for (let index = 1; index < argv.length; index++) {
+    const arg = argv[index];
+    switch (arg) {
+      case '--dir':
+      case '--format':
+      case '--schema':
+        options[arg.slice(2)] = argv[++index];
+        break;
+      case '--model':
+        options.models.push(argv[++index]);
+        break;
+      case '--on-conflict':
+        options.onConflict = argv[++index];
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--help':
+      case 'help':
+        options.help = true;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+async function exportData(manager, models, options) {
+  const dir = options.dir || path.join('exports', new Date().toISOString().replace(/[:.]/g, '-'));
+  log(`📤 Exporting ${models.map((model) => model.name).join(', ')} to ${dir}`, 'blue');
+
+  await manager.exportData(models, {
+    dir,
+    format: options.format,
+    onProgress: ({ model, file, count }) => log(`  ${model}: ${count} records → ${file}`)
+  });
+  log(`\n✅ Export written to ${dir}`, 'green');
+}
+
+async function importData(manager, models, options) {
+  if (!options.dir) {
+    throw new Error('Pass the directory to import with --dir');
+  }
+  log(`📥 Importing ${options.dir} (on conflict: ${options.onConflict}${options.dryRun ? ', dry run' : ''})`, 'blue');
+
+  let result;
+  try {
+    result = await manager.importData(models, {
+      dir: options.dir,
+      format: options.format,
+      onConflict: options.onConflict,
+      dryRun: options.dryRun
+    });
+  } catch (error) {
+    if (!(error instanceof DataImportError)) throw error;
+    log(`\n❌ ${error.message}`, 'red');
+    process.exit(1);
+  }
+
+  for (const model of result.models) {
+    log(`  ${model.model}: ${model.created} created, ${model.updated} updated, ${model.skipped} skipped`);
+    if (model.unknownFields.length > 0) {
+      log(`    ⚠️  Dropped fields the schema does not declare: ${model.unknownFields.join(', ')}`, 'yellow');
+    }
+  }
+  for (const name of result.missing) {
+    log(`  ${name}: no file, skipped`, 'yellow');
+  }
+  log(result.dryRun ? '\n📋 Dry run, nothing was written' : '\n✅ Import completed', result.dryRun ? 'cyan' : 'green');
+}
+
+// CLI interface
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help || !['export', 'import'].includes(options.command)) {
+    console.log(`
+📦 Embedded Hive Database Export and Import
+
+Usage: bun transfer-data.js <export|import> [options]
+
+Commands:
+  export    Write every record to one file per model
+  import    Read such files back, validated against the schema
+
+Options:
+  --dir <path>             Export directory (default: exports/<timestamp>),
+                           or the directory to import
+  --format <format>        ${Object.keys(EXPORT_FORMATS).join(' or ')} (default: ndjson, or as exported)
+  --model <name>           Only this model, repeatable (default: all)
+  --schema <path>          Schema module (default: ${DEFAULT_SCHEMA_PATH})
+  --on-conflict <mode>     Import only, for records matching a stored one by
+                           ID or a unique field: ${CONFLICT_MODES.join(', ')} (default: fail)
+  --dry-run                Import only, validate without writing
+  --help                   Show this help message
+
+Examples:
+  bun run db:export --format csv --dir exports/prod
+  bun run db:import --dir exports/prod --on-conflict upsert
+`);
+    process.exit(options.help ? 0 : 1);
+  }
+
+  if (!CONFLICT_MODES.includes(options.onConflict)) {
+    throw new Error(`--on-conflict must be one of ${CONFLICT_MODES.join(', ')}`);
+  }
+
+  const models = selectModels(await loadModels(options.schema), options.models);
+  const manager = await getHiveStorageConfig();
+
+  if (options.command === 'export') {
+    await exportData(manager, models, options);
+  } else {
+    await importData(manager, models, options);
+  }
+}
+
+// Run the script
+main().catch(error => {
+  log(`💥 Unhandled error: ${error.message}`, 'red');
+  process.exit(1);
+});
@@ -119,13 +119,13 @@ if [ -f "railway.json" ]; then
         log_error "Missing or incorrect build command"
     fi
     
-    if grep -q '"startCommand": "npm run serve"' railway.json; then
+    if grep -q '"startCommand": "npm run start"' railway.json; then
         log_success "Correct start command specified"
     else
         log_error "Missing or incorrect start command"
     fi
     
-    if grep -q '"healthcheckPath": "/"' railway.json; then
+    if grep -q '"healthcheckPath": "/health/ready"' railway.json; then
         log_success "Health check path configured"
     else
         log_warning "Missing health check path"
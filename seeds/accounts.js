@@ -0,0 +1,25 @@
+/**
+ * Account seeds
+ * A known admin and member for local development, stable accounts for tests,
+ * and generated ones to fill each set up to its count.
+ */
+
+export default {
+  model: 'Account',
+  sets: {
+    dev: {
+      count: 10,
+      records: [
+        { id: 'acc_dev_admin', handle: 'admin', email: 'admin@example.com' },
+        { id: 'acc_dev_member', handle: 'member', email: 'member@example.com' }
+      ]
+    },
+    demo: { count: 50 },
+    test: {
+      count: 3,
+      records: [
+        { id: 'acc_test_1', handle: 'test-user', email: 'test-user@example.com' }
+      ]
+    }
+  }
+};
@@ -0,0 +1,161 @@
+import './helpers/setup.js';
+import { afterEach, beforeEach, describe, expect, test } from 'bun:test';
+import { createAlert, createAlertNotifiers, sendAlert } from '../lib/alerts.js';
+import { BackupScheduler, readBackupScheduleState, startBackupScheduler } from '../lib/backup-scheduler.js';
+import { CronParseError, nextCronRun, parseCron } from '../lib/cron.js';
+import { clearStores } from './helpers/memory-storage.js';
+import { createManager, removeTempDirs, stopManagers, testEnv } from './helpers/setup.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+async function createScheduler(options = {}) {
+  const manager = await createManager();
+  const { values } = manager.settings;
+  const alerts = [];
+  const scheduler = new BackupScheduler(manager, {
+    schedule: '0 3 * * *',
+    stateDir: values.HIVE_DISK_PATH,
+    staleAfter: DAY,
+    notifiers: [{ name: 'test', send: async (alert) => alerts.push(alert) }],
+    ...options
+  });
+  return { manager, scheduler, alerts, stateDir: values.HIVE_DISK_PATH };
+}
+
+beforeEach(clearStores);
+afterEach(async () => {
+  await stopManagers();
+  removeTempDirs();
+});
+
+describe('cron expressions', () => {
+  test('finds the next run in UTC', () => {
+    const after = new Date('2025-01-15T10:30:00Z');
+    expect(nextCronRun('*/15 * * * *', after).toISOString()).toBe('2025-01-15T10:45:00.000Z');
+    expect(nextCronRun('0 3 * * *', after).toISOString()).toBe('2025-01-16T03:00:00.000Z');
+    expect(nextCronRun('@monthly', after).toISOString()).toBe('2025-02-01T00:00:00.000Z');
+    // Sunday as 7, and restricted day fields match either one
+    expect(nextCronRun('0 0 * * 7', after).toISOString()).toBe('2025-01-19T00:00:00.000Z');
+    expect(nextCronRun('0 0 20 * 5', after).toISOString()).toBe('2025-01-17T00:00:00.000Z');
+    expect(nextCronRun('0 0 29 2 *', after).toISOString()).toBe('2028-02-29T00:00:00.000Z');
+  });
+
+  test('says what is wrong with an expression', () => {
+    expect(() => parseCron('0 3 * *')).toThrow(CronParseError);
+    expect(() => parseCron('0 24 * * *')).toThrow('outside 0-23 in the hour field');
+    expect(() => parseCron('0 5-2 * * *')).toThrow('runs backwards');
+    expect(() => nextCronRun('0 0 31 2 *')).toThrow('it never fires');
+  });
+});
+
+describe('BackupScheduler', () => {
+  test('backs up, prunes and records the run', async () => {
+    const { manager, scheduler, alerts, stateDir } = await createScheduler();
+    const { storage } = await manager.getConfig();
+    await storage.set('users/1', { id: 1 });
+
+    const run = await scheduler.runOnce();
+    expect(run.status).toBe('succeeded');
+    expect(run.backup).toStartWith('backups/snapshots/');
+    expect(run.pruned).toBe(0);
+    expect(await manager.listBackups()).toHaveLength(1);
+    expect(alerts).toHaveLength(0);
+
+    const state = readBackupScheduleState(stateDir);
+    expect(state).toMatchObject({ schedule: '0 3 * * *', consecutiveFailures: 0, lastRun: { status: 'succeeded' } });
+    expect(state.lastSuccessAt).toBe(run.finishedAt);
+  });
+
+  test('alerts on a failed run and once more when backups recover', async () => {
+    const { manager, scheduler, alerts, stateDir } = await createScheduler();
+    const createBackup = manager.createBackup.bind(manager);
+    manager.createBackup = async () => {
+      throw new Error('bucket is gone');
+    };
+
+    expect((await scheduler.runOnce()).status).toBe('failed');
+    expect((await scheduler.runOnce()).status).toBe('failed');
+    expect(alerts.map((alert) => alert.event)).toEqual(['backup-failed', 'backup-failed']);
+    expect(alerts[1]).toMatchObject({ severity: 'critical', details: { consecutiveFailures: 2, lastSuccessAt: 'never' } });
+    expect(alerts[1].message).toContain('bucket is gone');
+    expect(readBackupScheduleState(stateDir).lastRun.error).toBe('bucket is gone');
+
+    manager.createBackup = createBackup;
+    expect((await scheduler.runOnce()).status).toBe('succeeded');
+    expect(alerts[2]).toMatchObject({ event: 'backup-recovered', severity: 'info' });
+    expect(readBackupScheduleState(stateDir).consecutiveFailures).toBe(0);
+  });
+
+  test('skips a slot another instance already backed up and keeps its state across restarts', async () => {
+    const { manager, scheduler, stateDir } = await createScheduler();
+    const scheduledAt = new Date(Date.now() - 1000);
+    await manager.createBackup();
+
+    const run = await scheduler.runOnce({ scheduledAt });
+    expect(run.status).toBe('skipped');
+    expect(await manager.listBackups()).toHaveLength(1);
+
+    const restarted = new BackupScheduler(manager, { schedule: '@hourly', stateDir });
+    expect(restarted.state).toMatchObject({ schedule: '@hourly', lastRun: { status: 'skipped' } });
+  });
+
+  test('alerts about stale backups once per staleness period', async () => {
+    const { manager, scheduler, alerts } = await createScheduler();
+    expect(await scheduler.checkStaleness()).toBe(true);
+    expect(alerts[0]).toMatchObject({ event: 'backup-stale', severity: 'warning', message: 'There is no backup at all.' });
+
+    expect(await scheduler.checkStaleness()).toBe(true);
+    expect(alerts).toHaveLength(1);
+    expect(await scheduler.checkStaleness(Date.now() + DAY + 1000)).toBe(true);
+    expect(alerts).toHaveLength(2);
+
+    await manager.createBackup();
+    expect(await scheduler.checkStaleness()).toBe(false);
+    expect(await scheduler.checkStaleness(Date.now() + 2 * DAY)).toBe(true);
+    expect(alerts[2].message).toContain('older than 24 hours');
+  });
+
+  test('concurrent starts share one scheduler', async () => {
+    const manager = await createManager(testEnv({ HIVE_BACKUP_SCHEDULE: '0 3 * * *' }));
+
+    const [first, second] = await Promise.all([startBackupScheduler(manager), startBackupScheduler(manager)]);
+    expect(first).toBeInstanceOf(BackupScheduler);
+    expect(second).toBe(first);
+    await first.stop();
+  });
+});
+
+describe('alerts', () => {
+  test('only configured channels notify, and a failing one does not stop the others', async () => {
+    expect(createAlertNotifiers({ HIVE_ALERT_EMAIL_TO: [] })).toEqual([]);
+    // Email goes to ADMIN_EMAIL without HIVE_ALERT_EMAIL_TO
+    const [email] = createAlertNotifiers({ BLADE_RESEND_API_KEY: 're_test', HIVE_ALERT_EMAIL_TO: [], ADMIN_EMAIL: 'ops@example.com' });
+    expect(email.name).toBe('email');
+
+    const requests = [];
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async (url, init) => {
+      requests.push({ url, body: JSON.parse(init.body) });
+      return new Response(null, { status: 204 });
+    };
+    try {
+      const [webhook] = createAlertNotifiers({ HIVE_ALERT_WEBHOOK_URL: 'https://hooks.example.com/hive' });
+      const failing = { name: 'broken', send: async () => { throw new Error('offline'); } };
+      const alert = createAlert({ event: 'backup-failed', subject: 'Scheduled backup failed', message: 'Disk full' });
+
+      const results = await sendAlert([failing, webhook], alert);
+      expect(results).toEqual([
+        { notifier: 'broken', sent: false, error: 'offline' },
+        { notifier: 'webhook', sent: true }
+      ]);
+      expect(requests[0].url).toBe('https://hooks.example.com/hive');
+      expect(requests[0].body).toMatchObject({
+        text: '[critical] Scheduled backup failed: Disk full',
+        event: 'backup-failed',
+        severity: 'critical'
+      });
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+});
@@ -0,0 +1,93 @@
+import './helpers/setup.js';
+import { beforeEach, describe, expect, test } from 'bun:test';
+import {
+  BACKUP_LOCK_KEY,
+  collectGarbageChunks,
+  readSnapshotManifest,
+  restoreSnapshot,
+  snapshotKey,
+  writeSnapshot
+} from '../lib/backup-snapshots.js';
+import { MemoryStorage, clearStores } from './helpers/memory-storage.js';
+
+/**
+ * A storage whose reads of one key wait, once held, until the test opens the
+ * gate again
+ */
+class GatedStorage extends MemoryStorage {
+  constructor(name, key) {
+    super(name);
+    this.key = key;
+    this.gate = null;
+  }
+
+  hold() {
+    this.reached = new Promise((resolve) => { this.onReached = resolve; });
+    this.gate = new Promise((resolve) => { this.open = resolve; });
+  }
+
+  async get(key) {
+    if (key === this.key && this.gate) {
+      this.onReached();
+      await this.gate;
+    }
+    return super.get(key);
+  }
+}
+
+async function seed(storage) {
+  for (let index = 0; index < 3; index++) {
+    await storage.set(`users/${index}`, { id: index });
+  }
+}
+
+beforeEach(clearStores);
+
+describe('backup snapshots', () => {
+  for (const [name, otherStorage] of [
+    ['in the same process', (gated) => gated],
+    ['from another instance', () => new MemoryStorage('data')]
+  ]) {
+    test(`chunks are not collected while a snapshot that reuses them is written ${name}`, async () => {
+      const gated = new GatedStorage('data', 'users/1');
+      const storage = otherStorage(gated);
+      await seed(storage);
+      await writeSnapshot(storage, 'a');
+
+      // Snapshot b reuses every chunk of a and stops halfway
+      gated.hold();
+      const writing = writeSnapshot(gated, 'b');
+      await gated.reached;
+
+      await storage.delete(snapshotKey('a'));
+      const collecting = collectGarbageChunks(storage, { lock: { waitMs: 10000 } });
+      gated.open();
+
+      const manifest = await writing;
+      expect(manifest.stats).toMatchObject({ chunksWritten: 0, chunksReused: 3 });
+      expect(await collecting).toBe(0);
+      expect(await storage.get(BACKUP_LOCK_KEY)).toBeNull();
+
+      for (let index = 0; index < 3; index++) await storage.delete(`users/${index}`);
+      expect(await restoreSnapshot(storage, await readSnapshotManifest(storage, snapshotKey('b')))).toBe(3);
+      expect(await storage.get('users/1')).toEqual({ id: 1 });
+    }, 30000);
+  }
+
+  test('waits for a live lock and takes over an expired one', async () => {
+    const storage = new MemoryStorage('data');
+    await seed(storage);
+
+    const expiresAt = new Date(Date.now() + 60000).toISOString();
+    await storage.set(BACKUP_LOCK_KEY, JSON.stringify({ owner: 'other-host:1', expiresAt }));
+    await expect(writeSnapshot(storage, 'held', { lock: { waitMs: 0 } }))
+      .rejects.toThrow(`Backup lock is held by other-host:1 until ${expiresAt}`);
+    await expect(collectGarbageChunks(storage, { lock: { waitMs: 0 } })).rejects.toThrow('Backup lock is held');
+
+    // Its holder crashed
+    const expired = new Date(Date.now() - 1000).toISOString();
+    await storage.set(BACKUP_LOCK_KEY, JSON.stringify({ owner: 'other-host:1', expiresAt: expired }));
+    expect((await writeSnapshot(storage, 'taken-over', { lock: { waitMs: 0 } })).keyCount).toBe(3);
+    expect(await storage.get(BACKUP_LOCK_KEY)).toBeNull();
+  });
+});
@@ -0,0 +1,123 @@
+import './helpers/setup.js';
+import { afterEach, beforeEach, describe, expect, setSystemTime, test } from 'bun:test';
+import { ChangeLogStorage, readChangeLog, truncateChangeLog } from '../lib/change-log.js';
+import { CHANGE_LOG_PREFIX } from '../lib/storage-keys.js';
+import { MemoryStorage, clearStores } from './helpers/memory-storage.js';
+import { createManager, removeTempDirs, stopManagers, testEnv } from './helpers/setup.js';
+
+async function readAll(storage, options) {
+  const entries = [];
+  for await (const entry of readChangeLog(storage, options)) entries.push(entry);
+  return entries;
+}
+
+beforeEach(clearStores);
+
+afterEach(async () => {
+  await stopManagers();
+  setSystemTime();
+  removeTempDirs();
+});
+
+describe('change log', () => {
+  test('logs application writes in order and replays them from a position or up to a time', async () => {
+    const storage = new MemoryStorage('data');
+    const logged = new ChangeLogStorage(storage);
+
+    setSystemTime(new Date('2026-03-01T10:00:00Z'));
+    await logged.set('users/1', { name: 'Ada' });
+    setSystemTime(new Date('2026-03-01T11:00:00Z'));
+    await logged.set('users/2', { name: 'Grace' });
+    await logged.set('backups/snapshots/manual', '{}');
+    setSystemTime(new Date('2026-03-01T12:00:00Z'));
+    await logged.delete('users/1');
+
+    const entries = await readAll(storage);
+    expect(entries.map(({ seq, op, key }) => [seq, op, key])).toEqual([
+      [1, 'set', 'users/1'],
+      [2, 'set', 'users/2'],
+      [3, 'delete', 'users/1']
+    ]);
+    expect(entries[0].value).toEqual({ name: 'Ada' });
+    expect(await logged.getHeadSeq()).toBe(3);
+
+    expect((await readAll(storage, { afterSeq: 1 })).map((entry) => entry.seq)).toEqual([2, 3]);
+    expect((await readAll(storage, { until: '2026-03-01T11:30:00Z' })).map((entry) => entry.seq)).toEqual([1, 2]);
+
+    // A new wrapper continues the chain where the stored log ends
+    await new ChangeLogStorage(storage).set('users/3', { name: 'Linus' });
+    expect((await readAll(storage)).map((entry) => entry.seq)).toEqual([1, 2, 3, 4]);
+  });
+
+  test('a changed or missing entry breaks verification', async () => {
+    const storage = new MemoryStorage('data');
+    const logged = new ChangeLogStorage(storage);
+    for (const name of ['Ada', 'Grace', 'Linus']) {
+      await logged.set('user', { name });
+    }
+
+    const key = `${CHANGE_LOG_PREFIX}entries/${'2'.padStart(16, '0')}`;
+    const entry = JSON.parse(await storage.get(key));
+    await storage.set(key, JSON.stringify({ ...entry, value: { name: 'Mallory' } }));
+    await expect(readAll(storage)).rejects.toThrow('Change log entry 2 failed checksum verification');
+
+    await storage.delete(key);
+    await expect(readAll(storage)).rejects.toThrow('Change log is broken before entry 3');
+  });
+
+  test('truncation drops the entries up to a position', async () => {
+    const storage = new MemoryStorage('data');
+    const logged = new ChangeLogStorage(storage);
+    for (let index = 0; index < 4; index++) {
+      await logged.set(`users/${index}`, { id: index });
+    }
+
+    expect(await truncateChangeLog(storage, 2)).toBe(2);
+    expect((await readAll(storage)).map((entry) => entry.seq)).toEqual([3, 4]);
+  });
+});
+
+describe('point-in-time recovery', () => {
+  test('restores the newest snapshot before the target and replays the log up to it', async () => {
+    const manager = await createManager(testEnv({ HIVE_CHANGE_LOG: 'true' }));
+    const { storage } = await manager.getConfig();
+
+    setSystemTime(new Date('2026-03-01T10:00:00Z'));
+    await storage.set('users/1', { name: 'Ada' });
+    await storage.set('users/2', { name: 'Grace' });
+    await manager.createBackup('morning');
+
+    setSystemTime(new Date('2026-03-01T11:00:00Z'));
+    await storage.set('users/1', { name: 'Ada Lovelace' });
+    await storage.delete('users/2');
+
+    setSystemTime(new Date('2026-03-01T12:00:00Z'));
+    await storage.set('users/3', { name: 'Linus' });
+    await storage.set('users/1', { name: 'Mistake' });
+
+    setSystemTime(new Date('2026-03-01T13:00:00Z'));
+    const result = await manager.restoreToPointInTime('2026-03-01T11:30:00Z');
+
+    expect(result).toMatchObject({ snapshot: 'backups/snapshots/morning', replayed: 2 });
+    expect(await storage.get('users/1')).toEqual({ name: 'Ada Lovelace' });
+    expect(await storage.get('users/2')).toBeNull();
+    expect(await storage.get('users/3')).toBeNull();
+
+    // The restore is logged as well, so it can be undone the same way
+    await manager.restoreToPointInTime('2026-03-01T12:30:00Z');
+    expect(await storage.get('users/1')).toEqual({ name: 'Mistake' });
+    expect(await storage.get('users/3')).toEqual({ name: 'Linus' });
+  });
+
+  test('needs the change log and a snapshot before the target', async () => {
+    const withoutLog = await createManager(testEnv());
+    await expect(withoutLog.restoreToPointInTime('2026-03-01T11:00:00Z')).rejects.toThrow('requires HIVE_CHANGE_LOG=true');
+
+    const manager = await createManager(testEnv({ HIVE_CHANGE_LOG: 'true' }));
+    setSystemTime(new Date('2026-03-01T10:00:00Z'));
+    await manager.createBackup('morning');
+
+    await expect(manager.restoreToPointInTime('not a date')).rejects.toThrow('Invalid point in time');
+    await expect(manager.restoreToPointInTime('2026-03-01T09:00:00Z')).rejects.toThrow('No snapshot with a change log position');
+  });
+});
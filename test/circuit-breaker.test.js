@@ -0,0 +1,61 @@
+import './helpers/setup.js';
+import { afterEach, describe, expect, setSystemTime, test } from 'bun:test';
+import { CircuitBreaker, CircuitOpenError } from '../lib/circuit-breaker.js';
+
+/**
+ * An operation that settles when the test says so
+ */
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((...handlers) => { [resolve, reject] = handlers; });
+  return { operation: () => promise, resolve, reject };
+}
+
+const fail = () => Promise.reject(new Error('backend down'));
+
+afterEach(() => setSystemTime());
+
+describe('circuit breaker', () => {
+  test('opens after repeated failures and closes after a successful trial', async () => {
+    setSystemTime(new Date('2026-03-01T10:00:00Z'));
+    const breaker = new CircuitBreaker('disk', { failureThreshold: 2, resetTimeout: 1000 });
+
+    await expect(breaker.execute(fail)).rejects.toThrow('backend down');
+    await expect(breaker.execute(fail)).rejects.toThrow('backend down');
+    expect(breaker.getState()).toMatchObject({ state: 'open', failures: 2, lastError: 'backend down' });
+    await expect(breaker.execute(async () => 'skipped')).rejects.toBeInstanceOf(CircuitOpenError);
+
+    setSystemTime(new Date('2026-03-01T10:00:01Z'));
+    expect(breaker.available).toBe(true);
+    expect(await breaker.execute(async () => 'ok')).toBe('ok');
+    expect(breaker.getState()).toMatchObject({ state: 'closed', failures: 0 });
+  });
+
+  test('a call from before the circuit opened does not end the trial', async () => {
+    setSystemTime(new Date('2026-03-01T10:00:00Z'));
+    const breaker = new CircuitBreaker('disk', { failureThreshold: 1, resetTimeout: 1000 });
+
+    // Started while closed, still running when the circuit opens
+    const slow = deferred();
+    const slowCall = breaker.execute(slow.operation);
+    await expect(breaker.execute(fail)).rejects.toThrow('backend down');
+    expect(breaker.state).toBe('open');
+
+    setSystemTime(new Date('2026-03-01T10:00:01Z'));
+    const trial = deferred();
+    const trialCall = breaker.execute(trial.operation);
+    expect(breaker.state).toBe('half-open');
+
+    // Its success neither closes the circuit nor lets a second trial through
+    slow.resolve('late');
+    expect(await slowCall).toBe('late');
+    expect(breaker.state).toBe('half-open');
+    await expect(breaker.execute(async () => 'second trial')).rejects.toBeInstanceOf(CircuitOpenError);
+
+    // The trial decides
+    trial.reject(new Error('still down'));
+    await expect(trialCall).rejects.toThrow('still down');
+    expect(breaker.getState()).toMatchObject({ state: 'open', lastError: 'still down' });
+  });
+});
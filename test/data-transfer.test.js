@@ -0,0 +1,155 @@
+import './helpers/setup.js';
+import fs from 'fs';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, test } from 'bun:test';
+import { model, number, string, json } from 'blade/schema';
+import { DataImportError } from '../lib/data-transfer.js';
+import { ModelRecords } from '../lib/model-records.js';
+import { loadModels, normalizeModel, validateRecord } from '../lib/model-schema.js';
+import { clearStores } from './helpers/memory-storage.js';
+import { createManager, makeTempDir, removeTempDirs, stopManagers, testEnv } from './helpers/setup.js';
+
+const Account = normalizeModel('Account', model({
+  slug: 'account',
+  fields: {
+    handle: string({ unique: true, required: true }),
+    email: string({ unique: true }),
+    credits: number({ defaultValue: 0 }),
+    settings: json()
+  }
+}));
+
+async function seedAccounts(manager, accounts) {
+  const { storage } = await manager.getConfig();
+  const records = new ModelRecords(storage, Account);
+  for (const account of accounts) await records.put(account);
+  return records;
+}
+
+async function failure(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    expect(error).toBeInstanceOf(DataImportError);
+    return error;
+  }
+  throw new Error('Expected the import to fail');
+}
+
+const ada = { id: 'acc_1', handle: 'ada', email: 'ada@example.com', credits: 3, settings: { theme: 'dark, "high contrast"' } };
+const grace = { id: 'acc_2', handle: 'grace', email: null, credits: 0, settings: null };
+
+beforeEach(clearStores);
+afterEach(async () => {
+  await stopManagers();
+  removeTempDirs();
+});
+
+describe('model schema', () => {
+  test('loads the models of schema/index.ts', async () => {
+    const [account] = await loadModels();
+    expect(account).toMatchObject({ name: 'Account', slug: 'account', pluralSlug: 'accounts', idPrefix: 'acc' });
+    expect(account.fields.map((field) => [field.slug, field.type, field.unique])).toEqual([
+      ['handle', 'string', true],
+      ['email', 'string', true]
+    ]);
+  });
+
+  test('converts CSV values, applies defaults and reports invalid records', () => {
+    const { record, errors, unknown } = validateRecord(Account, { handle: 'ada', credits: '7', settings: '{"a":1}', legacy: 'x' });
+    expect(errors).toEqual([]);
+    expect(record).toMatchObject({ handle: 'ada', credits: 7, settings: { a: 1 }, email: null });
+    expect(record.id).toStartWith('acc_');
+    expect(unknown).toEqual(['legacy']);
+
+    expect(validateRecord(Account, { id: 'acc_1', credits: 'lots' }).errors).toEqual([
+      'handle is required',
+      'credits: expected a number, got "lots"'
+    ]);
+  });
+});
+
+describe('export and import', () => {
+  for (const format of ['ndjson', 'csv']) {
+    test(`round-trips records through ${format}`, async () => {
+      const source = await createManager(testEnv({ HIVE_DISK_PATH: '/data/source' }));
+      await seedAccounts(source, [ada, grace]);
+      const dir = makeTempDir();
+
+      const manifest = await source.exportData([Account], { dir, format });
+      expect(manifest.models.Account).toMatchObject({ file: `accounts.${format}`, count: 2 });
+
+      const target = await createManager(testEnv({ HIVE_DISK_PATH: '/data/target' }));
+      const result = await target.importData([Account], { dir });
+      expect(result.models[0]).toMatchObject({ created: 2, updated: 0, skipped: 0 });
+
+      const { storage } = await target.getConfig();
+      const imported = new ModelRecords(storage, Account);
+      expect(await imported.get('acc_1')).toEqual(ada);
+      expect(await imported.get('acc_2')).toEqual(grace);
+    });
+  }
+
+  test('writes nothing when a record is invalid', async () => {
+    const manager = await createManager();
+    const dir = makeTempDir();
+    fs.writeFileSync(path.join(dir, 'accounts.ndjson'), [
+      JSON.stringify({ id: 'acc_1', handle: 'ada' }),
+      'not json',
+      JSON.stringify({ id: 'acc_3', handle: 'linus', credits: 'many' })
+    ].join('\n'));
+
+    const error = await failure(manager.importData([Account], { dir }));
+    expect(error.errorCount).toBe(2);
+    expect(error.errors.map((entry) => entry.line)).toEqual([2, 3]);
+    expect(error.message).toContain('credits: expected a number');
+
+    const { storage } = await manager.getConfig();
+    expect(await new ModelRecords(storage, Account).count()).toBe(0);
+  });
+
+  test('handles conflicts on unique fields with fail, skip and upsert', async () => {
+    const manager = await createManager();
+    const records = await seedAccounts(manager, [ada, grace]);
+    const dir = makeTempDir();
+    fs.writeFileSync(path.join(dir, 'accounts.ndjson'), [
+      // Same email as acc_1 under another ID
+      JSON.stringify({ id: 'acc_9', handle: 'ada-lovelace', email: 'ada@example.com', credits: 10 }),
+      JSON.stringify({ id: 'acc_3', handle: 'linus' })
+    ].join('\n'));
+
+    const error = await failure(manager.importData([Account], { dir }));
+    expect(error.errors[0].message).toBe('conflicts with record acc_1 (email)');
+
+    const skipped = await manager.importData([Account], { dir, onConflict: 'skip' });
+    expect(skipped.models[0]).toMatchObject({ created: 1, skipped: 1 });
+    expect((await records.get('acc_1')).handle).toBe('ada');
+
+    const upserted = await manager.importData([Account], { dir, onConflict: 'upsert' });
+    expect(upserted.models[0]).toMatchObject({ created: 0, updated: 2 });
+    expect(await records.get('acc_1')).toMatchObject({ id: 'acc_1', handle: 'ada-lovelace', credits: 10 });
+    expect(await records.get('acc_9')).toBeNull();
+  });
+
+  test('rejects duplicates within the import and records matching two stored ones', async () => {
+    const manager = await createManager();
+    await seedAccounts(manager, [ada, grace]);
+    const dir = makeTempDir();
+    fs.writeFileSync(path.join(dir, 'accounts.csv'), [
+      'id,handle,email',
+      'acc_5,"new",new@example.com',
+      'acc_6,new,other@example.com',
+      'acc_7,grace,ada@example.com'
+    ].join('\n'));
+
+    const error = await failure(manager.importData([Account], { dir, format: 'csv', onConflict: 'upsert', dryRun: true }));
+    expect(error.errors.map((entry) => [entry.line, entry.message])).toEqual([
+      [4, 'conflicts with the records acc_2 (handle) and acc_1 (email)']
+    ]);
+
+    // Upsert merges acc_6 into acc_5, which the same file created
+    fs.writeFileSync(path.join(dir, 'accounts.csv'), 'id,handle,email\nacc_5,new,\nacc_6,new,new@example.com\n');
+    const result = await manager.importData([Account], { dir, format: 'csv', onConflict: 'upsert', dryRun: true });
+    expect(result).toMatchObject({ dryRun: true, models: [{ created: 1, updated: 1 }] });
+  });
+});
@@ -0,0 +1,344 @@
+import './helpers/setup.js';
+import fs from 'fs';
+import path from 'path';
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, setSystemTime, test } from 'bun:test';
+import { DatabaseSyncer, SyncWatcher, getSyncConfig, planSync } from '../lib/database-sync.js';
+import { readBootstrapResult } from '../lib/health.js';
+import { buckets, createBucket, failNext, pendingUploads, resetFakeS3, sent } from './helpers/fake-s3.js';
+import { startFakeRemoteServer } from './helpers/fake-remote-server.js';
+import { ENCRYPTION_KEY, countRows, createDatabase, makeTempDir, removeTempDirs } from './helpers/setup.js';
+
+const ROOT = path.resolve(import.meta.dir, '..');
+
+/**
+ * A syncer for its own state directory, syncing with the fake S3 in parts
+ * small enough that a test database needs several of them
+ */
+async function createSyncer(stateDir = makeTempDir(), env = {}) {
+  const config = getSyncConfig({
+    HIVE_DISK_PATH: stateDir,
+    HIVE_SYNC_TARGET: 's3',
+    HIVE_S3_BUCKET: 'app-data',
+    HIVE_ENCRYPTION_KEY: ENCRYPTION_KEY,
+    BACKUP_DIR: path.join(stateDir, 'backups'),
+    ...env
+  });
+  config.transfer.partSize = 16 * 1024;
+
+  const syncer = new DatabaseSyncer(config);
+  expect(await syncer.initialize({ requireLocalDatabase: false })).toBe(true);
+  return syncer;
+}
+
+describe('planSync', () => {
+  test('picks the direction from the last synced state', () => {
+    const remote = { revision: 2, checksum: 'b' };
+
+    expect(planSync('a', null, null)).toBe('upload');
+    expect(planSync('b', remote, null)).toBe('in-sync');
+    expect(planSync('a', remote, null)).toBe('unknown');
+    expect(planSync('a', remote, { revision: 2, checksum: 'c' })).toBe('upload');
+    expect(planSync('c', remote, { revision: 1, checksum: 'c' })).toBe('download');
+    expect(planSync('a', remote, { revision: 1, checksum: 'c' })).toBe('conflict');
+  });
+});
+
+describe('DatabaseSyncer with S3', () => {
+  beforeEach(() => {
+    resetFakeS3();
+    createBucket('app-data');
+  });
+
+  afterEach(removeTempDirs);
+
+  test('uploads in encrypted parts and restores on another instance', async () => {
+    const uploader = await createSyncer();
+    createDatabase(uploader.config.localPath, 200);
+    expect(await uploader.withLock(() => uploader.uploadDatabase())).toBe(true);
+
+    const stored = buckets.get('app-data').get('databases/main/sync/db.sqlite');
+    expect(stored.metadata.encrypted).toBe('true');
+    expect(stored.body.subarray(0, 16).toString('latin1')).not.toContain('SQLite');
+    expect(sent.filter((name) => name === 'UploadPart').length).toBeGreaterThan(1);
+
+    const downloader = await createSyncer();
+    expect(await downloader.withLock(() => downloader.downloadDatabase())).toBe('restored');
+    expect(countRows(downloader.dbPath)).toBe(200);
+    expect(downloader.readSyncState().revision).toBe(1);
+    expect(buckets.get('app-data').has('databases/main/sync/sync.lock')).toBe(false);
+  });
+
+  test('retries failed parts and aborts uploads that keep failing', async () => {
+    const syncer = await createSyncer();
+    createDatabase(syncer.config.localPath, 100);
+
+    failNext('UploadPart', { status: 503 });
+    expect(await syncer.uploadDatabase()).toBe(true);
+
+    createDatabase(syncer.config.localPath, 10);
+    failNext('UploadPart', { status: 503, count: 100 });
+    expect(await syncer.uploadDatabase()).toBe(false);
+    expect(pendingUploads()).toBe(0);
+    expect((await syncer.getRemoteMetadata()).revision).toBe(1);
+  }, 20000);
+
+  test('refuses to overwrite a copy another instance uploaded', async () => {
+    const first = await createSyncer();
+    createDatabase(first.config.localPath, 50);
+    expect(await first.uploadDatabase()).toBe(true);
+
+    const second = await createSyncer();
+    createDatabase(second.config.localPath, 10);
+    expect(await second.uploadDatabase()).toBe(false);
+    expect(await second.uploadDatabase({ force: true })).toBe(true);
+
+    // The first instance is now behind and must download before uploading
+    createDatabase(first.config.localPath, 5);
+    expect(await first.uploadDatabase()).toBe(false);
+    expect(await first.downloadDatabase()).toBe('restored');
+    expect(countRows(first.dbPath)).toBe(10);
+    expect(fs.readdirSync(first.config.backupDir)).toHaveLength(1);
+  });
+
+  test('only one instance holds the sync lock', async () => {
+    const first = await createSyncer();
+    const second = await createSyncer();
+
+    expect((await first.acquireLock()).acquired).toBe(true);
+    const blocked = await second.acquireLock();
+    expect(blocked).toMatchObject({ acquired: false, holder: { owner: first.lockOwner } });
+
+    await first.releaseLock();
+    expect((await second.acquireLock()).acquired).toBe(true);
+  });
+
+  test('takes over an expired lock', async () => {
+    const crashed = await createSyncer(undefined, { HIVE_SYNC_LOCK_TTL: '1' });
+    expect((await crashed.acquireLock()).acquired).toBe(true);
+    await Bun.sleep(5);
+
+    const next = await createSyncer();
+    expect((await next.acquireLock()).acquired).toBe(true);
+  });
+
+  test('reports a missing remote copy', async () => {
+    const syncer = await createSyncer();
+    expect(await syncer.downloadDatabase()).toBe('not-found');
+  });
+});
+
+describe('SyncWatcher', () => {
+  beforeEach(() => {
+    resetFakeS3();
+    createBucket('app-data');
+  });
+
+  afterEach(() => {
+    setSystemTime();
+    removeTempDirs();
+  });
+
+  test('uploads after enough write bursts, and only when the content changed', async () => {
+    const syncer = await createSyncer();
+    createDatabase(syncer.config.localPath, 50);
+    const watcher = new SyncWatcher(syncer, { interval: 60000, writeThreshold: 3 });
+
+    // File events less than 250 ms apart belong to the same burst
+    const start = Date.parse('2026-03-01T10:00:00Z');
+    for (const offset of [0, 100, 200, 1000]) {
+      setSystemTime(new Date(start + offset));
+      watcher.onWrite();
+    }
+    expect(watcher.writes).toBe(2);
+    expect(watcher.running).toBeNull();
+
+    setSystemTime(new Date(start + 2000));
+    watcher.onWrite();
+    setSystemTime();
+    expect(watcher.running).not.toBeNull();
+    await watcher.running;
+    expect(syncer.readSyncState().revision).toBe(1);
+    expect(watcher.writes).toBe(0);
+
+    // An unchanged database needs no remote request at all
+    const requests = sent.length;
+    await watcher.trigger('interval');
+    expect(sent.length).toBe(requests);
+
+    // Stopping flushes what changed since the last upload
+    createDatabase(syncer.config.localPath, 10);
+    await watcher.stop();
+    expect(syncer.readSyncState().revision).toBe(2);
+
+    const downloader = await createSyncer();
+    expect(await downloader.withLock(() => downloader.downloadDatabase())).toBe('restored');
+    expect(countRows(downloader.dbPath)).toBe(60);
+  });
+});
+
+/**
+ * Start a script against a fake remote server. The server runs in this
+ * process, so the script must not block it. Bun loads .env from the working
+ * directory, so run somewhere empty.
+ */
+function spawnScript(server, script, stateDir, args = [], env = {}) {
+  return Bun.spawn([process.execPath, path.join(ROOT, 'scripts', script), ...args], {
+    cwd: makeTempDir(),
+    stdout: 'pipe',
+    stderr: 'pipe',
+    timeout: 30000,
+    env: {
+      PATH: process.env.PATH,
+      HIVE_DISK_PATH: stateDir,
+      HIVE_SYNC_TARGET: 'remote',
+      REMOTE_STORAGE_ENDPOINT: server.endpoint,
+      REMOTE_STORAGE_API_KEY: server.apiKey,
+      HIVE_ENCRYPTION_KEY: ENCRYPTION_KEY,
+      ...env
+    }
+  });
+}
+
+async function finish(proc) {
+  const [stdout, stderr, status] = await Promise.all([
+    new Response(proc.stdout).text(),
+    new Response(proc.stderr).text(),
+    proc.exited
+  ]);
+  return { status, output: stdout + stderr };
+}
+
+function runScript(server, script, stateDir, args = [], env = {}) {
+  return finish(spawnScript(server, script, stateDir, args, env));
+}
+
+describe('sync CLI with remote storage', () => {
+  let server;
+
+  beforeAll(async () => {
+    server = await startFakeRemoteServer();
+  });
+
+  afterAll(async () => {
+    await server.close();
+    removeTempDirs();
+  });
+
+  async function runSync(stateDir, ...args) {
+    return runScript(server, 'sync-remote-storage.js', stateDir, args);
+  }
+
+  test('upload, status and download', async () => {
+    const source = makeTempDir();
+    createDatabase(source, 150);
+
+    const upload = await runSync(source, 'upload');
+    expect(upload.status).toBe(0);
+    expect(upload.output).toContain('uploaded successfully as revision 1');
+    expect(server.requests.some((request) => request.method === 'PUT')).toBe(true);
+
+    expect((await runSync(source, 'status')).output).toContain('Databases are in sync');
+
+    const target = makeTempDir();
+    const download = await runSync(target, 'download');
+    expect(download.status).toBe(0);
+    expect(countRows(path.join(target, 'databases/main/db.sqlite'))).toBe(150);
+  }, 60000);
+
+  test('fails on a server error and on an unknown command', async () => {
+    const source = makeTempDir();
+    createDatabase(source, 10);
+
+    server.failNext('PUT', { status: 401, count: 5 });
+    expect((await runSync(source, 'upload')).status).toBe(1);
+
+    const unknown = await runSync(source, 'frobnicate');
+    expect(unknown.status).toBe(1);
+    expect(unknown.output).toContain('Unknown command: frobnicate');
+  }, 60000);
+});
+
+describe('watch and bootstrap with remote storage', () => {
+  let server;
+
+  beforeEach(async () => {
+    server = await startFakeRemoteServer();
+  });
+
+  afterEach(async () => {
+    await server.close();
+    removeTempDirs();
+  });
+
+  function bootstrap(stateDir, env = {}) {
+    return runScript(server, 'bootstrap-storage.js', stateDir, [], { HIVE_BOOTSTRAP_LOCK_WAIT: '5000', ...env });
+  }
+
+  test('restores a missing database and leaves a present one alone', async () => {
+    const source = makeTempDir();
+    createDatabase(source, 120);
+    expect((await runScript(server, 'sync-remote-storage.js', source, ['upload'])).status).toBe(0);
+
+    const target = makeTempDir();
+    const restore = await bootstrap(target);
+    expect(restore.status).toBe(0);
+    expect(restore.output).toContain('Database restored from remote storage');
+    expect(countRows(path.join(target, 'databases/main/db.sqlite'))).toBe(120);
+    expect(readBootstrapResult(target).outcome).toBe('restored');
+
+    const again = await bootstrap(target);
+    expect(again.status).toBe(0);
+    expect(again.output).toContain('Local database present');
+    expect(readBootstrapResult(target).outcome).toBe('present');
+  }, 60000);
+
+  test('starts empty when there is no remote copy yet, or when disabled', async () => {
+    const fresh = makeTempDir();
+    const result = await bootstrap(fresh);
+    expect(result.status).toBe(0);
+    expect(result.output).toContain('No remote copy yet');
+    expect(readBootstrapResult(fresh).outcome).toBe('not-found');
+
+    const requests = server.requests.length;
+    const disabled = makeTempDir();
+    expect((await bootstrap(disabled, { HIVE_BOOTSTRAP: 'false' })).status).toBe(0);
+    expect(readBootstrapResult(disabled).outcome).toBe('disabled');
+    expect(server.requests).toHaveLength(requests);
+  }, 60000);
+
+  test('refuses to start on a blank database when the restore fails', async () => {
+    const source = makeTempDir();
+    createDatabase(source, 20);
+    expect((await runScript(server, 'sync-remote-storage.js', source, ['upload'])).status).toBe(0);
+
+    server.failNext('GET', { status: 500, count: 100 });
+    const target = makeTempDir();
+    const result = await bootstrap(target);
+    expect(result.status).toBe(1);
+    expect(readBootstrapResult(target)).toMatchObject({ outcome: 'failed' });
+    expect(fs.existsSync(path.join(target, 'databases/main/db.sqlite'))).toBe(false);
+  }, 60000);
+
+  test('watch flushes a last upload on SIGTERM', async () => {
+    const source = makeTempDir();
+    createDatabase(source, 40);
+    const proc = spawnScript(server, 'sync-remote-storage.js', source, ['watch'], { HIVE_SYNC_INTERVAL: '600000', HIVE_SYNC_WRITES: '1000' });
+
+    // Neither the interval nor the write threshold fires before the signal
+    let output = '';
+    let signaled = false;
+    for await (const chunk of proc.stdout) {
+      output += new TextDecoder().decode(chunk);
+      if (!signaled && output.includes('Watching the database for changes')) {
+        proc.kill('SIGTERM');
+        signaled = true;
+      }
+    }
+    expect(await proc.exited).toBe(0);
+    expect(output).toContain('Flushing final upload before exit');
+
+    const target = makeTempDir();
+    expect((await runScript(server, 'sync-remote-storage.js', target, ['download'])).status).toBe(0);
+    expect(countRows(path.join(target, 'databases/main/db.sqlite'))).toBe(40);
+  }, 60000);
+});
@@ -0,0 +1,83 @@
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import crypto from 'crypto';
+import { describe, expect, test } from 'bun:test';
+import {
+  Keyring,
+  createDecryptStream,
+  createEncryptStream,
+  decrypt,
+  encrypt,
+  getKeyId,
+  openValue,
+  parseEnvelope,
+  sealValue
+} from '../lib/envelope-encryption.js';
+import { ENCRYPTION_KEY, RETIRED_KEY } from './helpers/setup.js';
+
+async function collect(source, ...transforms) {
+  const chunks = [];
+  await pipeline(source, ...transforms, async function* (stream) {
+    for await (const chunk of stream) chunks.push(chunk);
+  });
+  return Buffer.concat(chunks);
+}
+
+describe('envelopes', () => {
+  test('round trip with a random IV every time', () => {
+    const first = encrypt('secret value', ENCRYPTION_KEY);
+    const second = encrypt('secret value', ENCRYPTION_KEY);
+
+    expect(first.data).not.toBe(second.data);
+    expect(first.kid).toBe(getKeyId(ENCRYPTION_KEY));
+    expect(decrypt(first, ENCRYPTION_KEY).toString('utf8')).toBe('secret value');
+  });
+
+  test('fails with the wrong key or tampered data', () => {
+    const envelope = encrypt('secret value', ENCRYPTION_KEY);
+
+    expect(() => decrypt(envelope, RETIRED_KEY)).toThrow(`Data is encrypted with key ${envelope.kid}`);
+
+    const data = Buffer.from(envelope.data, 'base64');
+    data[0] ^= 1;
+    expect(() => decrypt({ ...envelope, data: data.toString('base64') }, ENCRYPTION_KEY)).toThrow();
+  });
+
+  test('keyrings read retired keys and write with the current one', () => {
+    const old = encrypt('written before rotation', RETIRED_KEY);
+    const keyring = new Keyring(ENCRYPTION_KEY, [RETIRED_KEY]);
+
+    expect(decrypt(old, keyring).toString('utf8')).toBe('written before rotation');
+    expect(encrypt('new', keyring).kid).toBe(getKeyId(ENCRYPTION_KEY));
+  });
+
+  test('stored values keep their type', () => {
+    for (const value of ['text', { nested: [1, 2, 3] }, 42, null]) {
+      const envelope = parseEnvelope(sealValue(value, ENCRYPTION_KEY));
+      expect(openValue(envelope, ENCRYPTION_KEY)).toEqual(value);
+    }
+    expect(parseEnvelope('{"not":"an envelope"}')).toBeNull();
+  });
+});
+
+describe('streams', () => {
+  const plaintext = crypto.randomBytes(10_000);
+
+  test('round trip across many frames', async () => {
+    const encrypted = await collect(Readable.from([plaintext]), createEncryptStream(ENCRYPTION_KEY, { frameSize: 1024 }));
+    const decrypted = await collect(Readable.from([encrypted]), createDecryptStream(new Keyring(ENCRYPTION_KEY)));
+
+    expect(decrypted.equals(plaintext)).toBe(true);
+  });
+
+  test('rejects tampered and truncated streams', async () => {
+    const encrypted = await collect(Readable.from([plaintext]), createEncryptStream(ENCRYPTION_KEY, { frameSize: 1024 }));
+
+    const tampered = Buffer.from(encrypted);
+    tampered[tampered.length - 100] ^= 1;
+    await expect(collect(Readable.from([tampered]), createDecryptStream(ENCRYPTION_KEY))).rejects.toThrow('failed authentication');
+
+    const truncated = encrypted.subarray(0, encrypted.length - 2000);
+    await expect(collect(Readable.from([truncated]), createDecryptStream(ENCRYPTION_KEY))).rejects.toThrow('truncated');
+  });
+});
@@ -0,0 +1,102 @@
+import './helpers/setup.js';
+import { afterEach, beforeEach, describe, expect, test } from 'bun:test';
+import { checkLiveness, checkReadiness, readBootstrapResult, writeBootstrapResult } from '../lib/health.js';
+import { clearStores, dumpStore, setStoreFailing } from './helpers/memory-storage.js';
+import { createBucket, resetFakeS3 } from './helpers/fake-s3.js';
+import { createManager, removeTempDirs, stopManagers, testEnv } from './helpers/setup.js';
+
+const REPLICA = 's3:app-data/databases/main';
+
+beforeEach(() => {
+  clearStores();
+  resetFakeS3();
+  createBucket('app-data');
+});
+
+afterEach(async () => {
+  await stopManagers();
+  removeTempDirs();
+});
+
+describe('health checks', () => {
+  test('liveness checks nothing but the process', () => {
+    expect(checkLiveness()).toMatchObject({ status: 'ok' });
+  });
+
+  test('ready when the storage works and the bootstrap restored the database', async () => {
+    const env = testEnv();
+    writeBootstrapResult(env.HIVE_DISK_PATH, 'restored');
+    const report = await checkReadiness(await createManager(env), { maxAge: 0 });
+
+    expect(report.status).toBe('ready');
+    expect(report.checks.storage).toMatchObject({ status: 'up', type: 'disk' });
+    expect(report.checks.bootstrap).toMatchObject({ status: 'up', outcome: 'restored' });
+  });
+
+  test('unavailable when the storage fails or the bootstrap restore failed', async () => {
+    const env = testEnv();
+    const manager = await createManager(env);
+
+    writeBootstrapResult(env.HIVE_DISK_PATH, 'failed', 'Restore failed');
+    expect(readBootstrapResult(env.HIVE_DISK_PATH)).toMatchObject({ outcome: 'failed', error: 'Restore failed' });
+    let report = await checkReadiness(manager, { maxAge: 0 });
+    expect(report.status).toBe('unavailable');
+    expect(report.checks.bootstrap.status).toBe('down');
+
+    writeBootstrapResult(env.HIVE_DISK_PATH, 'present');
+    setStoreFailing(`disk:${env.HIVE_DISK_PATH}`);
+    report = await checkReadiness(manager, { maxAge: 0 });
+    expect(report.status).toBe('unavailable');
+    expect(report.checks.storage.status).toBe('down');
+  });
+
+  test('degraded while a replica is down', async () => {
+    const manager = await createManager(testEnv({
+      HIVE_STORAGE_TYPE: 'replication',
+      HIVE_REPLICAS: 's3',
+      HIVE_S3_BUCKET: 'app-data',
+      HIVE_S3_PREFIX: 'databases/main'
+    }));
+    await manager.getConfig();
+
+    setStoreFailing(REPLICA);
+    const report = await checkReadiness(manager, { maxAge: 0 });
+    setStoreFailing(REPLICA, false);
+
+    expect(report.status).toBe('degraded');
+    expect(report.checks.storage.status).toBe('up');
+    expect(report.checks.replicas[0]).toMatchObject({ name: 's3', status: 'down' });
+  });
+
+  test('storage probes leave no trace in the change log or on the replicas', async () => {
+    const env = testEnv({
+      HIVE_STORAGE_TYPE: 'replication',
+      HIVE_REPLICAS: 's3',
+      HIVE_REPLICATION_MODE: 'sync',
+      HIVE_CHANGE_LOG: 'true',
+      HIVE_S3_BUCKET: 'app-data',
+      HIVE_S3_PREFIX: 'databases/main'
+    });
+    const manager = await createManager(env);
+    const { storage } = await manager.getConfig();
+
+    // Concurrent probes use their own keys, so none sees another's value
+    const results = await Promise.all(Array.from({ length: 5 }, () => manager.checkStorageHealth(storage)));
+    expect(results.every((result) => result.healthy)).toBe(true);
+    expect((await checkReadiness(manager, { maxAge: 0 })).status).toBe('ready');
+
+    expect(await storage.getHeadSeq()).toBe(0);
+    expect(Object.keys(dumpStore(`disk:${env.HIVE_DISK_PATH}`))).toEqual([]);
+    expect(Object.keys(dumpStore(REPLICA))).toEqual([]);
+  });
+
+  test('probes close together share one check', async () => {
+    const env = testEnv();
+    const manager = await createManager(env);
+    const first = await checkReadiness(manager);
+
+    setStoreFailing(`disk:${env.HIVE_DISK_PATH}`);
+    expect(await checkReadiness(manager)).toBe(first);
+    expect((await checkReadiness(manager, { maxAge: 0 })).status).toBe('unavailable');
+  });
+});
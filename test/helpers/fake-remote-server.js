@@ -0,0 +1,63 @@
+/**
+ * Fake Remote Storage Server
+ * The bundled remote storage server on a temporary directory and a random
+ * local port, with every request recorded and failures injectable, so the
+ * remote storage and sync code can be tested offline.
+ */
+
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { DiskObjectStore, createRequestHandler } from '../../lib/remote-storage-server.js';
+
+export const API_KEY = 'test-remote-storage-api-key';
+
+/**
+ * Start a server. Resolves to `{ endpoint, apiKey, requests, failNext, store, close }`.
+ */
+export async function startFakeRemoteServer() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hive-remote-'));
+  const store = new DiskObjectStore(dir);
+  const handler = createRequestHandler({ store, apiKey: API_KEY });
+  const requests = [];
+  const failures = [];
+
+  const server = http.createServer((request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    requests.push({ method: request.method, path: decodeURIComponent(url.pathname) });
+
+    const failure = failures.find((entry) => entry.method === request.method && entry.remaining > 0);
+    if (failure) {
+      failure.remaining--;
+      // Drain the body, so the client sees the response instead of a reset
+      request.resume();
+      request.on('end', () => {
+        response.writeHead(failure.status, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify({ error: 'Injected failure' }));
+      });
+      return;
+    }
+    handler(request, response);
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    endpoint: `http://127.0.0.1:${server.address().port}`,
+    apiKey: API_KEY,
+    requests,
+    store,
+    /**
+     * Answer the next `count` requests with `method` with an HTTP `status`
+     */
+    failNext(method, { status = 503, count = 1 } = {}) {
+      failures.push({ method, status, remaining: count });
+    },
+    async close() {
+      server.closeAllConnections?.();
+      await new Promise((resolve) => server.close(resolve));
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
@@ -0,0 +1,171 @@
+/**
+ * Fake S3 SDK
+ * Implements the parts of `@aws-sdk/client-s3` the storage code uses, on
+ * in-memory buckets: single and multipart uploads with SHA-256 part
+ * checksums, ranged and conditional reads, conditional writes and HeadBucket.
+ * `failNext()` makes upcoming commands throw, like a flaky network.
+ */
+
+import crypto from 'crypto';
+
+export const buckets = new Map();
+const uploads = new Map();
+const failures = [];
+
+export const sent = [];
+
+function s3Error(name, status) {
+  return Object.assign(new Error(name), { name, $metadata: { httpStatusCode: status } });
+}
+
+function etagOf(body) {
+  return `"${crypto.createHash('md5').update(body).digest('hex')}"`;
+}
+
+function getBucket(name) {
+  const bucket = buckets.get(name);
+  if (!bucket) throw s3Error('NotFound', 404);
+  return bucket;
+}
+
+export function createBucket(name) {
+  if (!buckets.has(name)) buckets.set(name, new Map());
+  return buckets.get(name);
+}
+
+/**
+ * Fail the next `count` commands named `command` with an HTTP `status`
+ */
+export function failNext(command, { status = 500, count = 1 } = {}) {
+  failures.push({ command, status, remaining: count });
+}
+
+export function resetFakeS3() {
+  buckets.clear();
+  uploads.clear();
+  failures.length = 0;
+  sent.length = 0;
+}
+
+const handlers = {
+  HeadBucket: (input) => {
+    getBucket(input.Bucket);
+    return {};
+  },
+
+  PutObject: (input) => {
+    const bucket = getBucket(input.Bucket);
+    const current = bucket.get(input.Key);
+    if (input.IfNoneMatch && current) throw s3Error('PreconditionFailed', 412);
+    if (input.IfMatch && current?.etag !== input.IfMatch) throw s3Error('PreconditionFailed', 412);
+
+    const body = Buffer.from(input.Body);
+    const etag = etagOf(body);
+    bucket.set(input.Key, { body, etag, metadata: input.Metadata ?? {} });
+    return { ETag: etag };
+  },
+
+  HeadObject: (input) => {
+    const object = getBucket(input.Bucket).get(input.Key);
+    if (!object) throw s3Error('NotFound', 404);
+    return { ContentLength: object.body.length, ETag: object.etag, Metadata: object.metadata };
+  },
+
+  GetObject: (input) => {
+    const object = getBucket(input.Bucket).get(input.Key);
+    if (!object) throw s3Error('NoSuchKey', 404);
+    if (input.IfMatch && input.IfMatch !== object.etag) throw s3Error('PreconditionFailed', 412);
+
+    let body = object.body;
+    if (input.Range) {
+      const [, start, end] = /bytes=(\d+)-(\d+)/.exec(input.Range);
+      body = body.subarray(Number(start), Number(end) + 1);
+    }
+    return {
+      Body: { transformToByteArray: async () => new Uint8Array(body) },
+      ContentLength: body.length,
+      ETag: object.etag,
+      Metadata: object.metadata
+    };
+  },
+
+  DeleteObject: (input) => {
+    getBucket(input.Bucket).delete(input.Key);
+    return {};
+  },
+
+  CreateMultipartUpload: (input) => {
+    getBucket(input.Bucket);
+    const uploadId = crypto.randomUUID();
+    uploads.set(uploadId, { parts: new Map(), metadata: input.Metadata ?? {} });
+    return { UploadId: uploadId };
+  },
+
+  UploadPart: (input) => {
+    const upload = uploads.get(input.UploadId);
+    if (!upload) throw s3Error('NoSuchUpload', 404);
+
+    const body = Buffer.from(input.Body);
+    if (input.ChecksumSHA256 && crypto.createHash('sha256').update(body).digest('base64') !== input.ChecksumSHA256) {
+      throw s3Error('BadDigest', 400);
+    }
+    upload.parts.set(input.PartNumber, body);
+    return { ETag: etagOf(body) };
+  },
+
+  CompleteMultipartUpload: (input) => {
+    const upload = uploads.get(input.UploadId);
+    if (!upload) throw s3Error('NoSuchUpload', 404);
+
+    const body = Buffer.concat(input.MultipartUpload.Parts.map((part) => upload.parts.get(part.PartNumber)));
+    const etag = `"${crypto.createHash('md5').update(body).digest('hex')}-${upload.parts.size}"`;
+    getBucket(input.Bucket).set(input.Key, { body, etag, metadata: upload.metadata });
+    uploads.delete(input.UploadId);
+    return { ETag: etag };
+  },
+
+  AbortMultipartUpload: (input) => {
+    uploads.delete(input.UploadId);
+    return {};
+  }
+};
+
+export function pendingUploads() {
+  return uploads.size;
+}
+
+export class S3Client {
+  constructor(config) {
+    this.config = config;
+  }
+
+  async send(command) {
+    sent.push(command.name);
+
+    const failure = failures.find((entry) => entry.command === command.name && entry.remaining > 0);
+    if (failure) {
+      failure.remaining--;
+      throw s3Error('InternalError', failure.status);
+    }
+    return handlers[command.name](command.input);
+  }
+}
+
+function command(name) {
+  return class {
+    constructor(input) {
+      this.name = name;
+      this.input = input;
+    }
+  };
+}
+
+export const HeadBucketCommand = command('HeadBucket');
+export const PutObjectCommand = command('PutObject');
+export const HeadObjectCommand = command('HeadObject');
+export const GetObjectCommand = command('GetObject');
+export const DeleteObjectCommand = command('DeleteObject');
+export const CreateMultipartUploadCommand = command('CreateMultipartUpload');
+export const UploadPartCommand = command('UploadPart');
+export const CompleteMultipartUploadCommand = command('CompleteMultipartUpload');
+export const AbortMultipartUploadCommand = command('AbortMultipartUpload');
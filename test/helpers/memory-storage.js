@@ -0,0 +1,78 @@
+/**
+ * In-Memory Storage
+ * Stand-in for the Hive key-value storages (`get`, `set`, `delete`, `list`,
+ * `stat`). Instances created with the same name share their data, like two
+ * clients of the same bucket, and a store can be switched to failing to
+ * simulate an unreachable backend.
+ */
+
+const stores = new Map();
+
+function getStore(name) {
+  if (!stores.has(name)) {
+    stores.set(name, { entries: new Map(), failing: false, calls: 0 });
+  }
+  return stores.get(name);
+}
+
+export class MemoryStorage {
+  constructor(name = `memory-${stores.size}`) {
+    this.name = name;
+    this.store = getStore(name);
+  }
+
+  check() {
+    this.store.calls++;
+    if (this.store.failing) {
+      throw new Error(`${this.name} is unavailable`);
+    }
+  }
+
+  async get(key) {
+    this.check();
+    const entry = this.store.entries.get(key);
+    return entry ? structuredClone(entry.value) : null;
+  }
+
+  async set(key, value) {
+    this.check();
+    this.store.entries.set(key, { value: structuredClone(value), updatedAt: new Date() });
+  }
+
+  async delete(key) {
+    this.check();
+    this.store.entries.delete(key);
+  }
+
+  async list(prefix = '') {
+    this.check();
+    return [...this.store.entries.keys()].filter((key) => key.startsWith(prefix)).sort();
+  }
+
+  async stat(key) {
+    this.check();
+    const entry = this.store.entries.get(key);
+    return entry ? { updatedAt: entry.updatedAt } : null;
+  }
+}
+
+/**
+ * The data of a named store, as a plain `key -> stored value` object
+ */
+export function dumpStore(name) {
+  return Object.fromEntries([...getStore(name).entries].map(([key, entry]) => [key, entry.value]));
+}
+
+/**
+ * Make every call to a named store fail, or succeed again
+ */
+export function setStoreFailing(name, failing = true) {
+  getStore(name).failing = failing;
+}
+
+/**
+ * Forget every store, so tests do not see each other's data
+ */
+export function clearStores() {
+  stores.clear();
+}
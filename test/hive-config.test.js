@@ -0,0 +1,133 @@
+import './helpers/setup.js';
+import fs from 'fs';
+import path from 'path';
+import { afterEach, describe, expect, test } from 'bun:test';
+import { HiveConfigError, loadHiveConfig, parseEnvFile, resolveHiveConfig, resolveSettingValues } from '../lib/hive-config.js';
+import { ENCRYPTION_KEY, makeTempDir, removeTempDirs } from './helpers/setup.js';
+
+afterEach(removeTempDirs);
+
+function configErrors(env) {
+  try {
+    resolveHiveConfig(env);
+  } catch (error) {
+    expect(error).toBeInstanceOf(HiveConfigError);
+    return error.errors;
+  }
+  throw new Error('Expected the configuration to be rejected');
+}
+
+describe('resolveHiveConfig', () => {
+  test('applies defaults and types', () => {
+    const { values, sources } = resolveHiveConfig({ REMOTE_STORAGE_TIMEOUT: '500', HIVE_CHANGE_LOG: 'true' });
+
+    expect(values.HIVE_STORAGE_TYPE).toBe('disk');
+    expect(values.REMOTE_STORAGE_TIMEOUT).toBe(500);
+    expect(values.HIVE_CHANGE_LOG).toBe(true);
+    expect(values.HIVE_REPLICA_READ_FALLBACK).toBe(true);
+    expect(sources.REMOTE_STORAGE_TIMEOUT).toBe('env');
+    expect(sources.HIVE_DISK_PATH).toBe('default');
+    expect(sources.HIVE_ENCRYPTION_KEY).toBe('unset');
+  });
+
+  test('collects every error at once', () => {
+    const errors = configErrors({
+      HIVE_STORAGE_TYPE: 'dsik',
+      REMOTE_STORAGE_TIMEOUT: '30s',
+      HIVE_REPLICATION_MODE: 'eventually',
+      HIVE_CHANGE_LOG: 'yes',
+      HIVE_ENCRYPTION_KEY: 'too-short',
+      HIVE_ENCRYPTION_RETIRED_KEYS: `${ENCRYPTION_KEY},old-key`,
+      ADMIN_EMAIL: 'admin',
+      HIVE_BACKUP_SCHEDULE: '0 3 * *'
+    });
+
+    expect(errors).toHaveLength(7);
+    expect(errors.join('\n')).toContain('Unknown HIVE_STORAGE_TYPE "dsik"');
+    expect(errors.join('\n')).toContain('REMOTE_STORAGE_TIMEOUT must be an integer');
+    expect(errors.join('\n')).toContain('HIVE_ENCRYPTION_KEY must be at least 32 characters');
+    expect(errors.join('\n')).toContain('ADMIN_EMAIL must be an email address');
+    expect(errors.join('\n')).toContain('HIVE_BACKUP_SCHEDULE: Invalid cron expression "0 3 * *"');
+  });
+
+  test('short retired keys only warn, so data can still be rotated off them', () => {
+    const { values, warnings } = resolveHiveConfig({ HIVE_ENCRYPTION_KEY: ENCRYPTION_KEY, HIVE_ENCRYPTION_RETIRED_KEYS: 'old-key' });
+
+    expect(values.HIVE_ENCRYPTION_RETIRED_KEYS).toEqual(['old-key']);
+    expect(warnings).toEqual(['HIVE_ENCRYPTION_RETIRED_KEYS entry 1 is shorter than 32 characters, run db:rotate-key to move data off it']);
+  });
+
+  test('checks the settings of the backends in use', () => {
+    expect(configErrors({ HIVE_STORAGE_TYPE: 'remote' })).toEqual(['REMOTE_STORAGE_ENDPOINT is required for remote storage']);
+    expect(configErrors({ HIVE_STORAGE_TYPE: 'replication', HIVE_REPLICAS: 's3,gcs' })[0]).toContain('Unknown replica "gcs"');
+    expect(configErrors({ HIVE_SYNC_TARGET: 'disk' })[0]).toContain('cannot hold database copies');
+    expect(configErrors({ HIVE_STORAGE_TYPE: 's3', HIVE_S3_PROVIDER: 'r2' })[0]).toContain('CLOUDFLARE_ACCOUNT_ID or HIVE_S3_ENDPOINT');
+  });
+
+  test('typed values of raw variables treat empty ones as unset', () => {
+    const values = resolveSettingValues({ HIVE_ANTI_ENTROPY_INTERVAL: '', REMOTE_STORAGE_TIMEOUT: '500' });
+
+    expect(values.HIVE_ANTI_ENTROPY_INTERVAL).toBe(600000);
+    expect(values.REMOTE_STORAGE_TIMEOUT).toBe(500);
+    expect(() => resolveSettingValues({ HIVE_SYNC_PART_SIZE_MB: 'lots' })).toThrow('HIVE_SYNC_PART_SIZE_MB must be an integer');
+  });
+
+  test('accepts aliases with a warning', () => {
+    const { values, warnings } = resolveHiveConfig({ BLADE_STATE_DIR: '/data', ENCRYPTION_KEY });
+
+    expect(values.HIVE_DISK_PATH).toBe('/data');
+    expect(values.HIVE_ENCRYPTION_KEY).toBe(ENCRYPTION_KEY);
+    expect(warnings).toHaveLength(2);
+  });
+});
+
+describe('loadHiveConfig', () => {
+  test('parses .env files', () => {
+    expect(parseEnvFile([
+      '# comment',
+      'export HIVE_STORAGE_TYPE=s3',
+      'HIVE_S3_BUCKET="my bucket" # quoted',
+      "HIVE_S3_PREFIX='a#b'",
+      'HIVE_SYNC_INTERVAL=5000  # ms'
+    ].join('\n'))).toEqual({
+      HIVE_STORAGE_TYPE: 's3',
+      HIVE_S3_BUCKET: 'my bucket',
+      HIVE_S3_PREFIX: 'a#b',
+      HIVE_SYNC_INTERVAL: '5000'
+    });
+  });
+
+  test('layers the config file, .env and the environment', async () => {
+    const cwd = makeTempDir();
+    fs.writeFileSync(path.join(cwd, 'hive.config.json'), JSON.stringify({
+      HIVE_STORAGE_TYPE: 'replication',
+      HIVE_REPLICAS: ['s3'],
+      HIVE_SYNC_INTERVAL: 1000,
+      HIVE_S3_BUCKET: 'from-file'
+    }));
+    fs.writeFileSync(path.join(cwd, '.env'), 'HIVE_S3_BUCKET=from-dotenv\nHIVE_SYNC_INTERVAL=2000\n');
+
+    const config = await loadHiveConfig({ cwd, env: { HIVE_SYNC_INTERVAL: '3000' } });
+
+    expect(config.files).toEqual(['hive.config.json', '.env']);
+    expect(config.values.HIVE_REPLICAS).toEqual(['s3']);
+    expect(config.values.HIVE_S3_BUCKET).toBe('from-dotenv');
+    expect(config.values.HIVE_SYNC_INTERVAL).toBe(3000);
+    expect(config.sources.HIVE_STORAGE_TYPE).toBe('hive.config.json');
+    expect(config.sources.HIVE_S3_BUCKET).toBe('.env');
+    expect(config.sources.HIVE_SYNC_INTERVAL).toBe('env');
+  });
+
+  test('runs hive.config.js functions with the environment', async () => {
+    const cwd = makeTempDir();
+    fs.writeFileSync(path.join(cwd, 'hive.config.js'), 'export default (env) => ({ HIVE_S3_PREFIX: `apps/${env.APP_NAME}` });\n');
+
+    const config = await loadHiveConfig({ cwd, env: { APP_NAME: 'blog' } });
+    expect(config.values.HIVE_S3_PREFIX).toBe('apps/blog');
+  });
+
+  test('rejects a missing HIVE_CONFIG_FILE', async () => {
+    const cwd = makeTempDir();
+    await expect(loadHiveConfig({ cwd, env: { HIVE_CONFIG_FILE: 'missing.json' } })).rejects.toBeInstanceOf(HiveConfigError);
+  });
+});
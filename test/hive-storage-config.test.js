@@ -0,0 +1,373 @@
+import './helpers/setup.js';
+import fs from 'fs';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, setSystemTime, test } from 'bun:test';
+import { CHUNK_PREFIX, hashContent } from '../lib/backup-snapshots.js';
+import { ChangeLogStorage } from '../lib/change-log.js';
+import { EncryptedStorage, isEnvelope, parseEnvelope } from '../lib/envelope-encryption.js';
+import { HiveConfigError } from '../lib/hive-config.js';
+import { HiveStorageConfig } from '../lib/hive-storage-config.js';
+import { registerStorageBackend } from '../lib/storage-backends.js';
+import { InstrumentedStorage } from '../lib/storage-metrics.js';
+import { MemoryStorage, clearStores, dumpStore, setStoreFailing } from './helpers/memory-storage.js';
+import { createBucket, resetFakeS3 } from './helpers/fake-s3.js';
+import {
+  ENCRYPTION_KEY,
+  RETIRED_KEY,
+  createManager,
+  makeTempDir,
+  removeTempDirs,
+  stopManagers,
+  testEnv
+} from './helpers/setup.js';
+
+const S3_ENV = { HIVE_S3_BUCKET: 'app-data', HIVE_S3_PREFIX: 'databases/main' };
+const REMOTE_ENV = { REMOTE_STORAGE_ENDPOINT: 'http://storage.test:4000', REMOTE_STORAGE_API_KEY: 'remote-key' };
+
+async function seed(storage, count = 5) {
+  for (let index = 0; index < count; index++) {
+    await storage.set(`users/${index}`, { id: index, name: `User ${index}` });
+  }
+}
+
+beforeEach(() => {
+  clearStores();
+  resetFakeS3();
+  createBucket('app-data');
+});
+
+afterEach(async () => {
+  await stopManagers();
+  setSystemTime();
+  removeTempDirs();
+});
+
+describe('storage factories', () => {
+  test('disk', async () => {
+    const env = testEnv();
+    const { storage, driver } = await (await createManager(env)).getConfig();
+
+    expect(driver).toBeDefined();
+    expect(storage).toBeInstanceOf(InstrumentedStorage);
+    expect(storage.storage.name).toBe(`disk:${env.HIVE_DISK_PATH}`);
+    await storage.set('greeting', 'hello');
+    expect(dumpStore(storage.storage.name)).toEqual({ greeting: 'hello' });
+  });
+
+  test('s3 checks the bucket and uses the prefix', async () => {
+    const { storage } = await (await createManager(testEnv({ HIVE_STORAGE_TYPE: 's3', ...S3_ENV }))).getConfig();
+    expect(storage.storage.name).toBe('s3:app-data/databases/main');
+    expect(storage.storage.client.config.region).toBe('us-east-1');
+
+    const missing = await createManager(testEnv({ HIVE_STORAGE_TYPE: 's3', HIVE_S3_BUCKET: 'no-such-bucket' }));
+    await expect(missing.getConfig()).rejects.toThrow('S3 bucket "no-such-bucket" does not exist');
+  });
+
+  test('s3-compatible providers get their endpoint', async () => {
+    const env = testEnv({ HIVE_STORAGE_TYPE: 's3', HIVE_S3_PROVIDER: 'r2', CLOUDFLARE_ACCOUNT_ID: 'acc', ...S3_ENV });
+    const { storage } = await (await createManager(env)).getConfig();
+
+    expect(storage.storage.client.config).toMatchObject({
+      endpoint: 'https://acc.r2.cloudflarestorage.com',
+      region: 'auto',
+      forcePathStyle: true
+    });
+  });
+
+  test('remote', async () => {
+    const { storage } = await (await createManager(testEnv({ HIVE_STORAGE_TYPE: 'remote', ...REMOTE_ENV }))).getConfig();
+    expect(storage.storage.name).toBe('remote:http://storage.test:4000');
+  });
+
+  test('replication writes to the disk and every replica', async () => {
+    const env = testEnv({ HIVE_STORAGE_TYPE: 'replication', HIVE_REPLICATION_MODE: 'sync', ...S3_ENV, ...REMOTE_ENV });
+    const manager = await createManager(env);
+    const { storage } = await manager.getConfig();
+
+    expect(manager.replicas.map((replica) => replica.name)).toEqual(['s3', 'remote']);
+    await storage.set('greeting', 'hello');
+
+    for (const name of [`disk:${env.HIVE_DISK_PATH}`, 's3:app-data/databases/main', 'remote:http://storage.test:4000']) {
+      expect(dumpStore(name).greeting).toBe('hello');
+    }
+  });
+
+  test('registered backends', async () => {
+    registerStorageBackend('memory', async (options) => new MemoryStorage(`memory:${options.env.HIVE_MEMORY_NAME}`));
+
+    const { storage } = await (await createManager(testEnv({ HIVE_STORAGE_TYPE: 'memory', HIVE_MEMORY_NAME: 'custom' }))).getConfig();
+    await storage.set('greeting', 'hello');
+    expect(dumpStore('memory:custom')).toEqual({ greeting: 'hello' });
+  });
+
+  test('unknown storage types are rejected', async () => {
+    const manager = new HiveStorageConfig();
+    const error = await manager.loadSettings({ env: { HIVE_STORAGE_TYPE: 'dsik' }, cwd: makeTempDir(), envFile: null }).catch((caught) => caught);
+
+    expect(error).toBeInstanceOf(HiveConfigError);
+    await expect(manager.createStorage('dsik', {})).rejects.toThrow('Unknown storage type "dsik"');
+  });
+
+  test('encrypts values at rest when a key is set', async () => {
+    const env = testEnv({ HIVE_ENCRYPTION_KEY: ENCRYPTION_KEY });
+    const { storage } = await (await createManager(env)).getConfig();
+
+    expect(storage).toBeInstanceOf(EncryptedStorage);
+    await storage.set('user', { name: 'Ada' });
+
+    const stored = dumpStore(`disk:${env.HIVE_DISK_PATH}`).user;
+    expect(stored).not.toContain('Ada');
+    expect(isEnvelope(parseEnvelope(stored))).toBe(true);
+    expect(await storage.get('user')).toEqual({ name: 'Ada' });
+  });
+
+  test('values stored unencrypted are only read when allowed', async () => {
+    const env = testEnv({ HIVE_ENCRYPTION_KEY: ENCRYPTION_KEY });
+    await new MemoryStorage(`disk:${env.HIVE_DISK_PATH}`).set('user', { name: 'Ada' });
+
+    const { storage } = await (await createManager(env)).getConfig();
+    await expect(storage.get('user')).rejects.toThrow('user is stored unencrypted');
+    expect(await storage.get('missing')).toBeNull();
+
+    const migrating = await createManager({ ...env, HIVE_ENCRYPTION_ALLOW_PLAINTEXT: 'true' });
+    expect(await (await migrating.getConfig()).storage.get('user')).toEqual({ name: 'Ada' });
+  });
+
+  test('wraps the storage in the change log', async () => {
+    const { storage } = await (await createManager(testEnv({ HIVE_CHANGE_LOG: 'true' }))).getConfig();
+    expect(storage).toBeInstanceOf(ChangeLogStorage);
+  });
+});
+
+describe('backups', () => {
+  test('restore brings back changed and deleted keys', async () => {
+    const manager = await createManager(testEnv({ HIVE_ENCRYPTION_KEY: ENCRYPTION_KEY }));
+    const { storage } = await manager.getConfig();
+    await seed(storage);
+
+    const backupKey = await manager.createBackup('before-cleanup');
+    await storage.set('users/0', { id: 0, name: 'Changed' });
+    await storage.delete('users/1');
+
+    const manifest = await manager.restoreBackup(backupKey);
+    expect(manifest.entries).toHaveLength(5);
+    expect(await storage.get('users/0')).toEqual({ id: 0, name: 'User 0' });
+    expect(await storage.get('users/1')).toEqual({ id: 1, name: 'User 1' });
+  });
+
+  test('encrypted chunks are keyed so their IDs reveal nothing about the values', async () => {
+    const diskPath = makeTempDir();
+    const before = await createManager(testEnv({ HIVE_DISK_PATH: diskPath, HIVE_ENCRYPTION_KEY: RETIRED_KEY }));
+    await seed((await before.getConfig()).storage, 1);
+    const backupKey = await before.createBackup('encrypted');
+
+    // A guessed value cannot be confirmed by hashing it
+    const chunkKeys = Object.keys(dumpStore(`disk:${diskPath}`)).filter((key) => key.startsWith(CHUNK_PREFIX));
+    expect(chunkKeys).toHaveLength(1);
+    expect(chunkKeys[0]).not.toBe(`${CHUNK_PREFIX}${hashContent(JSON.stringify({ id: 0, name: 'User 0' }))}`);
+
+    const after = await createManager(testEnv({
+      HIVE_DISK_PATH: diskPath,
+      HIVE_ENCRYPTION_KEY: ENCRYPTION_KEY,
+      HIVE_ENCRYPTION_RETIRED_KEYS: RETIRED_KEY
+    }));
+    const { storage } = await after.getConfig();
+    await after.rotateEncryptionKey();
+    const [backup] = await after.listBackups();
+    expect(backup.chunkKeyId).not.toBe(storage.keyring.currentKeyId);
+    expect(await after.listBackupsOnRetiredKeys()).toEqual([backup]);
+    await storage.set('users/0', { id: 0, name: 'Changed' });
+    await after.restoreBackup(backupKey);
+    expect(await storage.get('users/0')).toEqual({ id: 0, name: 'User 0' });
+
+    // Rotation re-encrypts the chunks, but their IDs still need the old key
+    const withoutKey = await createManager(testEnv({ HIVE_DISK_PATH: diskPath, HIVE_ENCRYPTION_KEY: ENCRYPTION_KEY }));
+    await expect(withoutKey.restoreBackup(backupKey)).rejects.toThrow('add it to HIVE_ENCRYPTION_RETIRED_KEYS');
+  });
+
+  test('list, delete and prune', async () => {
+    const manager = await createManager(testEnv());
+    const { storage } = await manager.getConfig();
+    await seed(storage);
+
+    // Backups sort by creation time, which must differ between them
+    setSystemTime(new Date('2026-03-01T10:00:00Z'));
+    await manager.createBackup('first');
+    await storage.set('users/5', { id: 5 });
+    setSystemTime(new Date('2026-03-01T11:00:00Z'));
+    await manager.createBackup('second');
+    setSystemTime(new Date('2026-03-01T12:00:00Z'));
+    await manager.createBackup('third');
+    expect((await manager.listBackups()).map((backup) => backup.name)).toEqual(['third', 'second', 'first']);
+
+    await manager.deleteBackup('second');
+    const result = await manager.pruneBackups({ keepLast: 1, hourly: 0, daily: 0, weekly: 0, monthly: 0 });
+
+    expect(result.pruned.map((backup) => backup.name)).toEqual(['first']);
+    expect((await manager.listBackups()).map((backup) => backup.name)).toEqual(['third']);
+    await expect(manager.restoreBackup('backups/snapshots/missing.json')).rejects.toThrow();
+  });
+
+  test('pruning defaults to the retention settings of the loaded configuration', async () => {
+    const cwd = makeTempDir();
+    fs.writeFileSync(path.join(cwd, '.env'), [
+      'HIVE_BACKUP_KEEP_LAST=2',
+      'HIVE_BACKUP_KEEP_DAILY=0',
+      'HIVE_BACKUP_KEEP_WEEKLY=0',
+      'HIVE_BACKUP_KEEP_MONTHLY=0'
+    ].join('\n'));
+    const manager = await createManager(testEnv(), { cwd, envFile: '.env' });
+
+    for (const [hour, name] of [[10, 'first'], [11, 'second'], [12, 'third']]) {
+      setSystemTime(new Date(`2026-03-01T${hour}:00:00Z`));
+      await manager.createBackup(name);
+    }
+
+    const result = await manager.pruneBackups();
+    expect(result.pruned.map((backup) => backup.name)).toEqual(['first']);
+    expect((await manager.listBackups()).map((backup) => backup.name)).toEqual(['third', 'second']);
+  });
+});
+
+describe('migration', () => {
+  test('copies and verifies every key between backends', async () => {
+    const source = await createManager(testEnv());
+    const sourceConfig = await source.getConfig();
+    await seed(sourceConfig.storage, 20);
+    await source.createBackup('nightly');
+
+    const target = await createManager(testEnv({ HIVE_STORAGE_TYPE: 's3', HIVE_ENCRYPTION_KEY: ENCRYPTION_KEY, ...S3_ENV }));
+    const targetConfig = await target.getConfig();
+
+    // Backup manifests and chunks are migrated along with the data
+    const total = (await sourceConfig.storage.list()).length;
+    const result = await source.migrateStorage(sourceConfig, targetConfig, { id: 'disk-to-s3' });
+    expect(result).toMatchObject({ total, migrated: total, errors: 0 });
+    expect(await targetConfig.storage.get('users/19')).toEqual({ id: 19, name: 'User 19' });
+
+    const verification = await source.createMigration(sourceConfig, targetConfig).verify();
+    expect(verification).toMatchObject({ checked: total, ok: true });
+
+    // Reruns copy the same values again without duplicating anything
+    const rerun = await source.migrateStorage(sourceConfig, targetConfig, { id: 'disk-to-s3' });
+    expect(rerun.errors).toBe(0);
+    expect(await targetConfig.storage.list('users/')).toHaveLength(20);
+  });
+});
+
+describe('replication', () => {
+  const replicationEnv = () => testEnv({
+    HIVE_STORAGE_TYPE: 'replication',
+    HIVE_REPLICAS: 's3',
+    HIVE_REPLICATION_MODE: 'sync',
+    HIVE_CONFLICT_RESOLUTION: 'primary',
+    HIVE_CIRCUIT_FAILURE_THRESHOLD: '100',
+    ...S3_ENV
+  });
+
+  test('anti-entropy finds and repairs divergent keys', async () => {
+    const manager = await createManager(replicationEnv());
+    const { storage } = await manager.getConfig();
+    await seed(storage);
+
+    const replica = new MemoryStorage('s3:app-data/databases/main');
+    await replica.set('users/0', { id: 0, name: 'Drifted' });
+    await replica.delete('users/1');
+    await replica.set('stray', 'only on the replica');
+
+    const report = await manager.reconcileReplicas({ repair: false });
+    expect(report.replicas[0].divergent).toBe(3);
+
+    await manager.reconcileReplicas();
+    expect(await replica.get('users/0')).toEqual({ id: 0, name: 'User 0' });
+    expect(await replica.get('users/1')).toEqual({ id: 1, name: 'User 1' });
+    expect(await replica.get('stray')).toBeNull();
+    expect((await manager.reconcileReplicas({ repair: false })).replicas[0].divergent).toBe(0);
+  });
+
+  test('latest resolution picks the newer value through encryption', async () => {
+    const manager = await createManager({
+      ...replicationEnv(),
+      HIVE_CONFLICT_RESOLUTION: 'latest',
+      HIVE_ENCRYPTION_KEY: ENCRYPTION_KEY
+    });
+    const { storage } = await manager.getConfig();
+    setSystemTime(new Date('2025-01-01T00:00:00Z'));
+    await seed(storage, 2);
+
+    // Written to the replica only, later than the primary's copy
+    setSystemTime(new Date('2025-01-01T01:00:00Z'));
+    const replica = new EncryptedStorage(new MemoryStorage('s3:app-data/databases/main'), ENCRYPTION_KEY);
+    await replica.set('users/1', { id: 1, name: 'Renamed on the replica' });
+
+    await manager.reconcileReplicas();
+    expect(await storage.get('users/1')).toEqual({ id: 1, name: 'Renamed on the replica' });
+    expect(await storage.get('users/0')).toEqual({ id: 0, name: 'User 0' });
+  });
+
+  test('settings from raw variables fall back to their defaults when empty', async () => {
+    const manager = await createManager();
+    await manager.createStorage('replication', { ...replicationEnv(), HIVE_ANTI_ENTROPY_INTERVAL: '', HIVE_REPLICATION_MAX_QUEUE: '' });
+
+    expect(manager.replication.antiEntropyInterval).toBe(600000);
+    expect(manager.replication.maxQueueSize).toBe(10000);
+    expect(manager.replication.syncMode).toBe('sync');
+  });
+
+  test('reads fall back to a replica while the disk fails', async () => {
+    const env = replicationEnv();
+    const manager = await createManager(env);
+    const { storage } = await manager.getConfig();
+    await seed(storage);
+
+    setStoreFailing(`disk:${env.HIVE_DISK_PATH}`);
+    expect(await storage.get('users/3')).toEqual({ id: 3, name: 'User 3' });
+    setStoreFailing(`disk:${env.HIVE_DISK_PATH}`, false);
+  });
+
+  test('writes missed by a replica are queued and caught up', async () => {
+    const manager = await createManager(replicationEnv());
+    const { storage } = await manager.getConfig();
+
+    setStoreFailing('s3:app-data/databases/main');
+    await storage.set('users/0', { id: 0 });
+    expect(manager.replication.getReplicationStatus().replicas[0].pending).toBe(1);
+
+    setStoreFailing('s3:app-data/databases/main', false);
+    await manager.replication.stop();
+    expect(dumpStore('s3:app-data/databases/main')['users/0']).toEqual({ id: 0 });
+  });
+
+  test('an empty disk is rebuilt from the replica at startup', async () => {
+    const replica = new MemoryStorage('s3:app-data/databases/main');
+    await seed(replica);
+
+    const env = replicationEnv();
+    const { storage } = await (await createManager(env)).getConfig();
+
+    expect(await storage.get('users/4')).toEqual({ id: 4, name: 'User 4' });
+    expect(dumpStore(`disk:${env.HIVE_DISK_PATH}`)['users/4']).toEqual({ id: 4, name: 'User 4' });
+  });
+});
+
+describe('key rotation', () => {
+  test('re-encrypts values written with a retired key', async () => {
+    const diskPath = makeTempDir();
+    const before = await createManager(testEnv({ HIVE_DISK_PATH: diskPath, HIVE_ENCRYPTION_KEY: RETIRED_KEY }));
+    await seed((await before.getConfig()).storage);
+
+    const after = await createManager(testEnv({
+      HIVE_DISK_PATH: diskPath,
+      HIVE_ENCRYPTION_KEY: ENCRYPTION_KEY,
+      HIVE_ENCRYPTION_RETIRED_KEYS: RETIRED_KEY
+    }));
+    const { storage } = await after.getConfig();
+    expect(await storage.get('users/2')).toEqual({ id: 2, name: 'User 2' });
+
+    const [result] = await after.rotateEncryptionKey();
+    expect(result.rotated).toBe(5);
+
+    const kid = parseEnvelope(dumpStore(`disk:${diskPath}`)['users/2']).kid;
+    expect(kid).toBe(storage.keyring.currentKeyId);
+  });
+});
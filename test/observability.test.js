@@ -0,0 +1,114 @@
+import './helpers/setup.js';
+import { afterEach, describe, expect, spyOn, test } from 'bun:test';
+import { configureLogger, createLogger, getCorrelationId, withCorrelationId } from '../lib/logger.js';
+import { MetricsRegistry, registry } from '../lib/metrics.js';
+import { InstrumentedStorage, observeStorageManager } from '../lib/storage-metrics.js';
+import { MemoryStorage, clearStores, setStoreFailing } from './helpers/memory-storage.js';
+import { createManager, removeTempDirs, stopManagers } from './helpers/setup.js';
+
+afterEach(async () => {
+  await stopManagers();
+  configureLogger();
+  clearStores();
+  removeTempDirs();
+});
+
+function captureLogs(run) {
+  const lines = [];
+  const log = spyOn(console, 'log').mockImplementation((line) => lines.push(line));
+  const error = spyOn(console, 'error').mockImplementation((line) => lines.push(line));
+  try {
+    return [run(), lines];
+  } finally {
+    log.mockRestore();
+    error.mockRestore();
+  }
+}
+
+describe('logger', () => {
+  test('writes JSON lines with level, component and fields', () => {
+    configureLogger({ level: 'info', format: 'json' });
+    const [, lines] = captureLogs(() => {
+      const log = createLogger('test', { instance: 'a' });
+      log.debug('hidden');
+      log.warn('Something failed', { key: 'users/1', error: new Error('boom') });
+    });
+
+    expect(lines).toHaveLength(1);
+    expect(JSON.parse(lines[0])).toMatchObject({
+      level: 'warn',
+      component: 'test',
+      msg: 'Something failed',
+      instance: 'a',
+      key: 'users/1',
+      error: { name: 'Error', message: 'boom' }
+    });
+  });
+
+  test('nested operations share a correlation ID', async () => {
+    configureLogger({ level: 'info', format: 'json' });
+    const log = createLogger('test');
+
+    const [done, lines] = captureLogs(() => withCorrelationId(async () => {
+      log.info('outer');
+      await withCorrelationId(async () => log.info('inner'));
+      return getCorrelationId();
+    }, 'request-1'));
+
+    expect(await done).toBe('request-1');
+    expect(lines.map((line) => JSON.parse(line).correlationId)).toEqual(['request-1', 'request-1']);
+    expect(getCorrelationId()).toBeNull();
+  });
+});
+
+describe('metrics', () => {
+  test('renders the Prometheus text format', async () => {
+    const metrics = new MetricsRegistry();
+    metrics.counter({ name: 'jobs_total', help: 'Jobs', labelNames: ['queue'] }).inc({ queue: 'a"b' }, 2);
+    metrics.histogram({ name: 'latency_seconds', help: 'Latency', buckets: [0.1, 1] }).observe({}, 0.5);
+    metrics.gauge({ name: 'depth', help: 'Depth', collect: (gauge) => gauge.set({}, 7) });
+
+    expect(await metrics.render()).toBe([
+      '# HELP jobs_total Jobs',
+      '# TYPE jobs_total counter',
+      'jobs_total{queue="a\\"b"} 2',
+      '# HELP latency_seconds Latency',
+      '# TYPE latency_seconds histogram',
+      'latency_seconds_bucket{le="0.1"} 0',
+      'latency_seconds_bucket{le="1"} 1',
+      'latency_seconds_bucket{le="+Inf"} 1',
+      'latency_seconds_sum 0.5',
+      'latency_seconds_count 1',
+      '# HELP depth Depth',
+      '# TYPE depth gauge',
+      'depth 7',
+      ''
+    ].join('\n'));
+    expect(() => metrics.counter({ name: 'jobs_total', help: 'Again' })).toThrow('already registered');
+  });
+
+  test('storage operations are timed and failures counted per backend', async () => {
+    const storage = new InstrumentedStorage(new MemoryStorage('metrics-test'), 'metrics-test');
+    await storage.set('key', 'value');
+    await storage.get('key');
+    setStoreFailing('metrics-test');
+    await expect(storage.get('key')).rejects.toThrow();
+
+    const output = await registry.render();
+    expect(output).toContain('hive_storage_operation_duration_seconds_count{backend="metrics-test",operation="get"} 2');
+    expect(output).toContain('hive_storage_operation_errors_total{backend="metrics-test",operation="get"} 1');
+  });
+
+  test('reports the last backup of the observed storage', async () => {
+    const manager = await createManager();
+    observeStorageManager(manager);
+
+    const { storage } = await manager.getConfig();
+    await storage.set('users/1', { id: 1 });
+    await manager.createBackup('nightly');
+
+    const [backup] = await manager.listBackups();
+    const seconds = Math.floor(new Date(backup.timestamp).getTime() / 1000);
+    expect(await registry.render()).toContain(`hive_backup_last_success_timestamp_seconds ${seconds}`);
+  });
+});
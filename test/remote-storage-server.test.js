@@ -0,0 +1,207 @@
+import './helpers/setup.js';
+import { afterEach, describe, expect, test } from 'bun:test';
+import crypto from 'crypto';
+import { Readable, Writable } from 'stream';
+import { finished } from 'stream/promises';
+import { DiskObjectStore, createRequestHandler, hasBearerToken } from '../lib/remote-storage-server.js';
+import { makeTempDir, removeTempDirs } from './helpers/setup.js';
+
+const API_KEY = 'test-remote-storage-api-key';
+
+/**
+ * Collects what the handler writes, like an `http.ServerResponse`
+ */
+class RecordedResponse extends Writable {
+  constructor() {
+    super();
+    this.status = null;
+    this.headers = {};
+    this.chunks = [];
+    this.headersSent = false;
+  }
+
+  setHeader(name, value) {
+    this.headers[name.toLowerCase()] = value;
+  }
+
+  writeHead(status, headers = {}) {
+    this.status = status;
+    for (const [name, value] of Object.entries(headers)) this.setHeader(name, value);
+    this.headersSent = true;
+    return this;
+  }
+
+  _write(chunk, encoding, callback) {
+    this.chunks.push(Buffer.from(chunk));
+    callback();
+  }
+
+  get body() {
+    return Buffer.concat(this.chunks).toString('utf8');
+  }
+}
+
+/**
+ * Send one request straight to a handler, without a server
+ */
+async function send(handler, method, path, { body = null, headers = {}, apiKey = API_KEY } = {}) {
+  const request = Readable.from(body === null ? [] : [Buffer.from(body)]);
+  Object.assign(request, {
+    method,
+    url: path,
+    headers: { ...(apiKey ? { authorization: `Bearer ${apiKey}` } : {}), ...headers }
+  });
+
+  const response = new RecordedResponse();
+  await handler(request, response);
+  await finished(response);
+  return response;
+}
+
+function etagOf(content) {
+  return `"${crypto.createHash('sha256').update(content).digest('hex')}"`;
+}
+
+afterEach(removeTempDirs);
+
+describe('remote storage server', () => {
+  function createHandler(options = {}) {
+    return createRequestHandler({ store: new DiskObjectStore(makeTempDir()), apiKey: API_KEY, ...options });
+  }
+
+  test('stores, reads, lists and deletes objects', async () => {
+    const handler = createHandler();
+
+    const created = await send(handler, 'PUT', '/users/1', { body: 'Ada', headers: { 'x-encrypted': 'true', 'x-other': 'dropped' } });
+    expect(created.status).toBe(201);
+    expect(created.headers.etag).toBe(etagOf('Ada'));
+    expect(JSON.parse(created.body)).toMatchObject({ key: 'users/1', size: 3, etag: etagOf('Ada') });
+    expect((await send(handler, 'PUT', '/users/1', { body: 'Ada Lovelace' })).status).toBe(200);
+    await send(handler, 'PUT', '/posts/1', { body: 'Hello' });
+
+    const read = await send(handler, 'GET', '/users/1');
+    expect(read.status).toBe(200);
+    expect(read.body).toBe('Ada Lovelace');
+    expect(read.headers).toMatchObject({ 'content-length': '12', etag: etagOf('Ada Lovelace') });
+    expect(read.headers['x-other']).toBeUndefined();
+
+    const head = await send(handler, 'HEAD', '/users/1');
+    expect(head.status).toBe(200);
+    expect(head.headers.etag).toBe(etagOf('Ada Lovelace'));
+    expect(head.body).toBe('');
+
+    const listing = JSON.parse((await send(handler, 'GET', '/?prefix=users/')).body);
+    expect(listing.keys).toEqual(['users/1']);
+    expect(listing.objects[0]).toMatchObject({ key: 'users/1', size: 12, etag: etagOf('Ada Lovelace') });
+
+    expect((await send(handler, 'DELETE', '/users/1')).status).toBe(204);
+    expect((await send(handler, 'GET', '/users/1')).status).toBe(404);
+    expect((await send(handler, 'DELETE', '/users/1')).status).toBe(404);
+  });
+
+  test('keys are decoded from the path and may contain slashes', async () => {
+    const handler = createHandler();
+    await send(handler, 'PUT', `/${encodeURIComponent('a key/with spaces')}`, { body: 'value' });
+
+    expect((await send(handler, 'GET', '/a%20key/with%20spaces')).body).toBe('value');
+    expect(JSON.parse((await send(handler, 'GET', '/')).body).keys).toEqual(['a key/with spaces']);
+  });
+
+  test('conditional requests compare ETags', async () => {
+    const handler = createHandler();
+    await send(handler, 'PUT', '/users/1', { body: 'first' });
+    const etag = etagOf('first');
+
+    expect((await send(handler, 'GET', '/users/1', { headers: { 'if-none-match': etag } })).status).toBe(304);
+    expect((await send(handler, 'GET', '/users/1', { headers: { 'if-none-match': etagOf('other') } })).status).toBe(200);
+
+    // Create only if absent
+    const exists = await send(handler, 'PUT', '/users/1', { body: 'again', headers: { 'if-none-match': '*' } });
+    expect(exists.status).toBe(412);
+    expect(JSON.parse(exists.body).etag).toBe(etag);
+
+    // Replace only the expected version
+    expect((await send(handler, 'PUT', '/users/1', { body: 'lost', headers: { 'if-match': etagOf('other') } })).status).toBe(412);
+    expect((await send(handler, 'PUT', '/users/1', { body: 'second', headers: { 'if-match': etag } })).status).toBe(200);
+    expect((await send(handler, 'DELETE', '/users/1', { headers: { 'if-match': etag } })).status).toBe(412);
+    expect((await send(handler, 'DELETE', '/users/1', { headers: { 'if-match': etagOf('second') } })).status).toBe(204);
+  });
+
+  test('two writers with the same If-Match cannot both succeed', async () => {
+    const handler = createHandler();
+    await send(handler, 'PUT', '/counter', { body: '1' });
+    const headers = { 'if-match': etagOf('1') };
+
+    const results = await Promise.all([
+      send(handler, 'PUT', '/counter', { body: '2a', headers }),
+      send(handler, 'PUT', '/counter', { body: '2b', headers })
+    ]);
+    expect(results.map((response) => response.status).sort()).toEqual([200, 412]);
+  });
+
+  test('requests need the API key, except the health check', async () => {
+    const handler = createHandler();
+
+    const health = await send(handler, 'GET', '/_health', { apiKey: null });
+    expect(health.status).toBe(200);
+    expect(JSON.parse(health.body)).toEqual({ status: 'ok' });
+
+    const anonymous = await send(handler, 'GET', '/', { apiKey: null });
+    expect(anonymous.status).toBe(401);
+    expect(anonymous.headers['www-authenticate']).toBe('Bearer');
+    expect((await send(handler, 'PUT', '/users/1', { body: 'x', apiKey: 'wrong-key' })).status).toBe(401);
+    expect(() => createRequestHandler({ store: new DiskObjectStore(makeTempDir()) })).toThrow('An API key is required');
+  });
+
+  test('rejects invalid keys, unknown methods and oversized objects', async () => {
+    const handler = createHandler({ maxBytes: 8 });
+
+    expect((await send(handler, 'GET', '/a%2F..%2Fb')).status).toBe(400);
+    expect((await send(handler, 'GET', '/%E0%A4%A')).status).toBe(400);
+    expect((await send(handler, 'GET', `/${'k'.repeat(1025)}`)).status).toBe(400);
+
+    const post = await send(handler, 'POST', '/users/1', { body: 'x' });
+    expect(post.status).toBe(405);
+    expect(post.headers.allow).toBe('GET, HEAD, PUT, DELETE');
+
+    const tooLarge = await send(handler, 'PUT', '/users/1', { body: 'more than eight bytes' });
+    expect(tooLarge.status).toBe(413);
+    expect((await send(handler, 'GET', '/users/1')).status).toBe(404);
+  });
+
+  test('a read racing a write returns the body that matches its ETag', async () => {
+    let release;
+    // The first read of metadata after the gate is set waits for it
+    class GatedStore extends DiskObjectStore {
+      async head(key) {
+        const metadata = await super.head(key);
+        const gate = this.gate;
+        this.gate = null;
+        await gate;
+        return metadata;
+      }
+    }
+    const store = new GatedStore(makeTempDir());
+    const handler = createRequestHandler({ store, apiKey: API_KEY });
+    await send(handler, 'PUT', '/users/1', { body: 'first' });
+
+    // Hold the read after it read the metadata, before it opens the data
+    store.gate = new Promise((resolve) => { release = resolve; });
+    const reading = send(handler, 'GET', '/users/1');
+    const writing = send(handler, 'PUT', '/users/1', { body: 'second' });
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    release();
+
+    const response = await reading;
+    expect(response.headers.etag).toBe(etagOf(response.body));
+    expect((await writing).status).toBe(200);
+    expect((await send(handler, 'GET', '/users/1')).body).toBe('second');
+  });
+
+  test('bearer tokens must match exactly', () => {
+    expect(hasBearerToken(`Bearer ${API_KEY}`, API_KEY)).toBe(true);
+    expect(hasBearerToken(`Bearer ${API_KEY}x`, API_KEY)).toBe(false);
+    expect(hasBearerToken(API_KEY, API_KEY)).toBe(false);
+    expect(hasBearerToken(undefined, API_KEY)).toBe(false);
+  });
+});
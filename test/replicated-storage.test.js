@@ -0,0 +1,94 @@
+import './helpers/setup.js';
+import { afterEach, beforeEach, describe, expect, setSystemTime, test } from 'bun:test';
+import { ReplicatedStorage } from '../lib/replicated-storage.js';
+import { MemoryStorage, clearStores } from './helpers/memory-storage.js';
+
+/**
+ * A memory storage that counts its reads, optionally without `stat()` or
+ * with `listObjects()`
+ */
+class CountingStorage extends MemoryStorage {
+  constructor(name, { stat = true, listObjects = false } = {}) {
+    super(name);
+    this.reads = 0;
+    this.stats = 0;
+    if (!stat) this.stat = undefined;
+    if (listObjects) {
+      this.listObjects = async (prefix = '') => (await this.list(prefix)).map((key) => ({
+        key,
+        updatedAt: this.store.entries.get(key).updatedAt
+      }));
+    }
+  }
+
+  async get(key) {
+    this.reads++;
+    return super.get(key);
+  }
+
+  async stat(key) {
+    this.stats++;
+    return super.stat(key);
+  }
+}
+
+async function createReplication(options) {
+  const primary = new CountingStorage('primary', options);
+  const replica = new CountingStorage('replica', options);
+  const replication = new ReplicatedStorage({
+    primary,
+    replicas: [{ name: 's3', storage: replica }],
+    syncMode: 'sync',
+    conflictResolution: 'primary',
+    antiEntropyInterval: 0
+  });
+
+  setSystemTime(new Date('2025-01-01T00:00:00Z'));
+  for (let index = 0; index < 5; index++) {
+    await replication.set(`users/${index}`, { id: index });
+  }
+  return { primary, replica, replication };
+}
+
+beforeEach(clearStores);
+afterEach(() => setSystemTime());
+
+describe('anti-entropy', () => {
+  test('only reads keys whose version changed since the last pass', async () => {
+    const { primary, replica, replication } = await createReplication();
+
+    const first = await replication.runAntiEntropy();
+    expect(first.replicas[0]).toMatchObject({ checked: 5, read: 10, divergent: 0 });
+
+    const second = await replication.runAntiEntropy();
+    expect(second.replicas[0]).toMatchObject({ checked: 5, read: 0, divergent: 0 });
+
+    // Changed on the replica behind the primary's back
+    setSystemTime(new Date('2025-01-01T01:00:00Z'));
+    await replica.set('users/2', { id: 2, drifted: true });
+    primary.reads = 0;
+    replica.reads = 0;
+
+    const third = await replication.runAntiEntropy();
+    expect(third.replicas[0]).toMatchObject({ read: 1, divergent: 1, repaired: 1 });
+    expect(await replica.get('users/2')).toEqual({ id: 2 });
+    expect(primary.reads).toBe(1);
+  });
+
+  test('uses the versions of one listing instead of stat() per key', async () => {
+    const { primary, replica, replication } = await createReplication({ listObjects: true });
+
+    await replication.runAntiEntropy();
+    const second = await replication.runAntiEntropy();
+    expect(second.replicas[0].read).toBe(0);
+    expect(primary.stats + replica.stats).toBe(0);
+  });
+
+  test('reads every key when a storage reports no versions', async () => {
+    const { replication } = await createReplication({ stat: false });
+
+    await replication.runAntiEntropy();
+    const second = await replication.runAntiEntropy();
+    expect(second.replicas[0]).toMatchObject({ checked: 5, read: 10, divergent: 0 });
+  });
+});
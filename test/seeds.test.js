@@ -0,0 +1,129 @@
+import './helpers/setup.js';
+import { afterEach, beforeEach, describe, expect, test } from 'bun:test';
+import { boolean, date, link, model, string } from 'blade/schema';
+import { DataImportError } from '../lib/data-transfer.js';
+import { ModelRecords } from '../lib/model-records.js';
+import { loadModels, normalizeModel } from '../lib/model-schema.js';
+import { buildSeedRecords, checkSeeds, loadSeeds } from '../lib/seeds.js';
+import { clearStores } from './helpers/memory-storage.js';
+import { createManager, removeTempDirs, stopManagers } from './helpers/setup.js';
+
+const Account = normalizeModel('Account', model({
+  slug: 'account',
+  fields: {
+    handle: string({ unique: true, required: true }),
+    email: string({ unique: true })
+  }
+}));
+const Post = normalizeModel('Post', model({
+  slug: 'post',
+  fields: {
+    author: link({ target: 'account', required: true }),
+    title: string(),
+    published: boolean(),
+    publishedAt: date()
+  }
+}));
+
+beforeEach(clearStores);
+afterEach(async () => {
+  await stopManagers();
+  removeTempDirs();
+});
+
+describe('seed records', () => {
+  test('are the same for the same set and seed', () => {
+    const first = buildSeedRecords([Account, Post], [], { set: 'demo' });
+    const again = buildSeedRecords([Account, Post], [], { set: 'demo' });
+    const other = buildSeedRecords([Account, Post], [], { set: 'demo', seed: 'preview-42' });
+
+    expect(first[0].records).toHaveLength(50);
+    expect(again).toEqual(first);
+    expect(other[0].records).not.toEqual(first[0].records);
+  });
+
+  test('never repeat unique values and link to seeded records', () => {
+    const [accounts, posts] = buildSeedRecords([Account, Post], [], { set: 'demo' });
+
+    for (const field of ['id', 'handle', 'email']) {
+      expect(new Set(accounts.records.map((record) => record[field])).size).toBe(50);
+    }
+    expect(accounts.records[0].email).toMatch(/^[a-z-]+\.[a-z-]+\d*@example\.com$/);
+
+    const accountIds = new Set(accounts.records.map((record) => record.id));
+    expect(posts.records.every((post) => accountIds.has(post.author))).toBe(true);
+    expect(typeof posts.records[0].published).toBe('boolean');
+    expect(Date.parse(posts.records[0].publishedAt)).not.toBeNaN();
+  });
+
+  test('start with the fixtures of the seed file and use its field generators', () => {
+    const seeds = [{
+      file: 'seeds/accounts.js',
+      model: 'Account',
+      sets: { test: { count: 2, records: [{ id: 'acc_fixed', handle: 'adalovelace' }] } },
+      fields: { email: ({ record }) => `${record.handle}@test.example` }
+    }];
+    const [{ records }] = buildSeedRecords([Account], seeds, { set: 'test' });
+
+    expect(records).toHaveLength(2);
+    expect(records[0]).toEqual({ id: 'acc_fixed', handle: 'adalovelace', email: 'adalovelace@test.example' });
+    // The fixture's handle is taken, generated records get another one
+    expect(records[1].handle).not.toBe('adalovelace');
+    expect(records[1].email).toBe(`${records[1].handle}@test.example`);
+
+    expect(() => buildSeedRecords([Account], [{ ...seeds[0], fields: { nickname: () => 'x' } }], { set: 'test' }))
+      .toThrow('sets nickname, which model Account does not declare');
+    expect(() => checkSeeds([Account], [{ file: 'seeds/posts.js', model: 'Post' }])).toThrow('unknown model "Post"');
+  });
+
+  test('the seed files of the repository fit the schema', async () => {
+    const models = await loadModels();
+    const seeds = await loadSeeds();
+    checkSeeds(models, seeds);
+
+    for (const set of ['dev', 'demo', 'test']) {
+      const [accounts] = buildSeedRecords(models, seeds, { set });
+      expect(accounts.records.length).toBeGreaterThan(0);
+    }
+  });
+});
+
+describe('seeding a storage', () => {
+  test('is idempotent and reset starts over from a backup', async () => {
+    const manager = await createManager();
+    const { storage } = await manager.getConfig();
+    const accounts = new ModelRecords(storage, Account);
+
+    const first = await manager.seedData([Account, Post], [], { set: 'test' });
+    expect(first.models.map((entry) => entry.created)).toEqual([3, 3]);
+    const again = await manager.seedData([Account, Post], [], { set: 'test' });
+    expect(again.models.map((entry) => [entry.created, entry.skipped])).toEqual([[0, 3], [0, 3]]);
+
+    await accounts.put({ id: 'acc_real', handle: 'real-user', email: null });
+    const reset = await manager.resetData([Account, Post], [], { set: 'test' });
+    expect(reset.cleared).toEqual({ Account: 4, Post: 3 });
+    expect(reset.backup).toStartWith('backups/snapshots/pre-reset-');
+    expect(await accounts.get('acc_real')).toBeNull();
+    expect(await accounts.count()).toBe(3);
+
+    // The backup still has the record the reset deleted
+    await manager.restoreBackup(reset.backup);
+    expect(await accounts.get('acc_real')).toMatchObject({ handle: 'real-user' });
+  });
+
+  test('reset deletes nothing when the seed does not fit the schema', async () => {
+    const manager = await createManager();
+    const { storage } = await manager.getConfig();
+    await new ModelRecords(storage, Account).put({ id: 'acc_1', handle: 'kept', email: null });
+
+    const invalid = [{ file: 'seeds/accounts.js', model: 'Account', sets: {}, fields: { handle: () => null } }];
+    try {
+      await manager.resetData([Account], invalid, { set: 'dev', backup: false });
+      throw new Error('Expected the reset to fail');
+    } catch (error) {
+      expect(error).toBeInstanceOf(DataImportError);
+      expect(error.errors[0].message).toBe('handle is required');
+    }
+    expect(await new ModelRecords(storage, Account).count()).toBe(1);
+  });
+});
@@ -0,0 +1,68 @@
+import './helpers/setup.js';
+import { afterEach, describe, expect, test } from 'bun:test';
+import { Database } from 'bun:sqlite';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { checkIntegrity, createVerifiedSnapshot, hashFile, snapshotDatabase } from '../lib/sqlite-snapshot.js';
+import { countRows, createDatabase, makeTempDir, removeTempDirs } from './helpers/setup.js';
+
+afterEach(removeTempDirs);
+
+describe('sqlite snapshots', () => {
+  test('VACUUM INTO includes writes that are still in the WAL', async () => {
+    const dir = makeTempDir();
+    const dbPath = createDatabase(dir, 10);
+
+    // The open connection keeps the WAL from being checkpointed
+    const db = new Database(dbPath);
+    try {
+      db.run('PRAGMA journal_mode = WAL');
+      db.run('PRAGMA wal_autocheckpoint = 0');
+      const insert = db.prepare('INSERT INTO records (payload) VALUES (?)');
+      for (let index = 0; index < 20; index++) insert.run(crypto.randomBytes(512));
+      expect(fs.statSync(`${dbPath}-wal`).size).toBeGreaterThan(0);
+
+      const snapshotPath = path.join(dir, 'snapshot.sqlite');
+      expect(await snapshotDatabase(dbPath, snapshotPath)).toEqual({ method: 'bun:sqlite' });
+      expect(countRows(snapshotPath)).toBe(30);
+
+      // An existing file at the target is replaced
+      expect(await snapshotDatabase(dbPath, snapshotPath)).toEqual({ method: 'bun:sqlite' });
+      expect(countRows(snapshotPath)).toBe(30);
+    } finally {
+      db.close();
+    }
+  });
+
+  test('a verified snapshot passes the integrity check', async () => {
+    const dir = makeTempDir();
+    const snapshotPath = path.join(dir, 'snapshot.sqlite');
+
+    const { method, integrity } = await createVerifiedSnapshot(createDatabase(dir, 50), snapshotPath);
+    expect(method).toBe('bun:sqlite');
+    expect(integrity).toMatchObject({ ok: true, result: ['ok'], method: 'bun:sqlite' });
+    expect(countRows(snapshotPath)).toBe(50);
+    expect(hashFile(snapshotPath)).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('the integrity check reports corrupt pages and files that are no database', async () => {
+    const dir = makeTempDir();
+    const dbPath = createDatabase(dir, 100);
+
+    // Overwrite a page in the middle of the table with noise
+    const db = new Database(dbPath, { readonly: true });
+    const pageSize = db.query('PRAGMA page_size').get().page_size;
+    db.close();
+    const fd = fs.openSync(dbPath, 'r+');
+    fs.writeSync(fd, crypto.randomBytes(pageSize), 0, pageSize, pageSize * 5);
+    fs.closeSync(fd);
+    expect((await checkIntegrity(dbPath)).ok).toBe(false);
+
+    const notADatabase = path.join(dir, 'notes.txt');
+    fs.writeFileSync(notADatabase, 'this is not a database, just some text '.repeat(200));
+    const result = await checkIntegrity(notADatabase);
+    expect(result.ok).toBe(false);
+    expect(result.result.join(' ')).toContain('not a database');
+  });
+});
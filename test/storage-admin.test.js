@@ -0,0 +1,83 @@
+import './helpers/setup.js';
+import { afterEach, beforeEach, describe, expect, test } from 'bun:test';
+import { AdminRequestError, StorageAdmin } from '../lib/storage-admin.js';
+import { clearStores } from './helpers/memory-storage.js';
+import { createBucket, resetFakeS3 } from './helpers/fake-s3.js';
+import { ENCRYPTION_KEY, createDatabase, createManager, removeTempDirs, stopManagers, testEnv } from './helpers/setup.js';
+
+async function createAdmin(env = {}) {
+  return new StorageAdmin(await createManager(testEnv(env)));
+}
+
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    expect(error).toBeInstanceOf(AdminRequestError);
+    return error;
+  }
+  throw new Error('Expected the request to be rejected');
+}
+
+beforeEach(() => {
+  clearStores();
+  resetFakeS3();
+  createBucket('app-data');
+});
+afterEach(async () => {
+  await stopManagers();
+  removeTempDirs();
+});
+
+describe('StorageAdmin', () => {
+  test('only the ADMIN_EMAIL account is an admin', async () => {
+    const admin = await createAdmin({ ADMIN_EMAIL: 'Ops@Example.com' });
+    expect(await admin.isAdmin('ops@example.com')).toBe(true);
+    expect(await admin.isAdmin('someone@example.com')).toBe(false);
+    expect(await admin.isAdmin(undefined)).toBe(false);
+
+    // Without ADMIN_EMAIL nobody is
+    expect(await (await createAdmin()).isAdmin('ops@example.com')).toBe(false);
+  });
+
+  test('overview lists backups with their age and reports an unsynced disk', async () => {
+    const admin = await createAdmin();
+    const { storage } = await admin.manager.getConfig();
+    await storage.set('users/1', { id: 1 });
+    await admin.createBackup('before-import');
+
+    const overview = await admin.getOverview();
+    expect(overview.health.status).toBe('ready');
+    expect(overview.backups).toHaveLength(1);
+    expect(overview.backups[0]).toMatchObject({ name: 'before-import', keyCount: 1 });
+    expect(overview.backups[0].ageSeconds).toBeGreaterThanOrEqual(0);
+    expect(overview.sync).toEqual({ configured: false, target: 'disk' });
+
+    expect((await rejection(admin.uploadDatabase())).status).toBe(409);
+    expect((await rejection(admin.createBackup('../escape'))).status).toBe(400);
+  });
+
+  test('a restore needs the backup name as confirmation', async () => {
+    const admin = await createAdmin();
+    const { storage } = await admin.manager.getConfig();
+    await storage.set('users/1', { id: 1, name: 'Before' });
+    const { key } = await admin.createBackup('nightly');
+    await storage.set('users/1', { id: 1, name: 'After' });
+
+    expect((await rejection(admin.restoreBackup(key, 'yes'))).status).toBe(400);
+    expect((await rejection(admin.restoreBackup('backups/snapshots/missing', 'missing'))).status).toBe(404);
+    expect(await storage.get('users/1')).toEqual({ id: 1, name: 'After' });
+
+    await admin.restoreBackup(key, 'nightly');
+    expect(await storage.get('users/1')).toEqual({ id: 1, name: 'Before' });
+  });
+
+  test('uploads the database and reports the sync status', async () => {
+    const admin = await createAdmin({ HIVE_SYNC_TARGET: 's3', HIVE_S3_BUCKET: 'app-data', HIVE_ENCRYPTION_KEY: ENCRYPTION_KEY });
+    createDatabase(admin.manager.settings.values.HIVE_DISK_PATH, 20);
+
+    expect((await admin.getSyncOverview()).direction).toBe('upload');
+    const { status } = await admin.uploadDatabase();
+    expect(status).toMatchObject({ direction: 'in-sync', remote: { revision: 1 } });
+  });
+});
@@ -0,0 +1,129 @@
+import './helpers/setup.js';
+import { beforeEach, describe, expect, test } from 'bun:test';
+import { MIGRATION_PREFIX } from '../lib/storage-keys.js';
+import { StorageMigration } from '../lib/storage-migration.js';
+import { MemoryStorage, clearStores, setStoreFailing } from './helpers/memory-storage.js';
+
+async function seed(storage, count) {
+  for (let index = 0; index < count; index++) {
+    await storage.set(`users/${String(index).padStart(2, '0')}`, { id: index });
+  }
+}
+
+/**
+ * Every event of a migration, collected with `for await` while it runs
+ */
+async function collectEvents(migration) {
+  const events = [];
+  const [result] = await Promise.all([
+    migration.run(),
+    (async () => {
+      for await (const event of migration) events.push(event);
+    })()
+  ]);
+  return { events, result };
+}
+
+beforeEach(clearStores);
+
+describe('storage migration', () => {
+  test('copies and verifies every key, and iterating reports each step', async () => {
+    const source = new MemoryStorage('source');
+    await seed(source, 3);
+    await source.set(`${MIGRATION_PREFIX}other`, '{}');
+    const target = new MemoryStorage('target');
+
+    const { events, result } = await collectEvents(new StorageMigration({ storage: source }, { storage: target }, { concurrency: 1 }));
+    expect(result).toMatchObject({ resumed: false, total: 3, toCopy: 3, migrated: 3, errors: 0 });
+    expect(events.map((event) => event.type)).toEqual(['plan', 'copied', 'progress', 'copied', 'progress', 'copied', 'progress', 'done']);
+    expect(events.at(-2)).toMatchObject({ key: 'users/02', done: 3, total: 3 });
+
+    expect(await target.list()).toEqual(['users/00', 'users/01', 'users/02']);
+    expect(await new StorageMigration({ storage: source }, { storage: target }).verify()).toMatchObject({ checked: 3, ok: true });
+  });
+
+  test('a dry run only reports the plan', async () => {
+    const source = new MemoryStorage('source');
+    await seed(source, 4);
+    const target = new MemoryStorage('target');
+
+    const migration = new StorageMigration({ storage: source }, { storage: target }, { dryRun: true });
+    const { events, result } = await collectEvents(migration);
+    expect(result).toMatchObject({ dryRun: true, total: 4, toCopy: 4, migrated: 0 });
+    expect(events.map((event) => event.type)).toEqual(['plan', 'done']);
+    expect(await target.list()).toEqual([]);
+  });
+
+  test('a rerun resumes from the checkpoint and retries the failed keys', async () => {
+    const source = new MemoryStorage('source');
+    await seed(source, 6);
+    const target = new MemoryStorage('target');
+
+    // users/03 cannot be read on the first run
+    const get = source.get.bind(source);
+    source.get = async (key) => {
+      if (key === 'users/03') throw new Error('read failed');
+      return get(key);
+    };
+    const first = await new StorageMigration({ storage: source }, { storage: target }, { concurrency: 1 }).run();
+    expect(first).toMatchObject({ migrated: 5, errors: 1, failed: [{ key: 'users/03', error: 'read failed' }] });
+
+    const checkpoint = JSON.parse(await target.get(`${MIGRATION_PREFIX}storage-migration`));
+    expect(checkpoint).toMatchObject({ watermark: 'users/02', completed: ['users/04', 'users/05'], failed: { 'users/03': 'read failed' } });
+
+    source.get = get;
+    const copied = [];
+    const migration = new StorageMigration({ storage: source }, { storage: target });
+    migration.on('copied', ({ key }) => copied.push(key));
+    const second = await migration.run();
+
+    expect(second).toMatchObject({ resumed: true, alreadyMigrated: 5, previouslyFailed: ['users/03'], migrated: 1, errors: 0 });
+    expect(copied).toEqual(['users/03']);
+    // A clean run leaves no checkpoint behind
+    expect(await target.get(`${MIGRATION_PREFIX}storage-migration`)).toBeNull();
+  });
+
+  test('an interrupted run resumes after its last checkpoint', async () => {
+    const source = new MemoryStorage('source');
+    await seed(source, 5);
+    const target = new MemoryStorage('target');
+    await target.set(`${MIGRATION_PREFIX}copy`, JSON.stringify({
+      version: '1.0',
+      id: 'copy',
+      startedAt: '2026-03-01T10:00:00.000Z',
+      watermark: 'users/01',
+      completed: ['users/03'],
+      failed: {}
+    }));
+
+    const migration = new StorageMigration({ storage: source }, { storage: target }, { id: 'copy', concurrency: 1 });
+    const { plan, pending } = await migration.plan();
+    expect(plan).toMatchObject({ resumed: true, total: 5, alreadyMigrated: 3, toCopy: 2 });
+    expect(pending).toEqual(['users/02', 'users/04']);
+  });
+
+  test('iterating an aborted migration throws instead of waiting forever', async () => {
+    const migration = new StorageMigration({ storage: new MemoryStorage('source') }, { storage: new MemoryStorage('target') });
+    setStoreFailing('source');
+
+    const running = migration.run().catch((error) => error);
+    const iterate = async () => {
+      for await (const event of migration) expect(event.type).toBeDefined();
+    };
+    await expect(iterate()).rejects.toThrow('source is unavailable');
+    expect((await running).message).toBe('source is unavailable');
+  });
+
+  test('a failed checkpoint write ends the iteration with its error', async () => {
+    const source = new MemoryStorage('source');
+    await seed(source, 5);
+    const target = new MemoryStorage('target');
+    target.set = async (key, value) => {
+      if (key.startsWith(MIGRATION_PREFIX)) throw new Error('checkpoint write failed');
+      return MemoryStorage.prototype.set.call(target, key, value);
+    };
+
+    const migration = new StorageMigration({ storage: source }, { storage: target }, { checkpointEvery: 2, concurrency: 1 });
+    await expect(collectEvents(migration)).rejects.toThrow('checkpoint write failed');
+  });
+});
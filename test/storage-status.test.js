@@ -0,0 +1,78 @@
+import './helpers/setup.js';
+import path from 'path';
+import { afterEach, describe, expect, test } from 'bun:test';
+import { ENCRYPTION_KEY, makeTempDir, removeTempDirs } from './helpers/setup.js';
+
+const ROOT = path.resolve(import.meta.dir, '..');
+
+afterEach(removeTempDirs);
+
+/**
+ * Run `storage:status` with the in-memory storages of the test setup
+ * preloaded. Bun loads .env from the working directory, so run somewhere empty.
+ */
+async function runStatus(env, ...args) {
+  const proc = Bun.spawn([
+    process.execPath,
+    '--preload', path.join(ROOT, 'test/helpers/setup.js'),
+    path.join(ROOT, 'scripts/check-storage-status.js'),
+    ...args
+  ], {
+    cwd: makeTempDir(),
+    stdout: 'pipe',
+    stderr: 'pipe',
+    timeout: 30000,
+    env: { PATH: process.env.PATH, HIVE_DISK_PATH: makeTempDir(), ...env }
+  });
+  const [stdout, stderr, status] = await Promise.all([
+    new Response(proc.stdout).text(),
+    new Response(proc.stderr).text(),
+    proc.exited
+  ]);
+  return { status, stdout, stderr };
+}
+
+describe('storage:status CLI', () => {
+  test('reports a healthy backend with its settings and where they came from', async () => {
+    const { status, stdout } = await runStatus({ HIVE_ENCRYPTION_KEY: ENCRYPTION_KEY }, '--json');
+    expect(status).toBe(0);
+
+    // Only the report is on stdout, so it parses as a whole
+    const report = JSON.parse(stdout);
+    expect(report).toMatchObject({ type: 'disk', initialized: true, healthy: true });
+    expect(report.latency.write).toBeNumber();
+
+    const settings = Object.fromEntries(report.settings.map((setting) => [setting.name, setting]));
+    expect(settings.HIVE_STORAGE_TYPE).toMatchObject({ value: 'disk', source: 'default' });
+    expect(settings.HIVE_DISK_PATH.source).toBe('env');
+    expect(settings.HIVE_ENCRYPTION_KEY.value).not.toBe(ENCRYPTION_KEY);
+    expect(stdout).not.toContain(ENCRYPTION_KEY);
+  }, 60000);
+
+  test('prints a readable report', async () => {
+    const { status, stdout } = await runStatus({});
+    expect(status).toBe(0);
+    expect(stdout).toContain('Backend: disk');
+    expect(stdout).toMatch(/HIVE_DISK_PATH\s+\S+ \[env\]/);
+    expect(stdout).toContain('Storage is healthy');
+  }, 60000);
+
+  test('exits with 3 when the configuration is invalid or the storage cannot start', async () => {
+    const invalid = await runStatus({ HIVE_ENCRYPTION_KEY: 'short' }, '--json');
+    expect(invalid.status).toBe(3);
+    expect(JSON.parse(invalid.stdout)).toMatchObject({
+      initialized: false,
+      error: 'Invalid configuration',
+      errors: [expect.stringContaining('HIVE_ENCRYPTION_KEY must be at least 32 characters')]
+    });
+
+    // The fake S3 of a new process has no buckets
+    const missingBucket = await runStatus({ HIVE_STORAGE_TYPE: 's3' }, '--json');
+    expect(missingBucket.status).toBe(3);
+    expect(JSON.parse(missingBucket.stdout).error).toContain('S3 bucket "hive-database" does not exist');
+
+    const readable = await runStatus({ HIVE_STORAGE_TYPE: 's3' });
+    expect(readable.status).toBe(3);
+    expect(readable.stdout).toContain('Failed to initialize storage');
+  }, 60000);
+});